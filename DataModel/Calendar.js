@@ -0,0 +1,232 @@
+/**
+ * Calendar - Conversions between the calendars used in GEDCOM dates
+ * Supports the Gregorian, Julian and French Republican calendars. Dates are
+ * converted through Julian Day Numbers (JDN), a continuous day count, so that
+ * dates from different calendars can be compared.
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+// GEDCOM month names of each calendar
+const MONTH_NAMES = {
+    'GREGORIAN': ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    'JULIAN': ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    'FRENCH R': ['VEND', 'BRUM', 'FRIM', 'NIVO', 'PLUV', 'VENT', 'GERM', 'FLOR', 'PRAI', 'MESS', 'THER', 'FRUC', 'COMP']
+};
+
+// Names used in reports
+const DISPLAY_NAMES = {
+    'GREGORIAN': 'Gregorian',
+    'JULIAN': 'Julian',
+    'FRENCH R': 'French Republican'
+};
+
+// JDN of 1 VEND AN I (22 SEP 1792)
+const FRENCH_EPOCH = 2375840;
+
+// Values of Roman numerals used for French Republican years
+const ROMAN_NUMERALS = { 'I': 1, 'V': 5, 'X': 10, 'L': 50, 'C': 100 };
+
+class Calendar {
+    /**
+     * Check whether a calendar is supported
+     * @param {string} calendar - GEDCOM calendar name (GREGORIAN, JULIAN, FRENCH R)
+     * @returns {boolean} True if dates in the calendar can be converted
+     */
+    static isSupported(calendar) {
+        return Object.prototype.hasOwnProperty.call(MONTH_NAMES, calendar);
+    }
+
+    /**
+     * Get the name of a calendar for reports
+     * @param {string} calendar - GEDCOM calendar name
+     * @returns {string} Display name, e.g. "French Republican"
+     */
+    static getDisplayName(calendar) {
+        return DISPLAY_NAMES[calendar] || calendar;
+    }
+
+    /**
+     * Get the GEDCOM month names of a calendar
+     * @param {string} calendar - GEDCOM calendar name
+     * @returns {Array<string>} Month names, January (or Vendémiaire) first
+     */
+    static getMonthNames(calendar) {
+        return [...(MONTH_NAMES[calendar] || [])];
+    }
+
+    /**
+     * Look up a month by its GEDCOM name
+     * @param {string} calendar - GEDCOM calendar name
+     * @param {string} name - Month name, e.g. "SEP" or "VEND"
+     * @returns {number|null} Month number (1-13) or null if unknown
+     */
+    static getMonthNumber(calendar, name) {
+        const index = (MONTH_NAMES[calendar] || []).indexOf(name.toUpperCase());
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Find the calendar a month name belongs to, when no calendar escape is given
+     * @param {string} name - Month name
+     * @returns {string|null} GREGORIAN, FRENCH R, or null if unknown
+     */
+    static findCalendarOfMonth(name) {
+        const upper = name.toUpperCase();
+        if (MONTH_NAMES['GREGORIAN'].includes(upper)) return 'GREGORIAN';
+        if (MONTH_NAMES['FRENCH R'].includes(upper)) return 'FRENCH R';
+        return null;
+    }
+
+    /**
+     * Check whether a year is a leap year
+     * Julian years are leap years every four years. French Republican
+     * years III, VII and XI were leap (sextile) years; later years follow
+     * the same four-year pattern.
+     * @param {string} calendar - GEDCOM calendar name
+     * @param {number} year - The year
+     * @returns {boolean} True if the year has a leap day
+     */
+    static isLeapYear(calendar, year) {
+        switch (calendar) {
+            case 'JULIAN':
+                return year % 4 === 0;
+            case 'FRENCH R':
+                return year % 4 === 3;
+            default:
+                return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
+        }
+    }
+
+    /**
+     * Get the number of months in a year
+     * @param {string} calendar - GEDCOM calendar name
+     * @returns {number} 13 for the French Republican calendar, otherwise 12
+     */
+    static getMonthCount(calendar) {
+        return (MONTH_NAMES[calendar] || MONTH_NAMES['GREGORIAN']).length;
+    }
+
+    /**
+     * Get the number of days in a month
+     * @param {string} calendar - GEDCOM calendar name
+     * @param {number} month - Month (1-12, or 1-13 for French Republican)
+     * @param {number} year - The year
+     * @returns {number} Number of days in the month
+     */
+    static getDaysInMonth(calendar, month, year) {
+        if (calendar === 'FRENCH R') {
+            // Twelve months of 30 days and the complementary days
+            if (month < 13) return 30;
+            return Calendar.isLeapYear(calendar, year) ? 6 : 5;
+        }
+
+        const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        if (month === 2 && Calendar.isLeapYear(calendar, year)) {
+            return 29;
+        }
+        return daysInMonth[month - 1];
+    }
+
+    /**
+     * Convert a date to its Julian Day Number
+     * @param {string} calendar - GEDCOM calendar name
+     * @param {number} year - The year
+     * @param {number} month - The month
+     * @param {number} day - The day
+     * @returns {number} Julian Day Number
+     * @throws {Error} If the calendar is not supported
+     */
+    static toJulianDayNumber(calendar, year, month, day) {
+        if (calendar === 'FRENCH R') {
+            let leapDays = 0;
+            for (let previous = 1; previous < year; previous++) {
+                if (Calendar.isLeapYear(calendar, previous)) leapDays++;
+            }
+            return FRENCH_EPOCH + 365 * (year - 1) + leapDays + 30 * (month - 1) + day - 1;
+        }
+
+        if (calendar !== 'GREGORIAN' && calendar !== 'JULIAN') {
+            throw new Error(`Unsupported calendar: ${calendar}`);
+        }
+
+        const a = Math.floor((14 - month) / 12);
+        const y = year + 4800 - a;
+        const m = month + 12 * a - 3;
+        const days = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4);
+
+        return calendar === 'JULIAN'
+            ? days - 32083
+            : days - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+    }
+
+    /**
+     * Convert a Julian Day Number to a Gregorian date
+     * @param {number} jdn - Julian Day Number
+     * @returns {Object} { year, month, day } in the Gregorian calendar
+     */
+    static toGregorian(jdn) {
+        const a = jdn + 32044;
+        const b = Math.floor((4 * a + 3) / 146097);
+        const c = a - Math.floor(146097 * b / 4);
+        const d = Math.floor((4 * c + 3) / 1461);
+        const e = c - Math.floor(1461 * d / 4);
+        const m = Math.floor((5 * e + 2) / 153);
+
+        return {
+            year: 100 * b + d - 4800 + Math.floor(m / 10),
+            month: m + 3 - 12 * Math.floor(m / 10),
+            day: e - Math.floor((153 * m + 2) / 5) + 1
+        };
+    }
+
+    /**
+     * Format a Julian Day Number as a Gregorian GEDCOM date
+     * @param {number} jdn - Julian Day Number
+     * @returns {string} Date like "3 OCT 1798"
+     */
+    static formatGregorian(jdn) {
+        const { year, month, day } = Calendar.toGregorian(jdn);
+        return `${day} ${MONTH_NAMES['GREGORIAN'][month - 1]} ${year}`;
+    }
+
+    /**
+     * Convert a Julian Day Number to a JavaScript Date (UTC midnight)
+     * @param {number} jdn - Julian Day Number
+     * @returns {Date} The date
+     */
+    static toDate(jdn) {
+        const { year, month, day } = Calendar.toGregorian(jdn);
+        const date = new Date(Date.UTC(2000, month - 1, day));
+        date.setUTCFullYear(year);
+        return date;
+    }
+
+    /**
+     * Parse a French Republican year, written as a number or a Roman numeral
+     * @param {string} text - Year like "7", "VII" or "AN VII"
+     * @returns {number|null} The year, or null if it is not a valid year
+     */
+    static parseFrenchYear(text) {
+        const value = text.toUpperCase().replace(/^AN\s+/, '').trim();
+
+        if (/^\d{1,3}$/.test(value)) {
+            return parseInt(value, 10);
+        }
+
+        if (!/^[IVXLC]+$/.test(value)) {
+            return null;
+        }
+
+        let year = 0;
+        for (let i = 0; i < value.length; i++) {
+            const current = ROMAN_NUMERALS[value[i]];
+            const next = ROMAN_NUMERALS[value[i + 1]] || 0;
+            year += current < next ? -current : current;
+        }
+        return year;
+    }
+}
+
+module.exports = Calendar;
@@ -6,6 +6,20 @@
  * @version 1.0.0
  */
 
+const Calendar = require('./Calendar');
+
+// Years an ABT date may be off in either direction
+const ABOUT_YEARS = 5;
+
+// Average days per year, used to widen ABT dates
+const DAYS_PER_YEAR = 365.25;
+
+// Default range of plausible years for GEDCOM dates (Gregorian and Julian)
+const DEFAULT_YEAR_RANGE = { minYear: 1400, maxYear: 2100 };
+
+// Default range of plausible years for ISO 8601 dates
+const DEFAULT_ISO_YEAR_RANGE = { minYear: 1400, maxYear: 2000 };
+
 class DateModel {
     constructor() {
         // Core date properties
@@ -13,9 +27,11 @@ class DateModel {
         this.day = null;
         this.month = null;
         this.year = null;
+        this.isDualYear = false; // Year written like 1699/00 (this.year is then 1700)
         
-        // Date range properties
+        // Date range (BET) and period (FROM/TO) properties
         this.isRange = false;
+        this.isPeriod = false;
         this.startDate = null;
         this.endDate = null;
         
@@ -26,17 +42,22 @@ class DateModel {
         this.isBefore = false;
         this.isAfter = false;
         this.isAbout = false;
+        this.isInterpreted = false;
+
+        // Date phrase of INT dates and of dates given only as "(phrase)"
+        this.phrase = null;
         
-        // Calendar type (Gregorian, Julian, etc.)
+        // GEDCOM calendar name (GREGORIAN, JULIAN or FRENCH R)
         this.calendar = 'GREGORIAN';
     }
 
     /**
      * Parse ISO 8601 date format (YYYY-MM-DD) with optional ABT modifier and range support
      * @param {string} dateString - The date string to parse in ISO 8601 format
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years (default 1400 to 2000)
      * @throws {Error} If the date format is invalid or date values are out of range
      */
-    parseDateString(dateString) {
+    parseDateString(dateString, yearRange = DEFAULT_ISO_YEAR_RANGE) {
         if (!dateString || typeof dateString !== 'string') {
             throw new Error('Date string is required and must be a string');
         }
@@ -61,19 +82,19 @@ class DateModel {
             this.isAbout = true;
             this.isApproximate = true;
             const cleanDate = normalizedDate.substring(4).trim();
-            this._parseSingleISODate(cleanDate);
+            this._parseSingleISODate(cleanDate, yearRange);
         }
         // Check for BEF modifier
         else if (normalizedDate.startsWith('BEF ')) {
             this.isBefore = true;
             const cleanDate = normalizedDate.substring(4).trim();
-            this._parseSingleISODate(cleanDate);
+            this._parseSingleISODate(cleanDate, yearRange);
         }
         // Check for AFT modifier
         else if (normalizedDate.startsWith('AFT ')) {
             this.isAfter = true;
             const cleanDate = normalizedDate.substring(4).trim();
-            this._parseSingleISODate(cleanDate);
+            this._parseSingleISODate(cleanDate, yearRange);
         }
         // Check for BET range
         else if (normalizedDate.startsWith('BET ')) {
@@ -89,14 +110,14 @@ class DateModel {
             const endDateStr = rangeContent.substring(andIndex + 5).trim();
             
             this.startDate = new DateModel();
-            this.startDate.parseDateString(startDateStr);
+            this.startDate.parseDateString(startDateStr, yearRange);
             
             this.endDate = new DateModel();
-            this.endDate.parseDateString(endDateStr);
+            this.endDate.parseDateString(endDateStr, yearRange);
         }
         // Single date
         else {
-            this._parseSingleISODate(normalizedDate);
+            this._parseSingleISODate(normalizedDate, yearRange);
         }
     }
 
@@ -104,9 +125,10 @@ class DateModel {
      * Parse a single ISO 8601 date (YYYY-MM-DD)
      * @private
      * @param {string} dateString - The clean date string in YYYY-MM-DD format
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years
      * @throws {Error} If the date format is invalid or values are out of range
      */
-    _parseSingleISODate(dateString) {
+    _parseSingleISODate(dateString, yearRange = DEFAULT_ISO_YEAR_RANGE) {
         // Match YYYY-MM-DD format
         const isoMatch = dateString.match(/^(\d{4})-(\d{2})-(\d{2})$/);
         
@@ -119,8 +141,12 @@ class DateModel {
         const day = parseInt(isoMatch[3], 10);
         
         // Validate year range (allow 0 for unknown)
-        if (year !== 0 && (year < 1400 || year > 2000)) {
-            throw new Error(`Year must be between 1400 and 2000 or 0 for unknown, got ${year}`);
+        const { minYear, maxYear } = yearRange;
+        if (year !== 0 && (year < minYear || year > maxYear)) {
+            const error = new Error(`Year must be between ${minYear} and ${maxYear} or 0 for unknown, got ${year}`);
+            error.yearOutOfRange = true;
+            error.year = year;
+            throw error;
         }
         
         // Validate month range (allow 0 for unknown)
@@ -154,49 +180,86 @@ class DateModel {
     }
 
     /**
-     * Parse GEDCOM date format (DD MMM YYYY) with optional modifiers
-     * Supports formats like "10 SEP 1802", "ABT 1850", "BEF 1900", etc.
+     * Parse a GEDCOM 5.5.1 date value
+     * Supports single dates like "10 SEP 1802", "MAR 1790" or "1850",
+     * approximations (ABT, CAL, EST), ranges (BEF, AFT, BET...AND), periods
+     * (FROM, TO, FROM...TO), interpreted dates like "INT 1750 (about the time
+     * of the war)", date phrases like "(unknown)", dual years like
+     * "25 JAN 1699/00", and calendar escapes like "@#DJULIAN@ 5 OCT 1582"
+     * or "12 VEND AN VII".
      * @param {string} dateString - The date string to parse in GEDCOM format
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years (default 1400 to 2100)
      * @throws {Error} If the date format is invalid or date values are out of range
      */
-    parseGedcomDate(dateString) {
+    parseGedcomDate(dateString, yearRange = DEFAULT_YEAR_RANGE) {
         if (!dateString || typeof dateString !== 'string') {
             throw new Error('Date string is required and must be a string');
         }
 
         this.originalString = dateString.trim();
-        const normalizedDate = this.originalString.toUpperCase().trim();
+        let normalizedDate = this.originalString.toUpperCase().trim();
+
+        // Some programs write the calendar escape before the qualifier
+        const escapeFirst = normalizedDate.match(/^(@#D[A-Z ]+@)\s*(ABT|CAL|EST|BEF|AFT|BET|FROM|TO|INT)\s+(.*)$/);
+        if (escapeFirst) {
+            const [, escape, qualifier, rest] = escapeFirst;
+            normalizedDate = `${qualifier} ${escape} ${rest.replace(/ (AND|TO) (?!@#D)/, ` $1 ${escape} `)}`;
+        }
 
         // Reset all properties
         this.day = null;
         this.month = null;
         this.year = null;
+        this.isDualYear = false;
         this.isRange = false;
+        this.isPeriod = false;
         this.startDate = null;
         this.endDate = null;
         this.isAbout = false;
         this.isApproximate = false;
+        this.isEstimated = false;
+        this.isCalculated = false;
         this.isBefore = false;
         this.isAfter = false;
+        this.isInterpreted = false;
+        this.phrase = null;
+        this.calendar = 'GREGORIAN';
 
-        // Check for ABT modifier
-        if (normalizedDate.startsWith('ABT ')) {
-            this.isAbout = true;
+        // Date phrase only, e.g. "(unknown)"; the phrase keeps its original case
+        if (/^\(.*\)$/.test(normalizedDate)) {
+            this.phrase = this.originalString.slice(1, -1).trim();
+        }
+        // Check for INT interpreted date with its phrase
+        else if (normalizedDate.startsWith('INT ')) {
+            this.isInterpreted = true;
+            const phraseStart = normalizedDate.indexOf('(');
+            if (phraseStart === -1 || !normalizedDate.endsWith(')')) {
+                throw new Error('Interpreted date format must be "INT DD MMM YYYY (phrase)"');
+            }
+            this.phrase = this.originalString.slice(this.originalString.indexOf('(') + 1, -1).trim();
+            this._parseSingleGedcomDate(normalizedDate.substring(4, phraseStart).trim(), yearRange);
+        }
+        // Check for ABT, CAL and EST approximations
+        else if (/^(ABT|CAL|EST) /.test(normalizedDate)) {
+            const qualifier = normalizedDate.substring(0, 3);
+            this.isAbout = qualifier === 'ABT';
+            this.isCalculated = qualifier === 'CAL';
+            this.isEstimated = qualifier === 'EST';
             this.isApproximate = true;
             const cleanDate = normalizedDate.substring(4).trim();
-            this._parseSingleGedcomDate(cleanDate);
+            this._parseSingleGedcomDate(cleanDate, yearRange);
         }
         // Check for BEF modifier
         else if (normalizedDate.startsWith('BEF ')) {
             this.isBefore = true;
             const cleanDate = normalizedDate.substring(4).trim();
-            this._parseSingleGedcomDate(cleanDate);
+            this._parseSingleGedcomDate(cleanDate, yearRange);
         }
         // Check for AFT modifier
         else if (normalizedDate.startsWith('AFT ')) {
             this.isAfter = true;
             const cleanDate = normalizedDate.substring(4).trim();
-            this._parseSingleGedcomDate(cleanDate);
+            this._parseSingleGedcomDate(cleanDate, yearRange);
         }
         // Check for BET range
         else if (normalizedDate.startsWith('BET ')) {
@@ -211,110 +274,324 @@ class DateModel {
             const startDateStr = rangeContent.substring(0, andIndex).trim();
             const endDateStr = rangeContent.substring(andIndex + 5).trim();
             
-            this.startDate = new DateModel();
-            this.startDate.parseGedcomDate(startDateStr);
+            this.startDate = DateModel._parsePart(startDateStr, yearRange);
+            this.endDate = DateModel._parsePart(endDateStr, yearRange);
+            this._checkPartOrder();
+
+            this.calendar = this.startDate.calendar;
+        }
+        // Check for FROM/TO period
+        else if (normalizedDate.startsWith('FROM ') || normalizedDate.startsWith('TO ')) {
+            this.isPeriod = true;
+            const periodMatch = normalizedDate.match(/^(?:FROM\s+(.+?))?\s*(?:\bTO\s+(.+))?$/);
             
-            this.endDate = new DateModel();
-            this.endDate.parseGedcomDate(endDateStr);
+            if (!periodMatch || (!periodMatch[1] && !periodMatch[2])) {
+                throw new Error('Period format must be "FROM DD MMM YYYY TO DD MMM YYYY"');
+            }
+
+            this.startDate = periodMatch[1] ? DateModel._parsePart(periodMatch[1].trim(), yearRange) : null;
+            this.endDate = periodMatch[2] ? DateModel._parsePart(periodMatch[2].trim(), yearRange) : null;
+            this._checkPartOrder();
+
+            this.calendar = (this.startDate || this.endDate).calendar;
         }
         // Single date
         else {
-            this._parseSingleGedcomDate(normalizedDate);
+            this._parseSingleGedcomDate(normalizedDate, yearRange);
+        }
+    }
+
+    /**
+     * Parse the start or end date of a range or period
+     * @private
+     * @param {string} dateString - A single date, without qualifier
+     * @param {Object} yearRange - { minYear, maxYear } of plausible years
+     * @returns {DateModel} The parsed date
+     * @throws {Error} If the date is not a valid single date
+     */
+    static _parsePart(dateString, yearRange) {
+        const dateModel = new DateModel();
+        dateModel.originalString = dateString;
+        dateModel._parseSingleGedcomDate(dateString, yearRange);
+        return dateModel;
+    }
+
+    /**
+     * Check that the start date of a range or period is not after its end date
+     * @private
+     * @throws {Error} With `reversedRange` set if the start date is after the end date, e.g. "BET 1790 AND 1780"
+     */
+    _checkPartOrder() {
+        const start = this.startDate ? this.startDate.getJulianDayRange() : null;
+        const end = this.endDate ? this.endDate.getJulianDayRange() : null;
+
+        if (start && end && start.first > end.last) {
+            const error = new Error(`Start date ${this.startDate.originalString} is after end date ${this.endDate.originalString}`);
+            error.reversedRange = true;
+            throw error;
         }
     }
 
     /**
-     * Parse a single GEDCOM date (DD MMM YYYY)
+     * Parse a single GEDCOM date (DD MMM YYYY, MMM YYYY or YYYY)
+     * The date may start with a calendar escape such as @#DJULIAN@ or
+     * @#DFRENCH R@. French Republican dates are also recognized by their
+     * month names or an "AN" year, e.g. "12 VEND AN VII".
      * @private
      * @param {string} dateString - The clean date string in GEDCOM format
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years
      * @throws {Error} If the date format is invalid or values are out of range
      */
-    _parseSingleGedcomDate(dateString) {
-        // Month name mapping
-        const monthNames = {
-            'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
-            'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
-        };
+    _parseSingleGedcomDate(dateString, yearRange = DEFAULT_YEAR_RANGE) {
+        let remaining = dateString;
+        let calendar = null;
+
+        const escapeMatch = remaining.match(/^@#D([A-Z ]+)@\s*/);
+        if (escapeMatch) {
+            calendar = escapeMatch[1].trim();
+            if (!Calendar.isSupported(calendar)) {
+                throw new Error(`Unsupported calendar: ${calendar}`);
+            }
+            remaining = remaining.substring(escapeMatch[0].length);
+        }
 
-        // Match DD MMM YYYY format (e.g., "10 SEP 1802")
-        const gedcomMatch = dateString.match(/^(\d{1,2})\s+([A-Z]{3})\s+(\d{4})$/);
-        
-        if (gedcomMatch) {
-            const day = parseInt(gedcomMatch[1], 10);
-            const monthName = gedcomMatch[2];
-            const year = parseInt(gedcomMatch[3], 10);
-            
-            const month = monthNames[monthName];
+        // Split into optional day, optional month and year
+        const dateMatch = remaining.match(/^(?:(\d{1,2})\s+)?(?:([A-Z]{3,4})\s+)?((?:AN\s+)?[IVXLC\d]+(?:\/\d{2})?)$/);
+        if (!dateMatch || (dateMatch[1] && !dateMatch[2])) {
+            throw new Error(`Invalid GEDCOM date format: ${dateString}. Expected DD MMM YYYY, MMM YYYY or YYYY.`);
+        }
+
+        const [, dayText, monthName, yearText] = dateMatch;
+
+        // Without an escape, French month names and "AN" years select the French Republican calendar
+        if (!calendar) {
+            const monthCalendar = monthName ? Calendar.findCalendarOfMonth(monthName) : null;
+            calendar = monthCalendar || (/^(AN\s|[IVXLC]+$)/.test(yearText) ? 'FRENCH R' : 'GREGORIAN');
+        }
+
+        let month = null;
+        if (monthName) {
+            month = Calendar.getMonthNumber(calendar, monthName);
             if (!month) {
-                throw new Error(`Invalid month name: ${monthName}`);
+                throw new Error(`Invalid month name for ${Calendar.getDisplayName(calendar)} calendar: ${monthName}`);
             }
-            
-            // Validate year range
-            if (year < 1400 || year > 2100) {
-                throw new Error(`Year must be between 1400 and 2100, got ${year}`);
+        }
+
+        let year;
+        if (calendar === 'FRENCH R') {
+            year = Calendar.parseFrenchYear(yearText);
+            if (!year || year > 99) {
+                throw new Error(`French Republican year must be between I and XCIX, got ${yearText}`);
             }
-            
-            // Validate month range
-            if (month < 1 || month > 12) {
-                throw new Error(`Month must be between 1 and 12, got ${month}`);
+        } else {
+            const yearMatch = yearText.match(/^(\d{4})(?:\/(\d{2}))?$/);
+            if (!yearMatch) {
+                throw new Error(`Invalid GEDCOM date format: ${dateString}. Expected DD MMM YYYY, MMM YYYY or YYYY.`);
             }
-            
-            // Validate day based on month and year
-            const daysInMonth = this._getDaysInMonth(month, year);
-            if (day < 1 || day > daysInMonth) {
-                throw new Error(`Day must be between 1 and ${daysInMonth} for month ${month}, got ${day}`);
+            year = parseInt(yearMatch[1], 10);
+
+            // A dual year like 1699/00 names the old-style and the new-style year
+            if (yearMatch[2] !== undefined) {
+                if (parseInt(yearMatch[2], 10) !== (year + 1) % 100) {
+                    throw new Error(`Dual year must be followed by the next year, e.g. 1699/00, got ${yearText}`);
+                }
+                year += 1;
+            }
+
+            // Validate year range
+            const { minYear, maxYear } = yearRange;
+            if (year < minYear || year > maxYear) {
+                const error = new Error(`Year must be between ${minYear} and ${maxYear}, got ${year}`);
+                error.yearOutOfRange = true;
+                error.year = year;
+                throw error;
             }
-            
-            this.year = year;
-            this.month = month;
-            this.day = day;
         }
-        // Match YYYY only format (e.g., "1850")
-        else {
-            const yearMatch = dateString.match(/^(\d{4})$/);
-            if (yearMatch) {
-                const year = parseInt(yearMatch[1], 10);
-                
-                // Validate year range
-                if (year < 1400 || year > 2100) {
-                    throw new Error(`Year must be between 1400 and 2100, got ${year}`);
-                }
-                
-                this.year = year;
-                this.month = null;
-                this.day = null;
-            } else {
-                throw new Error(`Invalid GEDCOM date format: ${dateString}. Expected DD MMM YYYY or YYYY.`);
+
+        this.calendar = calendar;
+
+        let day = null;
+        if (dayText) {
+            day = parseInt(dayText, 10);
+
+            // Validate day based on month and year
+            const dayProblem = DateModel.findDayProblem(calendar, day, month, year);
+            if (dayProblem) {
+                const daysInMonth = this._getDaysInMonth(month, year);
+                const error = new Error(`Day must be between 1 and ${daysInMonth} for month ${month}, got ${day}`);
+                error.dayProblem = { problem: dayProblem, calendar, day, month, year, daysInMonth };
+                throw error;
             }
         }
+
+        this.year = year;
+        this.month = month;
+        this.day = day;
+        this.isDualYear = /\//.test(yearText);
     }
 
     /**
-     * Get the number of days in a given month and year
+     * Find out why a day does not exist in a month
+     * @param {string} calendar - GEDCOM calendar name
+     * @param {number} day - The day
+     * @param {number} month - The month
+     * @param {number} year - The year
+     * @returns {string|null} 'day_zero', 'day_out_of_range' (beyond the longest month),
+     *   'invalid_leap_day' (leap day in a common year), 'day_not_in_month', or null if the day exists
+     */
+    static findDayProblem(calendar, day, month, year) {
+        const daysInMonth = Calendar.getDaysInMonth(calendar, month, year);
+        if (day >= 1 && day <= daysInMonth) {
+            return null;
+        }
+
+        const longestMonth = calendar === 'FRENCH R' ? 30 : 31;
+        const leapMonth = calendar === 'FRENCH R' ? 13 : 2;
+
+        if (day < 1) return 'day_zero';
+        if (day > longestMonth) return 'day_out_of_range';
+        if (month === leapMonth && day === daysInMonth + 1 && !Calendar.isLeapYear(calendar, year)) {
+            return 'invalid_leap_day';
+        }
+        return 'day_not_in_month';
+    }
+
+    /**
+     * Get the number of days in a given month and year of the date's calendar
      * @private
-     * @param {number} month - Month (1-12)
+     * @param {number} month - Month (1-12, or 1-13 for French Republican)
      * @param {number} year - Year
      * @returns {number} Number of days in the month
      */
     _getDaysInMonth(month, year) {
-        const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-        
-        // Check for leap year in February
-        if (month === 2 && this._isLeapYear(year)) {
-            return 29;
-        }
-        
-        return daysInMonth[month - 1];
+        return Calendar.getDaysInMonth(this.calendar, month, year);
     }
 
     /**
-     * Check if a year is a leap year
+     * Check if a year is a leap year in the date's calendar
      * @private
      * @param {number} year - Year to check
      * @returns {boolean} True if leap year
      */
     _isLeapYear(year) {
-        return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
+        return Calendar.isLeapYear(this.calendar, year);
+    }
+
+    /**
+     * Get the first and last day a date can refer to, as Julian Day Numbers
+     * A year covers all its days and a month all days of the month; ranges run
+     * from the first day of the start date to the last day of the end date.
+     * Qualifiers like ABT or BEF are not applied.
+     * @returns {Object|null} { first, last } or null if the date has no year
+     */
+    getJulianDayRange() {
+        if (this.isRange || this.isPeriod) {
+            const start = this.startDate ? this.startDate.getJulianDayRange() : null;
+            const end = this.endDate ? this.endDate.getJulianDayRange() : null;
+            if (this.isPeriod && (start || end)) {
+                // FROM or TO alone refers to its own date
+                return { first: (start || end).first, last: (end || start).last };
+            }
+            return start && end ? { first: start.first, last: end.last } : null;
+        }
+
+        if (!this.year || !Calendar.isSupported(this.calendar)) {
+            return null;
+        }
+
+        // A dual year without month covers both the old-style and the new-style year
+        const firstYear = this.isDualYear && !this.month ? this.year - 1 : this.year;
+        const firstMonth = this.month || 1;
+        const lastMonth = this.month || Calendar.getMonthCount(this.calendar);
+        const firstDay = this.day || 1;
+        const lastDay = this.day || this._getDaysInMonth(lastMonth, this.year);
+
+        return {
+            first: Calendar.toJulianDayNumber(this.calendar, firstYear, firstMonth, firstDay),
+            last: Calendar.toJulianDayNumber(this.calendar, this.year, lastMonth, lastDay)
+        };
+    }
+
+    /**
+     * Get the earliest and latest day the date can refer to, as Julian Day Numbers
+     * The qualifiers are applied to the days the date covers: BEF dates have
+     * no earliest day, AFT dates no latest day, and ABT, CAL and EST dates are
+     * widened by `aboutYears` in both directions. BET ranges and FROM/TO
+     * periods cover both dates, INT dates their interpreted date. Date
+     * phrases have no interval.
+     * @param {number} [aboutYears=5] - Years an ABT, CAL or EST date may be off
+     * @returns {Object|null} { earliest, latest } (-Infinity/Infinity if open), or null if the date has no year
+     */
+    getInterval(aboutYears = ABOUT_YEARS) {
+        const range = this.getJulianDayRange();
+        if (!range) return null;
+
+        if (this.isBefore) {
+            return { earliest: -Infinity, latest: range.first - 1 };
+        }
+        if (this.isAfter) {
+            return { earliest: range.last + 1, latest: Infinity };
+        }
+        if (this.isApproximate) {
+            const margin = Math.round(aboutYears * DAYS_PER_YEAR);
+            return { earliest: range.first - margin, latest: range.last + margin };
+        }
+
+        return { earliest: range.first, latest: range.last };
+    }
+
+    /**
+     * Format the date in the Gregorian calendar
+     * Dates of other calendars that do not cover exactly one day are shown
+     * as the Gregorian days they span, e.g. "22 SEP 1798 - 21 OCT 1798".
+     * @returns {string} Gregorian date with its qualifier, or '' if unknown
+     */
+    toGregorianString() {
+        const range = this.getJulianDayRange();
+        if (!range) return '';
+
+        const parts = this.isRange || this.isPeriod ? [this.startDate, this.endDate].filter(Boolean) : [this];
+        if (parts.every(part => part.calendar === 'GREGORIAN')) {
+            return this.toGEDCOM();
+        }
+
+        if (this.isRange) {
+            return `BET ${Calendar.formatGregorian(range.first)} AND ${Calendar.formatGregorian(range.last)}`;
+        }
+        if (this.isPeriod) {
+            const from = this.startDate ? `FROM ${Calendar.formatGregorian(range.first)}` : '';
+            const to = this.endDate ? `TO ${Calendar.formatGregorian(range.last)}` : '';
+            return `${from} ${to}`.trim();
+        }
+
+        let result = this._getQualifier();
+
+        if (range.first === range.last) {
+            result += Calendar.formatGregorian(range.first);
+        } else {
+            result += `${Calendar.formatGregorian(range.first)} - ${Calendar.formatGregorian(range.last)}`;
+        }
+
+        if (this.isInterpreted) {
+            result += ` (${this.phrase || ''})`;
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the GEDCOM qualifier of a single date, followed by a space
+     * @private
+     * @returns {string} "BEF ", "AFT ", "ABT ", "CAL ", "EST ", "INT " or ''
+     */
+    _getQualifier() {
+        if (this.isBefore) return 'BEF ';
+        if (this.isAfter) return 'AFT ';
+        if (this.isCalculated) return 'CAL ';
+        if (this.isEstimated) return 'EST ';
+        if (this.isAbout) return 'ABT ';
+        if (this.isInterpreted) return 'INT ';
+        return '';
     }
 
     /**
@@ -325,6 +602,13 @@ class DateModel {
         if (this.isRange || !this.year) {
             return null;
         }
+
+        if (this.calendar !== 'GREGORIAN') {
+            const range = this.getJulianDayRange();
+            if (!range) return null;
+            const { year, month, day } = Calendar.toGregorian(range.first);
+            return new Date(year, month - 1, day);
+        }
         
         const month = this.month ? this.month - 1 : 0; // JavaScript months are 0-based
         const day = this.day || 1;
@@ -345,24 +629,37 @@ class DateModel {
             return `BET ${this.startDate.toGEDCOM()} AND ${this.endDate.toGEDCOM()}`;
         }
 
-        let result = '';
-        
+        if (this.isPeriod) {
+            const from = this.startDate ? `FROM ${this.startDate.toGEDCOM()}` : '';
+            const to = this.endDate ? `TO ${this.endDate.toGEDCOM()}` : '';
+            return `${from} ${to}`.trim();
+        }
+
+        if (!this.year && this.phrase !== null) {
+            return `(${this.phrase})`;
+        }
+
         // Add qualifiers
-        if (this.isBefore) result += 'BEF ';
-        else if (this.isAfter) result += 'AFT ';
-        else if (this.isAbout) result += 'ABT ';
+        let result = this._getQualifier();
+
+        // Add the calendar escape for non-Gregorian dates
+        if (this.calendar !== 'GREGORIAN' && this.year) {
+            result += `@#D${this.calendar}@ `;
+        }
 
         // Add date components in GEDCOM format (DD MMM YYYY)
+        const monthNames = Calendar.getMonthNames(this.calendar);
+        const year = this.isDualYear ? `${this.year - 1}/${(this.year % 100).toString().padStart(2, '0')}` : this.year;
         if (this.day && this.month && this.year) {
-            const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN',
-                              'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
-            result += `${this.day} ${monthNames[this.month - 1]} ${this.year}`;
+            result += `${this.day} ${monthNames[this.month - 1]} ${year}`;
         } else if (this.month && this.year) {
-            const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN',
-                              'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
-            result += `${monthNames[this.month - 1]} ${this.year}`;
+            result += `${monthNames[this.month - 1]} ${year}`;
         } else if (this.year) {
-            result += `${this.year}`;
+            result += `${year}`;
+        }
+
+        if (this.isInterpreted) {
+            result += ` (${this.phrase || ''})`;
         }
 
         return result.trim();
@@ -370,6 +667,7 @@ class DateModel {
 
     /**
      * Format the date as an ISO string (YYYY-MM-DD)
+     * Dates of other calendars are converted to Gregorian (their first day).
      * @returns {string} ISO formatted date string
      */
     toISO() {
@@ -377,6 +675,13 @@ class DateModel {
             return '';
         }
 
+        if (this.calendar !== 'GREGORIAN') {
+            const range = this.getJulianDayRange();
+            if (!range) return '';
+            const { year, month, day } = Calendar.toGregorian(range.first);
+            return `${year.toString().padStart(4, '0')}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+        }
+
         const year = this.year.toString().padStart(4, '0');
         const month = this.month ? this.month.toString().padStart(2, '0') : '01';
         const day = this.day ? this.day.toString().padStart(2, '0') : '01';
@@ -401,13 +706,34 @@ class DateModel {
             return `Between ${startStr} and ${endStr}`;
         }
 
+        // Handle periods
+        if (this.isPeriod) {
+            const from = this.startDate ? `From ${this._formatDateString(this.startDate)}` : '';
+            const to = this.endDate ? `${from ? 'to' : 'To'} ${this._formatDateString(this.endDate)}` : '';
+            return `${from} ${to}`.trim();
+        }
+
+        // Handle date phrases
+        if (!this.year && this.phrase !== null) {
+            return `Phrase (${this.phrase})`;
+        }
+
         // Handle single dates
-        const dateStr = this._formatDateString(this);
+        let dateStr = this._formatDateString(this);
+        if (this.calendar !== 'GREGORIAN') {
+            dateStr += ` (${Calendar.getDisplayName(this.calendar)})`;
+        }
         
         if (this.isBefore) {
             return `Before ${dateStr}`;
         } else if (this.isAfter) {
             return `After ${dateStr}`;
+        } else if (this.isCalculated) {
+            return `Calculated ${dateStr}`;
+        } else if (this.isEstimated) {
+            return `Estimated ${dateStr}`;
+        } else if (this.isInterpreted) {
+            return `Interpreted ${dateStr} (${this.phrase || ''})`;
         } else if (this.isAbout || this.isApproximate) {
             return `About ${dateStr}`;
         } else {
@@ -438,7 +764,9 @@ class DateModel {
                this.day === null &&
                this.month === null &&
                this.year === null &&
+               this.isDualYear === false &&
                this.isRange === false &&
+               this.isPeriod === false &&
                this.startDate === null &&
                this.endDate === null &&
                this.isApproximate === false &&
@@ -447,6 +775,8 @@ class DateModel {
                this.isBefore === false &&
                this.isAfter === false &&
                this.isAbout === false &&
+               this.isInterpreted === false &&
+               this.phrase === null &&
                this.calendar === 'GREGORIAN';
     }
 
@@ -487,6 +817,16 @@ class DateModel {
         const thisDate = this.isRange ? this.startDate : this;
         const otherDate = other.isRange ? other.startDate : other;
 
+        // Dates of different calendars are compared by their first day
+        if (thisDate.calendar !== otherDate.calendar) {
+            const thisDay = thisDate.getJulianDayRange();
+            const otherDay = otherDate.getJulianDayRange();
+            if (!thisDay || !otherDay || thisDay.first === otherDay.first) {
+                return 0;
+            }
+            return thisDay.first < otherDay.first ? -1 : 1;
+        }
+
         if (thisDate.year !== otherDate.year) {
             return thisDate.year < otherDate.year ? -1 : 1;
         }
@@ -516,13 +856,19 @@ class DateModel {
         clone.day = this.day;
         clone.month = this.month;
         clone.year = this.year;
+        clone.isDualYear = this.isDualYear;
         clone.isRange = this.isRange;
+        clone.isPeriod = this.isPeriod;
         clone.startDate = this.startDate ? this.startDate.clone() : null;
         clone.endDate = this.endDate ? this.endDate.clone() : null;
         clone.isApproximate = this.isApproximate;
+        clone.isEstimated = this.isEstimated;
+        clone.isCalculated = this.isCalculated;
         clone.isAbout = this.isAbout;
         clone.isBefore = this.isBefore;
         clone.isAfter = this.isAfter;
+        clone.isInterpreted = this.isInterpreted;
+        clone.phrase = this.phrase;
         clone.calendar = this.calendar;
         return clone;
     }
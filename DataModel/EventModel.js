@@ -68,10 +68,11 @@ class EventModel {
     /**
      * Set the event date by parsing a date string
      * @param {string} dateString - The date string to parse
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years
      * @throws {Error} If the date format is invalid or date values are out of range
      */
-    setDate(dateString) {
-        this.date.parseDateString(dateString);
+    setDate(dateString, yearRange) {
+        this.date.parseDateString(dateString, yearRange);
     }
 
     /**
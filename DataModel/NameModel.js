@@ -6,6 +6,16 @@
  * @version 1.0.0
  */
 
+// Soundex digit of each consonant; vowels, H, W and Y have none
+const SOUNDEX_CODES = {
+    'B': '1', 'F': '1', 'P': '1', 'V': '1',
+    'C': '2', 'G': '2', 'J': '2', 'K': '2', 'Q': '2', 'S': '2', 'X': '2', 'Z': '2',
+    'D': '3', 'T': '3',
+    'L': '4',
+    'M': '5', 'N': '5',
+    'R': '6'
+};
+
 class NameModel {
     /**
      * Create a new NameModel
@@ -168,6 +178,19 @@ class NameModel {
         return givenMatch && surnameMatch;
     }
 
+    /**
+     * Get a sound key of the surname for grouping names before comparing them
+     * This is the surname's Soundex code with its first letter replaced by the
+     * letter's Soundex digit, so spellings that start with letters of the same
+     * sound (Klein and Clein, Vogt and Fogt) share the key. Vowels, H, W and Y
+     * keep their letter.
+     * @returns {string} Four-character key, "0000" if there is no surname
+     */
+    getSurnameSoundKey() {
+        const soundex = this._getSoundex(this.surname);
+        return (SOUNDEX_CODES[soundex.charAt(0)] || soundex.charAt(0)) + soundex.slice(1);
+    }
+
     /**
      * Generate Soundex code for a string
      * @param {string} str - The string to generate Soundex for
@@ -190,14 +213,7 @@ class NameModel {
         let soundex = str.charAt(0);
         
         // Soundex mapping
-        const mapping = {
-            'B': '1', 'F': '1', 'P': '1', 'V': '1',
-            'C': '2', 'G': '2', 'J': '2', 'K': '2', 'Q': '2', 'S': '2', 'X': '2', 'Z': '2',
-            'D': '3', 'T': '3',
-            'L': '4',
-            'M': '5', 'N': '5',
-            'R': '6'
-        };
+        const mapping = SOUNDEX_CODES;
 
         let previousCode = mapping[soundex] || '';
 
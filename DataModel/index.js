@@ -6,6 +6,7 @@
  * @version 1.0.0
  */
 
+const Calendar = require('./Calendar');
 const DateModel = require('./DateModel');
 const EventModel = require('./EventModel');
 const NameModel = require('./NameModel');
@@ -15,6 +16,7 @@ const EntryModel = require('./EntryModel');
 const PageModel = require('./PageModel');
 
 module.exports = {
+    Calendar,
     DateModel,
     EventModel,
     NameModel,
@@ -0,0 +1,283 @@
+/**
+ * GedDecoder - A class for detecting and decoding GEDCOM character sets
+ * Honors the `1 CHAR` header value and byte-order marks and decodes
+ * UTF-8, UTF-16, ANSEL and Windows-1252 (ANSI / Latin-1) files
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+// ANSEL spacing characters (0xA1-0xCF), including the GEDCOM additions
+const ANSEL_CHARACTERS = {
+    0xA1: 'Ł', 0xA2: 'Ø', 0xA3: 'Đ', 0xA4: 'Þ', 0xA5: 'Æ',
+    0xA6: 'Œ', 0xA7: 'ʹ', 0xA8: '·', 0xA9: '♭', 0xAA: '®',
+    0xAB: '±', 0xAC: 'Ơ', 0xAD: 'Ư', 0xAE: 'ʼ', 0xB0: 'ʻ',
+    0xB1: 'ł', 0xB2: 'ø', 0xB3: 'đ', 0xB4: 'þ', 0xB5: 'æ',
+    0xB6: 'œ', 0xB7: 'ʺ', 0xB8: 'ı', 0xB9: '£', 0xBA: 'ð',
+    0xBC: 'ơ', 0xBD: 'ư', 0xBE: '□', 0xBF: '■', 0xC0: '°',
+    0xC1: 'ℓ', 0xC2: '℗', 0xC3: '©', 0xC4: '♯', 0xC5: '¿',
+    0xC6: '¡', 0xC7: 'ß', 0xC8: '€', 0xCD: 'e', 0xCE: 'o',
+    0xCF: 'ß'
+};
+
+// ANSEL combining diacritics (0xE0-0xFE), written before the base letter
+const ANSEL_COMBINING = {
+    0xE0: '\u0309', 0xE1: '\u0300', 0xE2: '\u0301', 0xE3: '\u0302', 0xE4: '\u0303',
+    0xE5: '\u0304', 0xE6: '\u0306', 0xE7: '\u0307', 0xE8: '\u0308', 0xE9: '\u030C',
+    0xEA: '\u030A', 0xEB: '\uFE20', 0xEC: '\uFE21', 0xED: '\u0315', 0xEE: '\u030B',
+    0xEF: '\u0310', 0xF0: '\u0327', 0xF1: '\u0328', 0xF2: '\u0323', 0xF3: '\u0324',
+    0xF4: '\u0325', 0xF5: '\u0333', 0xF6: '\u0332', 0xF7: '\u0326', 0xF8: '\u031C',
+    0xF9: '\u032E', 0xFA: '\uFE22', 0xFB: '\uFE23', 0xFE: '\u0313'
+};
+
+// Map of `1 CHAR` values to the encodings used for decoding
+const DECLARED_ENCODINGS = {
+    'UTF-8': 'UTF-8',
+    'UTF8': 'UTF-8',
+    'UNICODE': 'UTF-16',
+    'UTF-16': 'UTF-16',
+    'ANSEL': 'ANSEL',
+    'ANSI': 'WINDOWS-1252',
+    'WINDOWS-1252': 'WINDOWS-1252',
+    'CP1252': 'WINDOWS-1252',
+    'LATIN1': 'WINDOWS-1252',
+    'ISO-8859-1': 'WINDOWS-1252',
+    'ISO8859-1': 'WINDOWS-1252',
+    'ASCII': 'ASCII'
+};
+
+// Encoding names understood by TextDecoder
+const TEXT_DECODER_ENCODINGS = {
+    'UTF-8': 'utf-8',
+    'UTF-16LE': 'utf-16le',
+    'UTF-16BE': 'utf-16be',
+    'WINDOWS-1252': 'windows-1252',
+    'ASCII': 'windows-1252'
+};
+
+class GedDecoder {
+    /**
+     * Create a new streaming GedDecoder
+     * @param {string} encoding - One of UTF-8, UTF-16LE, UTF-16BE, ANSEL, WINDOWS-1252 or ASCII
+     * @throws {Error} If the encoding is not supported
+     */
+    constructor(encoding) {
+        this.encoding = encoding;
+        this.pendingCombining = ''; // ANSEL diacritics waiting for their base letter
+
+        if (encoding !== 'ANSEL') {
+            if (!TEXT_DECODER_ENCODINGS[encoding]) {
+                throw new Error(`Unsupported character set: ${encoding}`);
+            }
+            this.textDecoder = new TextDecoder(TEXT_DECODER_ENCODINGS[encoding]);
+        }
+    }
+
+    /**
+     * Decode the next chunk of bytes
+     * @param {Buffer} buffer - Bytes to decode
+     * @returns {string} Decoded text (may hold back incomplete characters)
+     */
+    write(buffer) {
+        if (this.textDecoder) {
+            return this.textDecoder.decode(buffer, { stream: true });
+        }
+        return this._decodeAnsel(buffer);
+    }
+
+    /**
+     * Finish decoding and flush any held-back bytes
+     * @returns {string} Remaining decoded text
+     */
+    end() {
+        if (this.textDecoder) {
+            return this.textDecoder.decode();
+        }
+
+        // Diacritics at the very end have no base letter, keep them as they are
+        const remaining = this.pendingCombining;
+        this.pendingCombining = '';
+        return remaining;
+    }
+
+    /**
+     * Decode ANSEL bytes, moving combining diacritics after their base letter
+     * @param {Buffer} buffer - Bytes to decode
+     * @returns {string} Decoded text in Unicode NFC form
+     * @private
+     */
+    _decodeAnsel(buffer) {
+        let result = '';
+
+        for (const byte of buffer) {
+            if (ANSEL_COMBINING[byte]) {
+                this.pendingCombining += ANSEL_COMBINING[byte];
+                continue;
+            }
+
+            let character;
+            if (byte < 0x80) {
+                character = String.fromCharCode(byte);
+            } else {
+                character = ANSEL_CHARACTERS[byte] || '\uFFFD';
+            }
+
+            result += character + this.pendingCombining;
+            this.pendingCombining = '';
+        }
+
+        return result.normalize('NFC');
+    }
+
+    /**
+     * Decode a complete buffer
+     * @param {Buffer} buffer - Bytes to decode
+     * @param {string} encoding - Encoding returned by GedDecoder.detect()
+     * @returns {string} Decoded text
+     */
+    static decode(buffer, encoding) {
+        const decoder = new GedDecoder(encoding);
+        return decoder.write(buffer) + decoder.end();
+    }
+
+    /**
+     * Detect the character set of a GEDCOM file from its first bytes
+     * Byte-order marks and the byte pattern of the content take precedence
+     * over the `1 CHAR` header value when the two disagree.
+     * @param {Buffer} buffer - The start of the file (or the whole file)
+     * @returns {Object} Character set information:
+     *   encoding (used for decoding), declared (CHAR value or null),
+     *   detected (encoding suggested by the bytes or null), bom (boolean),
+     *   mismatch (boolean) and message (description of any problem)
+     */
+    static detect(buffer) {
+        const result = {
+            encoding: 'UTF-8',
+            declared: null,
+            detected: null,
+            bom: false,
+            mismatch: false,
+            message: ''
+        };
+
+        // Byte-order marks and the UTF-16 null-byte pattern of "0 HEAD"
+        if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+            result.detected = 'UTF-8';
+            result.bom = true;
+        } else if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+            result.detected = 'UTF-16LE';
+            result.bom = true;
+        } else if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+            result.detected = 'UTF-16BE';
+            result.bom = true;
+        } else if (buffer[0] === 0x30 && buffer[1] === 0x00) {
+            result.detected = 'UTF-16LE';
+        } else if (buffer[0] === 0x00 && buffer[1] === 0x30) {
+            result.detected = 'UTF-16BE';
+        } else {
+            result.detected = GedDecoder._detectEightBit(buffer);
+        }
+
+        // Read the declared character set from the header
+        const isUtf16 = result.detected && result.detected.startsWith('UTF-16');
+        const headerText = isUtf16
+            ? new TextDecoder(TEXT_DECODER_ENCODINGS[result.detected]).decode(buffer.subarray(0, 8192))
+            : buffer.subarray(0, 8192).toString('latin1');
+        result.declared = GedDecoder._findDeclaredCharset(headerText);
+
+        const declaredEncoding = result.declared ? DECLARED_ENCODINGS[result.declared.toUpperCase()] : null;
+
+        if (result.declared && !declaredEncoding) {
+            result.mismatch = true;
+            result.message = `Unsupported character set "${result.declared}" declared in header`;
+        }
+
+        if (isUtf16) {
+            result.encoding = result.detected;
+            if (declaredEncoding && declaredEncoding !== 'UTF-16') {
+                result.mismatch = true;
+                result.message = `Header declares ${result.declared} but the file is encoded as ${result.detected}`;
+            }
+        } else if (declaredEncoding === 'UTF-16') {
+            result.encoding = result.detected === 'WINDOWS-1252' ? 'WINDOWS-1252' : 'UTF-8';
+            result.mismatch = true;
+            result.message = `Header declares ${result.declared} but the file is not encoded as UTF-16`;
+        } else if (result.detected === 'UTF-8' && declaredEncoding && declaredEncoding !== 'UTF-8'
+                   && (result.bom || declaredEncoding === 'ASCII' || GedDecoder._hasMultiByteUtf8(buffer))) {
+            result.encoding = 'UTF-8';
+            result.mismatch = true;
+            result.message = `Header declares ${result.declared} but the file is encoded as UTF-8`;
+        } else if (result.detected === 'WINDOWS-1252' && (declaredEncoding === 'UTF-8' || declaredEncoding === 'ASCII')) {
+            result.encoding = 'WINDOWS-1252';
+            result.mismatch = true;
+            result.message = `Header declares ${result.declared} but the file contains bytes that are not valid ${result.declared}; decoded as Windows-1252`;
+        } else if (declaredEncoding) {
+            result.encoding = declaredEncoding;
+        } else {
+            result.encoding = result.detected || 'UTF-8';
+        }
+
+        return result;
+    }
+
+    /**
+     * Guess the encoding of an 8-bit file from its bytes
+     * @param {Buffer} buffer - Bytes to examine
+     * @returns {string|null} 'UTF-8', 'WINDOWS-1252', or null for plain ASCII
+     * @private
+     */
+    static _detectEightBit(buffer) {
+        if (!buffer.some(byte => byte >= 0x80)) {
+            return null;
+        }
+
+        try {
+            // Streaming mode tolerates a multi-byte character cut off at the end of a sample
+            new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+            return 'UTF-8';
+        } catch (error) {
+            return 'WINDOWS-1252';
+        }
+    }
+
+    /**
+     * Check whether a buffer contains UTF-8 multi-byte sequences
+     * @param {Buffer} buffer - Bytes to examine
+     * @returns {boolean} True if a UTF-8 lead byte followed by a continuation byte is found
+     * @private
+     */
+    static _hasMultiByteUtf8(buffer) {
+        for (let i = 0; i < buffer.length - 1; i++) {
+            if (buffer[i] >= 0xC2 && buffer[i] <= 0xF4 && (buffer[i + 1] & 0xC0) === 0x80) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Find the `1 CHAR` value in the HEAD record
+     * @param {string} headerText - Text at the start of the file
+     * @returns {string|null} The declared character set or null
+     * @private
+     */
+    static _findDeclaredCharset(headerText) {
+        const lines = headerText.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line.startsWith('0 ')) break; // End of HEAD record
+
+            const match = line.match(/^1\s+CHAR\s+(\S+)/);
+            if (match) return match[1];
+        }
+
+        return null;
+    }
+}
+
+// Character tables, shared with GedEncoder
+GedDecoder.ANSEL_CHARACTERS = ANSEL_CHARACTERS;
+GedDecoder.ANSEL_COMBINING = ANSEL_COMBINING;
+
+module.exports = GedDecoder;
@@ -0,0 +1,155 @@
+/**
+ * GedEncoder - A class for encoding GEDCOM text in a file's character set
+ * The counterpart of GedDecoder: writes UTF-8, UTF-16, ANSEL and
+ * Windows-1252 (ANSI / Latin-1) so that decoded files can be written back
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const GedDecoder = require('./GedDecoder');
+
+// Unicode characters of the ANSEL spacing and combining bytes
+// (later entries win, so the GEDCOM sharp s 0xCF is used instead of 0xC7)
+const ANSEL_BYTES = new Map();
+for (const table of [GedDecoder.ANSEL_CHARACTERS, GedDecoder.ANSEL_COMBINING]) {
+    for (const [byte, character] of Object.entries(table)) {
+        if (character.charCodeAt(0) >= 0x80) {
+            ANSEL_BYTES.set(character, Number(byte));
+        }
+    }
+}
+
+// Unicode characters of the Windows-1252 bytes 0x80-0x9F
+const WINDOWS_1252_BYTES = new Map();
+const windows1252 = new TextDecoder('windows-1252');
+for (let byte = 0x80; byte <= 0x9F; byte++) {
+    WINDOWS_1252_BYTES.set(windows1252.decode(Buffer.from([byte])), byte);
+}
+
+// Byte-order marks written when the original file had one
+const BYTE_ORDER_MARKS = {
+    'UTF-8': Buffer.from([0xEF, 0xBB, 0xBF]),
+    'UTF-16LE': Buffer.from([0xFF, 0xFE]),
+    'UTF-16BE': Buffer.from([0xFE, 0xFF])
+};
+
+// Byte written for characters the character set cannot represent
+const REPLACEMENT_BYTE = 0x3F; // '?'
+
+class GedEncoder {
+    /**
+     * Create a new GedEncoder
+     * @param {string} encoding - One of UTF-8, UTF-16LE, UTF-16BE, ANSEL, WINDOWS-1252 or ASCII
+     * @throws {Error} If the encoding is not supported
+     */
+    constructor(encoding) {
+        if (!['UTF-8', 'UTF-16LE', 'UTF-16BE', 'ANSEL', 'WINDOWS-1252', 'ASCII'].includes(encoding)) {
+            throw new Error(`Unsupported character set: ${encoding}`);
+        }
+        this.encoding = encoding;
+    }
+
+    /**
+     * Encode text
+     * @param {string} text - Text to encode
+     * @returns {Buffer} The encoded bytes
+     */
+    encode(text) {
+        switch (this.encoding) {
+            case 'UTF-8':
+                return Buffer.from(text, 'utf8');
+            case 'UTF-16LE':
+                return Buffer.from(text, 'utf16le');
+            case 'UTF-16BE':
+                return Buffer.from(text, 'utf16le').swap16();
+            case 'ANSEL':
+                return this._encodeAnsel(text);
+            default:
+                // ASCII files are decoded as Windows-1252, so write them the same way
+                return this._encodeWindows1252(text);
+        }
+    }
+
+    /**
+     * Get the byte-order mark of the encoding
+     * @returns {Buffer} The byte-order mark, empty for 8-bit encodings
+     */
+    byteOrderMark() {
+        return BYTE_ORDER_MARKS[this.encoding] || Buffer.alloc(0);
+    }
+
+    /**
+     * Encode text as Windows-1252
+     * @param {string} text - Text to encode
+     * @returns {Buffer} The encoded bytes
+     * @private
+     */
+    _encodeWindows1252(text) {
+        const bytes = [];
+
+        for (const character of text) {
+            const code = character.codePointAt(0);
+            if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) {
+                bytes.push(code);
+            } else {
+                bytes.push(WINDOWS_1252_BYTES.has(character) ? WINDOWS_1252_BYTES.get(character) : REPLACEMENT_BYTE);
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Encode text as ANSEL, writing combining diacritics before their base letter
+     * @param {string} text - Text to encode
+     * @returns {Buffer} The encoded bytes
+     * @private
+     */
+    _encodeAnsel(text) {
+        const bytes = [];
+        let base = null; // Bytes of the current base character
+        let marks = []; // Combining diacritics that follow it in Unicode
+
+        const flush = () => {
+            if (base) {
+                bytes.push(...marks, ...base);
+            }
+            base = null;
+            marks = [];
+        };
+
+        for (const character of text.normalize('NFD')) {
+            const code = character.codePointAt(0);
+            const byte = ANSEL_BYTES.get(character);
+
+            if (byte >= 0xE0) {
+                if (base) {
+                    marks.push(byte);
+                } else {
+                    bytes.push(byte);
+                }
+                continue;
+            }
+
+            flush();
+
+            if (code < 0x80) {
+                base = [code];
+            } else if (byte !== undefined) {
+                base = [byte];
+            } else if (/\p{M}/u.test(character)) {
+                // A diacritic ANSEL cannot represent is dropped
+                continue;
+            } else {
+                base = [REPLACEMENT_BYTE];
+            }
+        }
+
+        flush();
+
+        return Buffer.from(bytes);
+    }
+}
+
+module.exports = GedEncoder;
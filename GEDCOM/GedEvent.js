@@ -6,6 +6,8 @@
  * @version 1.0.0
  */
 
+const GedRecord = require('./GedRecord');
+
 class GedEvent {
     /**
      * Create a new GedEvent
@@ -161,6 +163,42 @@ class GedEvent {
         return `<${parts.join(', ')}>`;
     }
 
+    /**
+     * Write changes of this event into the event record of a person or family
+     * The last event record with the tag is changed, as that is the one the
+     * models read. An event record is added if the event has data and
+     * removed if nothing is left in it.
+     * @param {Object} gedcomRecord - The raw INDI or FAM record
+     * @param {string} tag - Tag of the event record (e.g. "BIRT")
+     * @param {GedEvent} current - The event as read from the record
+     */
+    updateGedcomRecord(gedcomRecord, tag, current) {
+        const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+        const changed = {
+            date: this.date !== current.date,
+            place: this.place !== current.place,
+            sources: !sameList(this.sources, current.sources),
+            notes: !sameList(this.notes, current.notes)
+        };
+        if (!Object.values(changed).some(Boolean)) return;
+
+        const hasData = this.date || this.place || this.sources.length > 0 || this.notes.length > 0;
+        let eventRecord = GedRecord.findChild(gedcomRecord, tag, true);
+        if (!eventRecord) {
+            if (!hasData) return;
+            eventRecord = GedRecord.addChild(gedcomRecord, tag);
+        }
+
+        if (changed.date) GedRecord.setChildValue(eventRecord, 'DATE', this.date, true);
+        if (changed.place) GedRecord.setChildValue(eventRecord, 'PLAC', this.place, true);
+        if (changed.sources) GedRecord.setChildValues(eventRecord, 'SOUR', this.sources);
+        if (changed.notes) GedRecord.setChildValues(eventRecord, 'NOTE', this.notes);
+
+        if (!hasData && !eventRecord.value && eventRecord.children.length === 0) {
+            GedRecord.removeChild(gedcomRecord, eventRecord);
+        }
+    }
+
     /**
      * Create a copy of this GedEvent
      * @returns {GedEvent} A new GedEvent instance with the same data
@@ -7,44 +7,45 @@
  */
 
 const GedEvent = require('./GedEvent');
+const GedRecord = require('./GedRecord');
 
 class GedFamily {
     /**
      * Create a new GedFamily
-     * @param {number} [father] - Integer ID for father
-     * @param {number} [mother] - Integer ID for mother
-     * @param {Array<number>} [children] - Array of integer IDs for children
+     * @param {string} [father] - Xref of the father (e.g. "@I1@")
+     * @param {string} [mother] - Xref of the mother
+     * @param {Array<string>} [children] - Xrefs of the children
      * @param {GedEvent} [marriage] - GedEvent for marriage event
      */
-    constructor(father = 0, mother = 0, children = [], marriage = null) {
-        this.father = parseInt(father) || 0;
-        this.mother = parseInt(mother) || 0;
-        this.children = children ? children.map(id => parseInt(id)).filter(id => id > 0) : [];
+    constructor(father = '', mother = '', children = [], marriage = null) {
+        this.father = GedFamily.normalizeXref(father);
+        this.mother = GedFamily.normalizeXref(mother);
+        this.children = children ? children.map(id => GedFamily.normalizeXref(id)).filter(id => id !== '') : [];
         this.marriage = marriage ? marriage.clone() : new GedEvent('MARR');
     }
 
     /**
-     * Set the father ID
-     * @param {number} father - Integer ID for father
+     * Set the father xref
+     * @param {string} father - Xref of the father
      */
     setFather(father) {
-        this.father = parseInt(father) || 0;
+        this.father = GedFamily.normalizeXref(father);
     }
 
     /**
-     * Set the mother ID
-     * @param {number} mother - Integer ID for mother
+     * Set the mother xref
+     * @param {string} mother - Xref of the mother
      */
     setMother(mother) {
-        this.mother = parseInt(mother) || 0;
+        this.mother = GedFamily.normalizeXref(mother);
     }
 
     /**
-     * Set the children IDs
-     * @param {Array<number>} children - Array of integer IDs for children
+     * Set the children xrefs
+     * @param {Array<string>} children - Xrefs of the children
      */
     setChildren(children) {
-        this.children = children ? children.map(id => parseInt(id)).filter(id => id > 0) : [];
+        this.children = children ? children.map(id => GedFamily.normalizeXref(id)).filter(id => id !== '') : [];
     }
 
     /**
@@ -56,22 +57,22 @@ class GedFamily {
     }
 
     /**
-     * Add a child ID
-     * @param {number} childId - Integer ID for child to add
+     * Add a child xref
+     * @param {string} childId - Xref of the child to add
      */
     addChild(childId) {
-        const id = parseInt(childId);
-        if (id > 0 && !this.children.includes(id)) {
+        const id = GedFamily.normalizeXref(childId);
+        if (id !== '' && !this.children.includes(id)) {
             this.children.push(id);
         }
     }
 
     /**
-     * Remove a child ID
-     * @param {number} childId - Integer ID for child to remove
+     * Remove a child xref
+     * @param {string} childId - Xref of the child to remove
      */
     removeChild(childId) {
-        const id = parseInt(childId);
+        const id = GedFamily.normalizeXref(childId);
         const index = this.children.indexOf(id);
         if (index > -1) {
             this.children.splice(index, 1);
@@ -79,24 +80,24 @@ class GedFamily {
     }
 
     /**
-     * Get the father ID
-     * @returns {number} Father's integer ID
+     * Get the father xref
+     * @returns {string} Father's xref, or '' if there is none
      */
     getFather() {
         return this.father;
     }
 
     /**
-     * Get the mother ID
-     * @returns {number} Mother's integer ID
+     * Get the mother xref
+     * @returns {string} Mother's xref, or '' if there is none
      */
     getMother() {
         return this.mother;
     }
 
     /**
-     * Get the children IDs
-     * @returns {Array<number>} Array of children's integer IDs
+     * Get the children xrefs
+     * @returns {Array<string>} Xrefs of the children
      */
     getChildren() {
         return [...this.children];
@@ -115,8 +116,8 @@ class GedFamily {
      * @returns {boolean} True if all attributes are empty
      */
     isEmpty() {
-        return this.father === 0 &&
-               this.mother === 0 &&
+        return this.father === '' &&
+               this.mother === '' &&
                this.children.length === 0 &&
                this.marriage.isEmpty();
     }
@@ -126,8 +127,8 @@ class GedFamily {
      * @returns {boolean} True if the family has valid data
      */
     isValid() {
-        return this.father > 0 ||
-               this.mother > 0 ||
+        return this.father !== '' ||
+               this.mother !== '' ||
                this.children.length > 0 ||
                !this.marriage.isEmpty();
     }
@@ -137,7 +138,7 @@ class GedFamily {
      * @returns {boolean} True if has father or mother
      */
     hasParents() {
-        return this.father > 0 || this.mother > 0;
+        return this.father !== '' || this.mother !== '';
     }
 
     /**
@@ -167,11 +168,11 @@ class GedFamily {
 
         const parts = [];
 
-        if (this.father > 0) {
+        if (this.father) {
             parts.push(`Father: ${this.father}`);
         }
 
-        if (this.mother > 0) {
+        if (this.mother) {
             parts.push(`Mother: ${this.mother}`);
         }
 
@@ -201,9 +202,12 @@ class GedFamily {
 
     /**
      * Convert this GedFamily to a FamilyModel
+     * FamilyModel uses integer person IDs, so xrefs are looked up in a map.
+     * @param {Map<string, number>} [personNumbers] - Integer ID of each person xref
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years, e.g. CheckProfile.getYearRange()
      * @returns {FamilyModel} A new FamilyModel instance with converted data
      */
-    toFamilyModel() {
+    toFamilyModel(personNumbers = new Map(), yearRange) {
         const EventModel = require('../DataModel/EventModel');
         const DateModel = require('../DataModel/DateModel');
         const FamilyModel = require('../DataModel/FamilyModel');
@@ -214,7 +218,7 @@ class GedFamily {
             let dateModel = new DateModel();
             if (this.marriage.getDate()) {
                 try {
-                    dateModel.parseGedcomDate(this.marriage.getDate());
+                    dateModel.parseGedcomDate(this.marriage.getDate(), yearRange);
                 } catch (error) {
                     // If parsing fails, store as original string
                     dateModel.originalString = this.marriage.getDate();
@@ -223,32 +227,63 @@ class GedFamily {
             marriageModel = new EventModel(dateModel, this.marriage.getPlace());
         }
 
-        // Convert father and mother IDs (0 becomes null for FamilyModel)
-        const husbandId = this.father > 0 ? this.father : null;
-        const wifeId = this.mother > 0 ? this.mother : null;
+        // Convert father and mother xrefs (unknown people become null for FamilyModel)
+        const husbandId = personNumbers.get(this.father) || null;
+        const wifeId = personNumbers.get(this.mother) || null;
 
-        // Children array can be used directly
-        const childrenIds = [...this.children];
+        const childrenIds = this.children
+            .map(childId => personNumbers.get(childId))
+            .filter(id => id !== undefined);
 
         return new FamilyModel(husbandId, wifeId, childrenIds, marriageModel);
     }
 
     /**
-     * Extract GEDCOM reference ID from a string (removes @ symbols)
-     * @param {string} refString - GEDCOM reference string like "@I123@" or "@F456@"
-     * @returns {number} Numeric ID extracted from reference
+     * Normalize a pointer value to an xref string
+     * @param {string} refString - GEDCOM pointer like "@I123@" or "@P1_2@"
+     * @returns {string} The trimmed xref, or '' if there is none
      */
-    static extractGedcomId(refString) {
+    static normalizeXref(refString) {
         if (!refString || typeof refString !== 'string') {
-            return 0;
+            return '';
         }
 
-        // Remove @ symbols and extract numeric part
-        const cleaned = refString.replace(/@/g, '');
-        
-        // Extract number from strings like "I123" or "F456"
-        const match = cleaned.match(/(\d+)/);
-        return match ? parseInt(match[1]) : 0;
+        return refString.trim();
+    }
+
+    /**
+     * Write changes of this family into its GEDCOM record
+     * Only the data fromGedcomRecord() reads is written; all other lines of
+     * the record, such as notes and vendor tags, are kept.
+     * @param {Object} gedcomRecord - The raw FAM record
+     */
+    updateGedcomRecord(gedcomRecord) {
+        const current = GedFamily.fromGedcomRecord(gedcomRecord);
+
+        // The last HUSB and WIFE lines are the ones that are read
+        if (this.father !== current.father) {
+            GedRecord.setChildValue(gedcomRecord, 'HUSB', this.father, true);
+        }
+        if (this.mother !== current.mother) {
+            GedRecord.setChildValue(gedcomRecord, 'WIFE', this.mother, true);
+        }
+
+        if (this.children.length !== current.children.length ||
+            this.children.some((childId, index) => childId !== current.children[index])) {
+            GedRecord.setChildValues(gedcomRecord, 'CHIL', this.children);
+        }
+
+        this.marriage.updateGedcomRecord(gedcomRecord, this.marriage.type || 'MARR', current.marriage);
+
+        // Divorce date and place are attributes of the marriage event
+        const divorce = { divorce_date: 'DATE', divorce_place: 'PLAC' };
+        for (const [attribute, tag] of Object.entries(divorce)) {
+            const value = this.marriage.getAttribute(attribute) || '';
+            if (value === (current.marriage.getAttribute(attribute) || '')) continue;
+
+            const divorceRecord = GedRecord.findChild(gedcomRecord, 'DIV', true) || (value ? GedRecord.addChild(gedcomRecord, 'DIV') : null);
+            if (divorceRecord) GedRecord.setChildValue(divorceRecord, tag, value, true);
+        }
     }
 
     /**
@@ -267,21 +302,15 @@ class GedFamily {
         for (const child of gedcomRecord.children) {
             switch (child.tag) {
                 case 'HUSB':
-                    // Extract father ID from GEDCOM reference
-                    const fatherId = GedFamily.extractGedcomId(child.value);
-                    family.setFather(fatherId);
+                    family.setFather(child.value);
                     break;
 
                 case 'WIFE':
-                    // Extract mother ID from GEDCOM reference
-                    const motherId = GedFamily.extractGedcomId(child.value);
-                    family.setMother(motherId);
+                    family.setMother(child.value);
                     break;
 
                 case 'CHIL':
-                    // Extract child ID from GEDCOM reference and add to children
-                    const childId = GedFamily.extractGedcomId(child.value);
-                    family.addChild(childId);
+                    family.addChild(child.value);
                     break;
 
                 case 'MARR':
@@ -8,6 +8,7 @@
 
 const GedName = require('./GedName');
 const GedEvent = require('./GedEvent');
+const GedRecord = require('./GedRecord');
 
 class GedIndividual {
     /**
@@ -20,8 +21,12 @@ class GedIndividual {
      * @param {GedEvent} [burial] - GedEvent for burial event
      * @param {string} [source] - Source string
      * @param {Array<string>} [references] - Array of reference strings
+     * @param {Array<string>} [spouseFamilies] - Family xrefs from FAMS (e.g. "@F1@")
+     * @param {Array<string>} [childFamilies] - Family xrefs from FAMC (e.g. "@F2@")
+     * @param {Object} [pedigrees] - PEDI value of FAMC links that have one, by family xref (e.g. { "@F2@": "adopted" })
      */
-    constructor(gender = '', name = null, birth = null, christening = null, death = null, burial = null, source = '', references = []) {
+    constructor(gender = '', name = null, birth = null, christening = null, death = null, burial = null, source = '', references = [],
+                spouseFamilies = [], childFamilies = [], pedigrees = {}) {
         this.gender = gender || '';
         this.name = name ? name.clone() : new GedName();
         this.birth = birth ? birth.clone() : new GedEvent('BIRT');
@@ -30,6 +35,9 @@ class GedIndividual {
         this.burial = burial ? burial.clone() : new GedEvent('BURI');
         this.source = source || '';
         this.references = references ? [...references] : [];
+        this.spouseFamilies = spouseFamilies ? [...spouseFamilies] : [];
+        this.childFamilies = childFamilies ? [...childFamilies] : [];
+        this.pedigrees = pedigrees ? { ...pedigrees } : {};
     }
 
     /**
@@ -170,6 +178,55 @@ class GedIndividual {
         return [...this.references];
     }
 
+    /**
+     * Add a family in which this person is a spouse (FAMS)
+     * @param {string} familyId - Family xref (e.g. "@F1@")
+     */
+    addSpouseFamily(familyId) {
+        if (familyId && !this.spouseFamilies.includes(familyId)) {
+            this.spouseFamilies.push(familyId);
+        }
+    }
+
+    /**
+     * Add a family in which this person is a child (FAMC)
+     * @param {string} familyId - Family xref (e.g. "@F2@")
+     * @param {string} [pedigree] - PEDI value of the link, e.g. "birth", "adopted" or "foster"
+     */
+    addChildFamily(familyId, pedigree = '') {
+        if (familyId && !this.childFamilies.includes(familyId)) {
+            this.childFamilies.push(familyId);
+        }
+        if (familyId && pedigree) {
+            this.pedigrees[familyId] = pedigree;
+        }
+    }
+
+    /**
+     * Get the families in which this person is a spouse
+     * @returns {Array<string>} Family xrefs from FAMS
+     */
+    getSpouseFamilies() {
+        return [...this.spouseFamilies];
+    }
+
+    /**
+     * Get the families in which this person is a child
+     * @returns {Array<string>} Family xrefs from FAMC
+     */
+    getChildFamilies() {
+        return [...this.childFamilies];
+    }
+
+    /**
+     * Get how this person is a child of a family, from the PEDI line of the FAMC link
+     * @param {string} familyId - Family xref (e.g. "@F2@")
+     * @returns {string} The PEDI value in lower case, e.g. "adopted", or '' if there is none
+     */
+    getPedigree(familyId) {
+        return (this.pedigrees[familyId] || '').toLowerCase();
+    }
+
     /**
      * Check if this GedIndividual is empty
      * @returns {boolean} True if all attributes are empty
@@ -245,15 +302,21 @@ class GedIndividual {
             this.death,
             this.burial,
             this.source,
-            this.references
+            this.references,
+            this.spouseFamilies,
+            this.childFamilies,
+            this.pedigrees
         );
     }
 
     /**
      * Convert this GedIndividual to a PersonModel
+     * PersonModel uses integer family IDs, so xrefs are looked up in a map.
+     * @param {Map<string, number>} [familyNumbers] - Integer ID of each family xref
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years, e.g. CheckProfile.getYearRange()
      * @returns {PersonModel} A new PersonModel instance with converted data
      */
-    toPersonModel() {
+    toPersonModel(familyNumbers = new Map(), yearRange) {
         const NameModel = require('../DataModel/NameModel');
         const EventModel = require('../DataModel/EventModel');
         const DateModel = require('../DataModel/DateModel');
@@ -274,7 +337,7 @@ class GedIndividual {
             let dateModel = new DateModel();
             if (gedEvent.getDate()) {
                 try {
-                    dateModel.parseGedcomDate(gedEvent.getDate());
+                    dateModel.parseGedcomDate(gedEvent.getDate(), yearRange);
                 } catch (error) {
                     // If parsing fails, store as original string
                     dateModel.originalString = gedEvent.getDate();
@@ -290,14 +353,10 @@ class GedIndividual {
         const christeningModel = convertGedEventToEventModel(this.christening);
         const burialModel = convertGedEventToEventModel(this.burial);
 
-        // Convert references to family IDs (extract numeric parts)
-        const familyIds = this.references.map(ref => {
-            if (typeof ref === 'string' && ref.startsWith('@F') && ref.endsWith('@')) {
-                const match = ref.match(/@F(\d+)@/);
-                return match ? parseInt(match[1]) : null;
-            }
-            return null;
-        }).filter(id => id !== null);
+        // Convert family references to family IDs
+        const familyIds = this.references
+            .map(ref => familyNumbers.get(ref))
+            .filter(id => id !== undefined);
 
         // Create PersonModel
         return new PersonModel(
@@ -313,6 +372,60 @@ class GedIndividual {
         );
     }
 
+    /**
+     * Write changes of this individual into its GEDCOM record
+     * Only the data fromGedcomRecord() reads is written; all other lines of
+     * the record, such as notes and vendor tags, are kept.
+     * @param {Object} gedcomRecord - The raw INDI record
+     */
+    updateGedcomRecord(gedcomRecord) {
+        const current = GedIndividual.fromGedcomRecord(gedcomRecord);
+        const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+        this.name.updateGedcomRecord(gedcomRecord, current.name);
+
+        if (this.gender !== current.gender) {
+            GedRecord.setChildValue(gedcomRecord, 'SEX', this.gender);
+        }
+
+        const events = { birth: 'BIRT', christening: 'CHR', death: 'DEAT', burial: 'BURI' };
+        for (const [event, tag] of Object.entries(events)) {
+            this[event].updateGedcomRecord(gedcomRecord, tag, current[event]);
+        }
+
+        if (this.source !== current.source) {
+            // The source is the PAGE of the first SOUR citation that has one
+            const citations = gedcomRecord.children.filter(child => child.tag === 'SOUR');
+            const citation = citations.find(child => (GedRecord.findChild(child, 'PAGE') || {}).value) ||
+                citations[0] || (this.source ? GedRecord.addChild(gedcomRecord, 'SOUR') : null);
+            if (citation) GedRecord.setChildValue(citation, 'PAGE', this.source);
+        }
+
+        if (!sameList(this.references, current.references)) {
+            // References are EVEN lines of TYPE Cref
+            const isReference = child => child.children.some(grandchild => grandchild.tag === 'TYPE' && grandchild.value === 'Cref');
+            for (const event of GedRecord.setChildValues(gedcomRecord, 'EVEN', this.references, isReference)) {
+                if (!isReference(event)) GedRecord.addChild(event, 'TYPE', 'Cref');
+            }
+        }
+
+        if (!sameList(this.spouseFamilies, current.spouseFamilies)) {
+            GedRecord.setChildValues(gedcomRecord, 'FAMS', this.spouseFamilies);
+        }
+
+        if (!sameList(this.childFamilies, current.childFamilies)) {
+            GedRecord.setChildValues(gedcomRecord, 'FAMC', this.childFamilies);
+        }
+
+        for (const familyId of this.childFamilies) {
+            const pedigree = this.pedigrees[familyId] || '';
+            if (pedigree !== (current.pedigrees[familyId] || '')) {
+                const link = gedcomRecord.children.find(child => child.tag === 'FAMC' && child.value === familyId);
+                GedRecord.setChildValue(link, 'PEDI', pedigree);
+            }
+        }
+    }
+
     /**
      * Create a GedIndividual from a GEDCOM individual record
      * @param {Object} gedcomRecord - The GEDCOM individual record
@@ -428,6 +541,16 @@ class GedIndividual {
                     }
                     break;
 
+                case 'FAMS':
+                    individual.addSpouseFamily(child.value);
+                    break;
+
+                case 'FAMC':
+                    // PEDI says whether the person is a birth, adopted or foster child
+                    const pedigree = (child.children || []).find(grandchild => grandchild.tag === 'PEDI');
+                    individual.addChildFamily(child.value, pedigree ? pedigree.value : '');
+                    break;
+
                 case 'EVEN':
                     // Process EVEN records to find Cref events
                     if (child.children) {
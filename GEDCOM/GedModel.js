@@ -8,6 +8,7 @@
 
 const GedIndividual = require('./GedIndividual');
 const GedFamily = require('./GedFamily');
+const GedRecord = require('./GedRecord');
 
 class GedModel {
     /**
@@ -23,6 +24,11 @@ class GedModel {
         this.repositories = {}; // Dictionary indexed by repository ID (@R1@, @R2@, etc.)
         this.trailer = {}; // TRLR record information
         this.unknownRecords = []; // Array for any unrecognized records
+        this.charset = null; // Character set information from GedDecoder.detect()
+        this.diagnostics = []; // Line-numbered problems found while parsing
+        this.records = []; // All level-0 records in file order (only kept for writing)
+        this.modelSnapshot = null; // Individuals and families as last written to the records, to find edits
+        this.layout = { lineEnding: null, finalLineEnding: true, trailingLines: [] }; // Line layout of the file
     }
 
     /**
@@ -115,6 +121,135 @@ class GedModel {
         this.unknownRecords.push(record);
     }
 
+    /**
+     * Set the character set information of the file
+     * @param {Object} charset - The result of GedDecoder.detect()
+     */
+    setCharset(charset) {
+        this.charset = charset;
+    }
+
+    /**
+     * Get the character set information of the file
+     * @returns {Object|null} Character set information or null if unknown
+     */
+    getCharset() {
+        return this.charset;
+    }
+
+    /**
+     * Add a level-0 record in file order
+     * @param {Object} record - The raw record tree
+     */
+    addRecord(record) {
+        this.records.push(record);
+    }
+
+    /**
+     * Get the level-0 records in file order
+     * Records are only kept when the file was read with the keepRecords option.
+     * @returns {Array<Object>} The raw record trees
+     */
+    getRecords() {
+        return this.records;
+    }
+
+    /**
+     * Remember the individuals and families as they are in the records
+     * Called by GedReader when records are kept for writing, and after
+     * edits were written into the records.
+     */
+    snapshotModels() {
+        this.modelSnapshot = {
+            individuals: GedModel._serializeModels(this.individuals),
+            families: GedModel._serializeModels(this.families)
+        };
+    }
+
+    /**
+     * Get the xrefs of individuals and families that were added, removed or
+     * changed since they were read or last written into the records
+     * @returns {Array<string>} The xrefs, or an empty array if no snapshot was taken
+     */
+    getChangedModels() {
+        if (!this.modelSnapshot) return [];
+
+        const changed = [];
+        for (const [name, models] of [['individuals', this.individuals], ['families', this.families]]) {
+            const before = this.modelSnapshot[name];
+            const after = GedModel._serializeModels(models);
+            for (const id of new Set([...before.keys(), ...after.keys()])) {
+                if (before.get(id) !== after.get(id)) changed.push(id);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Write edits of individuals and families into the records
+     * Records of changed models are updated, records of new models are added
+     * before the TRLR record and records of removed models are dropped.
+     * Called by GedWriter before the records are written.
+     * @throws {Error} If a changed individual or family is not a GedIndividual or GedFamily
+     */
+    updateRecords() {
+        for (const id of this.getChangedModels()) {
+            const model = this.individuals[id] || this.families[id];
+            const tag = id in this.individuals ? 'INDI' : 'FAM';
+            let index = this.records.length - 1;
+            while (index >= 0 && !(this.records[index].id === id && ['INDI', 'FAM'].includes(this.records[index].tag))) {
+                index--;
+            }
+
+            if (!model) {
+                if (index >= 0) this.records.splice(index, 1);
+                continue;
+            }
+            if (typeof model.updateGedcomRecord !== 'function') {
+                throw new Error(`${id} is not a GedIndividual or GedFamily and cannot be written`);
+            }
+
+            if (index >= 0) {
+                model.updateGedcomRecord(this.records[index]);
+            } else {
+                const record = GedRecord.create(0, tag, '', id);
+                model.updateGedcomRecord(record);
+                const trailerIndex = this.records.findIndex(other => other.tag === 'TRLR');
+                this.records.splice(trailerIndex >= 0 ? trailerIndex : this.records.length, 0, record);
+            }
+        }
+
+        if (this.modelSnapshot) {
+            this.snapshotModels();
+        }
+    }
+
+    /**
+     * Serialize models for comparison
+     * @param {Object} models - Models by xref
+     * @returns {Map<string, string>} JSON of each model by xref
+     * @private
+     */
+    static _serializeModels(models) {
+        return new Map(Object.entries(models).map(([id, model]) => [id, JSON.stringify(model)]));
+    }
+
+    /**
+     * Add a parse diagnostic
+     * @param {Object} diagnostic - Object with type, line and message
+     */
+    addDiagnostic(diagnostic) {
+        this.diagnostics.push(diagnostic);
+    }
+
+    /**
+     * Get the parse diagnostics in file order
+     * @returns {Array<Object>} Diagnostics with type, line and message
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
     /**
      * Get an individual by ID
      * @param {string} id - The individual ID
@@ -235,26 +370,6 @@ class GedModel {
         return Object.values(this.families).filter(fam => fam instanceof GedFamily);
     }
 
-    /**
-     * Get individual by numeric ID (extracts from GEDCOM format)
-     * @param {number} numericId - The numeric ID (e.g., 123 for @I123@)
-     * @returns {GedIndividual|Object|null} The individual model or null if not found
-     */
-    getIndividualByNumericId(numericId) {
-        const gedcomId = `@I${numericId}@`;
-        return this.getIndividual(gedcomId);
-    }
-
-    /**
-     * Get family by numeric ID (extracts from GEDCOM format)
-     * @param {number} numericId - The numeric ID (e.g., 456 for @F456@)
-     * @returns {GedFamily|Object|null} The family model or null if not found
-     */
-    getFamilyByNumericId(numericId) {
-        const gedcomId = `@F${numericId}@`;
-        return this.getFamily(gedcomId);
-    }
-
     /**
      * Convert all existing raw records to model instances
      * Useful for converting data loaded from older formats
@@ -290,29 +405,37 @@ class GedModel {
 
     /**
      * Convert this GedModel to a PageModel
+     * @param {Object} [yearRange] - { minYear, maxYear } of plausible years, e.g. CheckProfile.getYearRange()
      * @returns {PageModel} A new PageModel instance with converted data
      */
-    toPageModel() {
+    toPageModel(yearRange) {
         const PageModel = require('../DataModel/PageModel');
         const pageModel = new PageModel();
 
+        // PageModel uses integer IDs, so number the xrefs in file order
+        const personNumbers = new Map();
+        for (const gedcomId of Object.keys(this.individuals)) {
+            personNumbers.set(gedcomId, personNumbers.size + 1);
+        }
+
+        const familyNumbers = new Map();
+        for (const gedcomId of Object.keys(this.families)) {
+            familyNumbers.set(gedcomId, familyNumbers.size + 1);
+        }
+
         // First, iterate through the individuals attribute
         for (const [gedcomId, individual] of Object.entries(this.individuals)) {
             if (individual instanceof GedIndividual) {
-                // Extract numeric ID from GEDCOM format (@I123@ -> 123)
-                const match = gedcomId.match(/@I(\d+)@/);
-                if (match) {
-                    const personId = parseInt(match[1]);
-                    
-                    // Convert GedIndividual to PersonModel
-                    const personModel = individual.toPersonModel();
-                    
-                    try {
-                        // Add PersonModel to PageModel
-                        pageModel.addPerson(personModel, personId);
-                    } catch (error) {
-                        console.warn(`Failed to add person ${personId}: ${error.message}`);
-                    }
+                const personId = personNumbers.get(gedcomId);
+
+                // Convert GedIndividual to PersonModel
+                const personModel = individual.toPersonModel(familyNumbers, yearRange);
+
+                try {
+                    // Add PersonModel to PageModel
+                    pageModel.addPerson(personModel, personId);
+                } catch (error) {
+                    console.warn(`Failed to add person ${gedcomId}: ${error.message}`);
                 }
             }
         }
@@ -320,20 +443,16 @@ class GedModel {
         // Next, iterate through the families attribute
         for (const [gedcomId, family] of Object.entries(this.families)) {
             if (family instanceof GedFamily) {
-                // Extract numeric ID from GEDCOM format (@F456@ -> 456)
-                const match = gedcomId.match(/@F(\d+)@/);
-                if (match) {
-                    const familyId = parseInt(match[1]);
-                    
-                    // Convert GedFamily to FamilyModel
-                    const familyModel = family.toFamilyModel();
-                    
-                    try {
-                        // Add FamilyModel to PageModel
-                        pageModel.addFamily(familyModel, familyId);
-                    } catch (error) {
-                        console.warn(`Failed to add family ${familyId}: ${error.message}`);
-                    }
+                const familyId = familyNumbers.get(gedcomId);
+
+                // Convert GedFamily to FamilyModel
+                const familyModel = family.toFamilyModel(personNumbers, yearRange);
+
+                try {
+                    // Add FamilyModel to PageModel
+                    pageModel.addFamily(familyModel, familyId);
+                } catch (error) {
+                    console.warn(`Failed to add family ${gedcomId}: ${error.message}`);
                 }
             }
         }
@@ -6,6 +6,8 @@
  * @version 1.0.0
  */
 
+const GedRecord = require('./GedRecord');
+
 class GedName {
     /**
      * Create a new GedName
@@ -263,6 +265,43 @@ class GedName {
         return parts.join(' ') || '<Unknown Name>';
     }
 
+    /**
+     * Get the value of a GEDCOM NAME line
+     * The full name is kept as it was entered unless the name parts no
+     * longer match it; then the value is built from the parts.
+     * @returns {string} The value (e.g. "John William /Doe/ Jr.")
+     */
+    toGedcomValue() {
+        const parsed = new GedName(this.fullName);
+        if (!this.namePrefix && ['givenName', 'surname', 'nameSuffix'].every(part => parsed[part] === this[part])) {
+            return this.fullName;
+        }
+
+        const surname = this.surname ? `/${this.surname}/` : '';
+        return [this.namePrefix, this.givenName, surname, this.nameSuffix].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Write changes of this name into the first NAME line of a person
+     * GIVN, SURN, NPFX and NSFX lines of the name are updated if it has them.
+     * @param {Object} gedcomRecord - The raw INDI record
+     * @param {GedName} current - The name as read from the record
+     */
+    updateGedcomRecord(gedcomRecord, current) {
+        const value = this.toGedcomValue();
+        if (value === current.toGedcomValue()) return;
+
+        const nameRecord = GedRecord.setChildValue(gedcomRecord, 'NAME', value);
+        if (!nameRecord) return;
+
+        const parts = { GIVN: this.givenName, SURN: this.surname, NPFX: this.namePrefix, NSFX: this.nameSuffix };
+        for (const [tag, part] of Object.entries(parts)) {
+            if (GedRecord.findChild(nameRecord, tag)) {
+                GedRecord.setChildValue(nameRecord, tag, part);
+            }
+        }
+    }
+
     /**
      * Create a copy of this GedName
      * @returns {GedName} A new GedName instance with the same data
@@ -8,16 +8,35 @@
 
 const fs = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
 const GedModel = require('./GedModel');
+const GedDecoder = require('./GedDecoder');
 const GedEvent = require('./GedEvent');
 const GedName = require('./GedName');
 
+// Number of bytes examined to detect the character set when streaming
+const CHARSET_SAMPLE_SIZE = 64 * 1024;
+
+// Maximum length of a GEDCOM 5.5.1 line
+const MAX_LINE_LENGTH = 255;
+
+// Tags below level 0 that must have a value. PLAC and SOUR are left out:
+// the header PLAC carries its FORM below it and SOUR text may start on a CONT line.
+const REQUIRED_VALUE_TAGS = new Set([
+    'NAME', 'SEX', 'DATE', 'HUSB', 'WIFE', 'CHIL', 'FAMC', 'FAMS',
+    'CHAR', 'PAGE', 'GIVN', 'SURN', 'ASSO', 'ALIA', 'SUBM'
+]);
+
 class GedReader {
     /**
      * Create a new GedReader
+     * @param {Object} [options] - Reader options
+     * @param {boolean} [options.keepRecords] - Keep every record with its original
+     *   lines in the GedModel, so that it can be written back with GedWriter
      */
-    constructor() {
+    constructor(options = {}) {
         this.gedModel = null;
+        this.keepRecords = Boolean(options.keepRecords);
     }
 
     /**
@@ -33,12 +52,14 @@ class GedReader {
                 throw new Error(`GEDCOM file not found: ${filePath}`);
             }
 
-            // Read the file content
-            const content = fs.readFileSync(filePath, 'utf8');
-            
             // Create new GedModel to store parsed data
             this.gedModel = new GedModel();
 
+            // Read the file content in its declared or detected character set
+            const buffer = fs.readFileSync(filePath);
+            const decoder = this._createDecoder(buffer);
+            const content = decoder.write(buffer) + decoder.end();
+
             // Parse the content
             this._parseContent(content);
 
@@ -49,65 +70,333 @@ class GedReader {
         }
     }
 
+    /**
+     * Read and parse a GEDCOM file as a stream
+     * Records are built and saved one level-0 record at a time, so the whole
+     * file is never held in memory as text or as an array of lines.
+     * @param {string|Buffer|stream.Readable} input - File path, Buffer or readable stream
+     * @returns {Promise<GedModel>} The parsed GEDCOM data model
+     * @throws {Error} If the input cannot be read or parsed
+     */
+    async readStream(input) {
+        try {
+            let stream;
+            if (Buffer.isBuffer(input)) {
+                stream = Readable.from([input]);
+            } else if (typeof input === 'string') {
+                if (!fs.existsSync(input)) {
+                    throw new Error(`GEDCOM file not found: ${input}`);
+                }
+                stream = fs.createReadStream(input);
+            } else if (input && typeof input.pipe === 'function') {
+                stream = input;
+            } else {
+                throw new Error('Input must be a file path, a Buffer or a readable stream');
+            }
+
+            // Create new GedModel to store parsed data
+            this.gedModel = new GedModel();
+            this._beginParse();
+
+            let decoder = null;
+            let sample = [];
+            let sampleSize = 0;
+            const parseText = (text, isLast) => this._parseText(text, isLast);
+
+            for await (const chunk of stream) {
+                if (typeof chunk === 'string') {
+                    // The stream is already decoded
+                    parseText(chunk, false);
+                } else if (decoder) {
+                    parseText(decoder.write(chunk), false);
+                } else {
+                    // Collect the start of the file to detect its character set
+                    sample.push(chunk);
+                    sampleSize += chunk.length;
+                    if (sampleSize >= CHARSET_SAMPLE_SIZE) {
+                        const start = Buffer.concat(sample);
+                        sample = [];
+                        decoder = this._createDecoder(start);
+                        parseText(decoder.write(start), false);
+                    }
+                }
+            }
+
+            if (!decoder && sample.length > 0) {
+                const start = Buffer.concat(sample);
+                decoder = this._createDecoder(start);
+                parseText(decoder.write(start), false);
+            }
+
+            parseText(decoder ? decoder.end() : '', true);
+
+            this._endParse();
+
+            return this.gedModel;
+
+        } catch (error) {
+            throw new Error(`Error reading GEDCOM file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Detect the character set of a file and create a decoder for it
+     * The detected character set is stored in the GedModel.
+     * @param {Buffer} buffer - The start of the file (or the whole file)
+     * @returns {GedDecoder} Decoder for the file's character set
+     * @private
+     */
+    _createDecoder(buffer) {
+        const charset = GedDecoder.detect(buffer);
+        this.gedModel.setCharset(charset);
+        return new GedDecoder(charset.encoding);
+    }
+
     /**
      * Parse the GEDCOM file content
      * @param {string} content - The file content to parse
      * @private
      */
     _parseContent(content) {
-        // Split content into lines and filter out empty lines
-        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
-        
-        let records = [];
-        let currentRecord = null;
-        let stack = []; // Stack to track nested levels
+        this._beginParse();
+        this._parseText(content, true);
+        this._endParse();
+    }
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const parsedLine = this._parseLine(line, i + 1);
-            
-            if (!parsedLine) continue;
-
-            const { level, tag, value, id } = parsedLine;
-
-            const newRecord = {
-                level: level,
-                tag: tag,
-                value: value,
-                id: id,
-                children: []
-            };
-
-            if (level === 0) {
-                // Top-level record
-                if (currentRecord) {
-                    records.push(currentRecord);
-                }
-                currentRecord = newRecord;
-                stack = [currentRecord];
-            } else {
-                // Find the correct parent based on level
-                while (stack.length > level) {
-                    stack.pop();
+    /**
+     * Split decoded text into lines and parse the complete ones
+     * The part after the last line terminator is kept until more text arrives.
+     * @param {string} text - The next piece of decoded text
+     * @param {boolean} isLast - True if no more text follows
+     * @private
+     */
+    _parseText(text, isLast) {
+        const pending = this._pending + text;
+
+        // Keep a trailing CR in case its LF arrives with the next chunk
+        const lines = pending.split(isLast ? /\r\n|\r|\n/ : /\r\n|\r(?!$)|\n/);
+        this._pending = isLast ? '' : lines.pop();
+
+        if (this.gedModel.layout.lineEnding === null) {
+            const terminator = pending.match(isLast ? /\r\n|\r|\n/ : /\r\n|\r(?!$)|\n/);
+            if (terminator) {
+                this.gedModel.layout.lineEnding = terminator[0];
+            }
+        }
+
+        if (isLast) {
+            // An empty last piece means the file ends with a line terminator
+            this.gedModel.layout.finalLineEnding = lines[lines.length - 1] === '';
+            if (this.gedModel.layout.finalLineEnding) {
+                lines.pop();
+            }
+        }
+
+        for (const line of lines) {
+            this._parseNextLine(line, ++this._lineNumber);
+        }
+    }
+
+    /**
+     * Reset the incremental record builder before parsing
+     * @private
+     */
+    _beginParse() {
+        this._pending = '';
+        this._lineNumber = 0;
+        this._currentRecord = null;
+        this._stack = []; // Stack to track nested levels
+        this._lastRecord = null; // Most recent record, for CONC/CONT
+        this._lastRawValue = '';
+        this._previousLevel = -1;
+        this._lastTopLevelTag = null;
+        this._lastLineNumber = 0;
+        this._xrefLines = new Map(); // Line on which each xref ID was defined
+        this._skippedLines = []; // Unparsable lines, kept for writing
+    }
+
+    /**
+     * Add one line to the record being built
+     * When a new level-0 line starts, the previous record is complete and saved.
+     * @param {string} line - The line to parse
+     * @param {number} lineNumber - Line number for error reporting
+     * @private
+     */
+    _parseNextLine(line, lineNumber) {
+        if (line.length > MAX_LINE_LENGTH) {
+            this._addDiagnostic('line_too_long', lineNumber,
+                `Line is ${line.length} characters long (maximum ${MAX_LINE_LENGTH})`);
+        }
+
+        const parsedLine = this._parseLine(line, lineNumber);
+
+        if (!parsedLine) {
+            if (this.keepRecords) {
+                this._skippedLines.push(line);
+            }
+            return;
+        }
+
+        const { level, tag, value, id, rawValue } = parsedLine;
+
+        this._lastLineNumber = lineNumber;
+        this._checkLineStructure(parsedLine, lineNumber);
+
+        if ((tag === 'CONC' || tag === 'CONT') && level > 0) {
+            // Continuation lines extend the value of their parent
+            while (this._stack.length > level) {
+                this._stack.pop();
+            }
+
+            const parent = this._stack[this._stack.length - 1];
+            if (parent) {
+                this._appendContinuation(parent, tag, rawValue, lineNumber);
+                if (this.keepRecords) {
+                    parent.continuations[parent.continuations.length - 1].raw = line;
                 }
-                
-                if (stack.length > 0) {
-                    stack[stack.length - 1].children.push(newRecord);
+                return;
+            }
+        }
+
+        const newRecord = {
+            level: level,
+            tag: tag,
+            value: value,
+            id: id,
+            line: lineNumber,
+            children: []
+        };
+
+        if (this.keepRecords) {
+            newRecord.raw = line;
+            if (this._skippedLines.length > 0) {
+                // Blank and malformed lines are written back before the next record
+                newRecord.skippedLines = this._skippedLines;
+                this._skippedLines = [];
+            }
+        }
+
+        this._lastRecord = newRecord;
+        this._lastRawValue = rawValue;
+
+        if (level === 0) {
+            // Top-level record
+            if (this._currentRecord) {
+                this._saveRecord(this._currentRecord);
+            }
+            this._currentRecord = newRecord;
+            this._stack = [newRecord];
+        } else {
+            // Find the correct parent based on level
+            while (this._stack.length > level) {
+                this._stack.pop();
+            }
+
+            if (this._stack.length > 0) {
+                this._stack[this._stack.length - 1].children.push(newRecord);
+            }
+
+            this._stack.push(newRecord);
+        }
+    }
+
+    /**
+     * Record structural problems of a parsed line
+     * @param {Object} parsedLine - The result of _parseLine()
+     * @param {number} lineNumber - Line number of the line
+     * @private
+     */
+    _checkLineStructure(parsedLine, lineNumber) {
+        const { level, tag, value, id } = parsedLine;
+
+        if (this._previousLevel < 0 && level !== 0) {
+            this._addDiagnostic('level_skip', lineNumber, `First line has level ${level} instead of 0`);
+        } else if (level > this._previousLevel + 1) {
+            this._addDiagnostic('level_skip', lineNumber,
+                `Level ${level} ${tag} follows a level ${this._previousLevel} line`);
+        }
+        this._previousLevel = level;
+
+        if (level === 0) {
+            if (this._lastTopLevelTag === null && tag !== 'HEAD') {
+                this._addDiagnostic('missing_header', lineNumber, `File starts with ${tag} instead of a HEAD record`);
+            }
+            this._lastTopLevelTag = tag;
+
+            if (id) {
+                if (this._xrefLines.has(id)) {
+                    this._addDiagnostic('duplicate_xref', lineNumber,
+                        `${id} is already defined on line ${this._xrefLines.get(id)}`, { xref: id });
+                } else {
+                    this._xrefLines.set(id, lineNumber);
                 }
-                
-                stack.push(newRecord);
             }
+        } else if (value === '' && REQUIRED_VALUE_TAGS.has(tag)) {
+            this._addDiagnostic('missing_value', lineNumber, `${tag} has no value`, { tag: tag });
         }
+    }
 
-        // Add the last record
-        if (currentRecord) {
-            records.push(currentRecord);
+    /**
+     * Add a parse diagnostic to the GedModel
+     * @param {string} type - Diagnostic type
+     * @param {number} lineNumber - Line the problem was found on
+     * @param {string} message - Description of the problem
+     * @param {Object} [details] - Additional fields
+     * @private
+     */
+    _addDiagnostic(type, lineNumber, message, details = {}) {
+        this.gedModel.addDiagnostic({ type: type, line: lineNumber, message: message, ...details });
+    }
+
+    /**
+     * Join a CONC or CONT line into the value of its parent record
+     * Following GEDCOM 5.5.1, CONC is appended without a space and CONT
+     * starts a new line. The original pieces are kept in `continuations`
+     * and the lines the value spans in `endLine`.
+     * @param {Object} record - The record whose value is continued
+     * @param {string} tag - CONC or CONT
+     * @param {string} rawValue - The untrimmed value of the continuation line
+     * @param {number} lineNumber - Line number of the continuation line
+     * @private
+     */
+    _appendContinuation(record, tag, rawValue, lineNumber) {
+        if (!record.continuations) {
+            record.continuations = [];
+            // Spaces before a CONC split belong to the value
+            record.rawValue = record === this._lastRecord ? this._lastRawValue : record.value;
         }
 
-        // Process all records
-        for (const record of records) {
-            this._saveRecord(record);
+        record.continuations.push({ tag: tag, value: rawValue, line: lineNumber });
+        record.rawValue += (tag === 'CONT' ? '\n' : '') + rawValue;
+        record.value = record.rawValue.trimEnd();
+        record.endLine = lineNumber;
+    }
+
+    /**
+     * Save the last record once all lines have been parsed
+     * @private
+     */
+    _endParse() {
+        if (this._currentRecord) {
+            this._saveRecord(this._currentRecord);
         }
+
+        if (this._lastTopLevelTag === null) {
+            this._addDiagnostic('missing_header', 1, 'File contains no HEAD record');
+        }
+        if (this._lastTopLevelTag !== 'TRLR') {
+            this._addDiagnostic('missing_trailer', this._lastLineNumber, 'File does not end with a TRLR record');
+        }
+
+        this.gedModel.layout.trailingLines = this._skippedLines;
+        if (this.keepRecords) {
+            this.gedModel.snapshotModels();
+        }
+
+        this._currentRecord = null;
+        this._stack = [];
+        this._lastRecord = null;
+        this._lastRawValue = '';
     }
 
     /**
@@ -118,8 +407,9 @@ class GedReader {
      * @private
      */
     _parseLine(line, lineNumber) {
-        const trimmed = line.trim();
-        if (trimmed === '') return null;
+        // Leading whitespace (and a stray byte-order mark) is not part of the line
+        const trimmed = line.replace(/^[\s\uFEFF]+/, '');
+        if (trimmed.trim() === '') return null;
 
         // GEDCOM line format: LEVEL [ID] TAG [VALUE]
         // Examples:
@@ -127,36 +417,42 @@ class GedReader {
         // 1 NAME John /Doe/
         // 2 GIVN John
 
-        const parts = trimmed.split(' ');
+        const parts = trimmed.trim().split(' ');
         if (parts.length < 2) {
-            console.warn(`Warning: Invalid GEDCOM line ${lineNumber}: ${line}`);
+            this._addDiagnostic('invalid_line', lineNumber, `Invalid GEDCOM line: ${line.trim()}`);
             return null;
         }
 
         const level = parseInt(parts[0]);
-        if (isNaN(level)) {
-            console.warn(`Warning: Invalid level on line ${lineNumber}: ${line}`);
+        if (isNaN(level) || !/^\d+$/.test(parts[0])) {
+            this._addDiagnostic('invalid_level', lineNumber, `Invalid level: ${line.trim()}`);
             return null;
         }
 
-        let tag, value, id;
+        let tag, id;
+        let valueIndex;
 
         // Check if second part is an ID (starts and ends with @)
         if (parts[1].startsWith('@') && parts[1].endsWith('@')) {
             id = parts[1];
             tag = parts[2] || '';
-            value = parts.slice(3).join(' ');
+            valueIndex = 3;
         } else {
             tag = parts[1];
-            value = parts.slice(2).join(' ');
             id = null;
+            valueIndex = 2;
         }
 
+        // The value keeps its trailing spaces for CONC/CONT joining
+        const prefix = parts.slice(0, valueIndex).join(' ');
+        const rawValue = trimmed.length > prefix.length ? trimmed.substring(prefix.length + 1) : '';
+
         return {
             level: level,
             tag: tag,
-            value: value,
-            id: id
+            value: rawValue.trimEnd(),
+            id: id,
+            rawValue: rawValue
         };
     }
 
@@ -166,6 +462,11 @@ class GedReader {
      * @private
      */
     _saveRecord(record) {
+        if (this.keepRecords) {
+            this._snapshotRecord(record);
+            this.gedModel.addRecord(record);
+        }
+
         switch (record.tag) {
             case 'HEAD':
                 this.gedModel.setHeader(record);
@@ -214,6 +515,20 @@ class GedReader {
         }
     }
 
+    /**
+     * Remember the parsed state of a record tree, so GedWriter can tell
+     * which records were changed after reading
+     * @param {Object} record - The record to snapshot
+     * @private
+     */
+    _snapshotRecord(record) {
+        record.original = { level: record.level, id: record.id, tag: record.tag, value: record.value };
+
+        for (const child of record.children) {
+            this._snapshotRecord(child);
+        }
+    }
+
     /**
      * Process special SOUR entries under INDI records
      * These require special treatment as mentioned in the requirements
@@ -374,7 +689,8 @@ class GedReader {
             }
 
             // Read first few lines to check for GEDCOM header
-            const content = fs.readFileSync(filePath, 'utf8');
+            const buffer = fs.readFileSync(filePath);
+            const content = GedDecoder.decode(buffer, GedDecoder.detect(buffer).encoding);
             const lines = content.split(/\r?\n/).slice(0, 10);
 
             // Look for GEDCOM header pattern
@@ -0,0 +1,116 @@
+/**
+ * GedRecord - Helpers for editing raw GEDCOM record trees
+ * Raw records are the { level, id, tag, value, children } objects built by
+ * GedReader. Records created or changed here have no original lines, so
+ * GedWriter formats them anew.
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+class GedRecord {
+    /**
+     * Create a raw record
+     * @param {number} level - Level number
+     * @param {string} tag - The tag
+     * @param {string} [value] - The value
+     * @param {string|null} [id] - Xref of a level-0 record
+     * @returns {Object} The record, without children
+     */
+    static create(level, tag, value = '', id = null) {
+        return { level: level, id: id, tag: tag, value: value, children: [] };
+    }
+
+    /**
+     * Add a child record after the last child with the same tag, or at the end
+     * @param {Object} record - The parent record
+     * @param {string} tag - Tag of the child
+     * @param {string} [value] - Value of the child
+     * @returns {Object} The new child record
+     */
+    static addChild(record, tag, value = '') {
+        const child = GedRecord.create((record.level || 0) + 1, tag, value);
+        const lastIndex = record.children.map(other => other.tag).lastIndexOf(tag);
+
+        record.children.splice(lastIndex >= 0 ? lastIndex + 1 : record.children.length, 0, child);
+        return child;
+    }
+
+    /**
+     * Remove a child record
+     * @param {Object} record - The parent record
+     * @param {Object} child - The child record to remove
+     */
+    static removeChild(record, child) {
+        const index = record.children.indexOf(child);
+        if (index > -1) {
+            record.children.splice(index, 1);
+        }
+    }
+
+    /**
+     * Find a child record by tag
+     * @param {Object} record - The parent record
+     * @param {string} tag - Tag to find
+     * @param {boolean} [last] - Find the last child with the tag instead of the first
+     * @returns {Object|null} The child record or null
+     */
+    static findChild(record, tag, last = false) {
+        const children = record.children.filter(child => child.tag === tag);
+        return (last ? children[children.length - 1] : children[0]) || null;
+    }
+
+    /**
+     * Set the value of a child record, adding the child if it is missing
+     * and removing it if the value is empty and it has no children
+     * @param {Object} record - The parent record
+     * @param {string} tag - Tag of the child
+     * @param {string} value - The new value
+     * @param {boolean} [last] - Use the last child with the tag instead of the first
+     * @returns {Object|null} The child record, or null if there is none
+     */
+    static setChildValue(record, tag, value, last = false) {
+        const child = GedRecord.findChild(record, tag, last);
+
+        if (!value) {
+            if (child && child.children.length === 0) {
+                GedRecord.removeChild(record, child);
+                return null;
+            }
+            if (child) child.value = '';
+            return child;
+        }
+
+        if (!child) {
+            return GedRecord.addChild(record, tag, value);
+        }
+        if (child.value !== value) {
+            child.value = value;
+        }
+        return child;
+    }
+
+    /**
+     * Make the child records with a tag hold exactly the given values, in order
+     * Children whose value is kept stay in place with their own children.
+     * @param {Object} record - The parent record
+     * @param {string} tag - Tag of the children
+     * @param {Array<string>} values - The new values
+     * @param {Function} [matches] - Selects which children with the tag take part (default all)
+     * @returns {Array<Object>} The child records, in the order of the values
+     */
+    static setChildValues(record, tag, values, matches = () => true) {
+        const existing = record.children.filter(child => child.tag === tag && matches(child));
+        const kept = [];
+
+        for (const value of values) {
+            const index = existing.findIndex(child => child.value === value);
+            kept.push(index >= 0 ? existing.splice(index, 1)[0] : GedRecord.addChild(record, tag, value));
+        }
+
+        existing.forEach(child => GedRecord.removeChild(record, child));
+        return kept;
+    }
+}
+
+module.exports = GedRecord;
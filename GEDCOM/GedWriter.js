@@ -0,0 +1,183 @@
+/**
+ * GedWriter - A class for writing a GedModel back to a GEDCOM file
+ * Records that were not changed after reading are written with their
+ * original lines, so unchanged parts of a file stay byte-for-byte identical.
+ * Changed and new records are formatted following GEDCOM 5.5.1.
+ *
+ * The model must have been read with `new GedReader({ keepRecords: true })`.
+ * Edits can be made on the GedIndividual and GedFamily models or on the raw
+ * record trees (gedModel.getRecords()). Edited, added and removed
+ * individuals and families are written into their records before writing.
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const GedEncoder = require('./GedEncoder');
+
+// Maximum length of a GEDCOM 5.5.1 line
+const MAX_LINE_LENGTH = 255;
+
+class GedWriter {
+    /**
+     * Write a GedModel to a file
+     * @param {GedModel} gedModel - The model to write
+     * @param {string} filePath - Path of the GEDCOM file to write
+     * @throws {Error} If the model has no records or the file cannot be written
+     */
+    write(gedModel, filePath) {
+        try {
+            fs.writeFileSync(filePath, this.toBuffer(gedModel));
+        } catch (error) {
+            throw new Error(`Error writing GEDCOM file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encode a GedModel in the character set it was read with
+     * @param {GedModel} gedModel - The model to write
+     * @returns {Buffer} The GEDCOM file content
+     * @throws {Error} If the model has no records
+     */
+    toBuffer(gedModel) {
+        const charset = gedModel.getCharset();
+        const encoder = new GedEncoder(charset ? charset.encoding : 'UTF-8');
+        const content = encoder.encode(this.toText(gedModel));
+
+        return charset && charset.bom ? Buffer.concat([encoder.byteOrderMark(), content]) : content;
+    }
+
+    /**
+     * Format a GedModel as GEDCOM text
+     * @param {GedModel} gedModel - The model to write
+     * @returns {string} The GEDCOM text
+     * @throws {Error} If the model has no records
+     */
+    toText(gedModel) {
+        const records = gedModel.getRecords();
+        if (records.length === 0) {
+            throw new Error('GedModel has no records to write; read it with GedReader option keepRecords');
+        }
+
+        gedModel.updateRecords();
+
+        const lineEnding = gedModel.layout.lineEnding || '\r\n';
+
+        const lines = [];
+        for (const record of records) {
+            this._writeRecord(record, 0, lines);
+        }
+
+        lines.push(...(gedModel.layout.trailingLines || []));
+
+        const text = lines.join(lineEnding);
+
+        return gedModel.layout.finalLineEnding ? text + lineEnding : text;
+    }
+
+    /**
+     * Add the lines of a record and its children
+     * @param {Object} record - The record to write
+     * @param {number} level - Level of the record in the tree
+     * @param {Array<string>} lines - Lines written so far
+     * @private
+     */
+    _writeRecord(record, level, lines) {
+        lines.push(...(record.skippedLines || []));
+
+        if (this._isUnchanged(record)) {
+            lines.push(record.raw);
+            for (const continuation of record.continuations || []) {
+                lines.push(continuation.raw);
+            }
+        } else {
+            lines.push(...GedWriter.formatLines(level, record.id, record.tag, record.value));
+        }
+
+        for (const child of record.children || []) {
+            this._writeRecord(child, level + 1, lines);
+        }
+    }
+
+    /**
+     * Check whether a record still matches the lines it was read from
+     * @param {Object} record - The record to check
+     * @returns {boolean} True if the original lines can be written
+     * @private
+     */
+    _isUnchanged(record) {
+        const original = record.original;
+
+        return Boolean(original) &&
+               typeof record.raw === 'string' &&
+               original.level === record.level &&
+               original.id === record.id &&
+               original.tag === record.tag &&
+               original.value === record.value &&
+               (record.continuations || []).every(continuation => typeof continuation.raw === 'string');
+    }
+
+    /**
+     * Format one GEDCOM line, continued with CONT for line breaks and
+     * CONC for values that do not fit into a line
+     * @param {number} level - Level number
+     * @param {string|null} id - Xref of a level-0 record, or null
+     * @param {string} tag - The tag
+     * @param {string} [value] - The value
+     * @returns {Array<string>} The lines
+     */
+    static formatLines(level, id, tag, value) {
+        const prefix = id ? `${level} ${id} ${tag}` : `${level} ${tag}`;
+        const continuationLevel = level + 1;
+        const lines = [];
+
+        (value || '').split(/\r\n|\r|\n/).forEach((text, index) => {
+            const linePrefix = index === 0 ? prefix : `${continuationLevel} CONT`;
+            const pieces = GedWriter._splitValue(text, MAX_LINE_LENGTH - linePrefix.length - 1,
+                MAX_LINE_LENGTH - `${continuationLevel} CONC`.length - 1);
+
+            pieces.forEach((piece, pieceIndex) => {
+                const piecePrefix = pieceIndex === 0 ? linePrefix : `${continuationLevel} CONC`;
+                lines.push(piece === '' ? piecePrefix : `${piecePrefix} ${piece}`);
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Split a value into pieces that fit into GEDCOM lines
+     * Following GEDCOM 5.5.1, a value is not split next to a space,
+     * because some readers drop spaces at the end or start of a line.
+     * @param {string} text - The value (without line breaks)
+     * @param {number} firstLength - Room for the value on the first line
+     * @param {number} nextLength - Room for the value on CONC lines
+     * @returns {Array<string>} The pieces
+     * @private
+     */
+    static _splitValue(text, firstLength, nextLength) {
+        const pieces = [];
+        let remaining = text;
+        let length = firstLength;
+
+        while (remaining.length > length) {
+            let split = length;
+            while (split > 1 && (remaining[split - 1] === ' ' || remaining[split] === ' ')) {
+                split--;
+            }
+            if (split <= 1) {
+                split = length; // Nothing but spaces, split anyway
+            }
+
+            pieces.push(remaining.substring(0, split));
+            remaining = remaining.substring(split);
+            length = nextLength;
+        }
+
+        pieces.push(remaining);
+        return pieces;
+    }
+}
+
+module.exports = GedWriter;
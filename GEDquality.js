@@ -8,7 +8,6 @@
 
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
 const multer = require('multer');
 const os = require('os');
 
@@ -18,17 +17,28 @@ const PORT = process.env.PORT || 3001;
 // Import the data model classes
 const GedReader = require('./GEDCOM/GedReader');
 const GedcomIntegrityChecker = require('./utils/GedcomIntegrityChecker');
+const UploadStore = require('./utils/UploadStore');
+const CheckProfile = require('./utils/CheckProfile');
+const { formatResults, toJsonReport } = require('./utils/reportFormatter');
+
+const UPLOAD_DIR = path.join(os.tmpdir(), 'gedquality-uploads');
+
+// Files larger than this are parsed as a stream to keep memory use bounded
+const STREAMING_THRESHOLD = 10 * 1024 * 1024;
 
 // Configure multer for file uploads to temporary directory
 const upload = multer({
-    dest: path.join(os.tmpdir(), 'gedquality-uploads'),
+    dest: UPLOAD_DIR,
     limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
+        fileSize: (parseInt(process.env.GEDQUALITY_MAX_UPLOAD_MB) || 200) * 1024 * 1024 // 200MB default limit
     }
 });
 
-// Store uploaded file temporarily
-let uploadedFile = null;
+// Uploaded files are tracked per client by token and expire when unused
+const uploads = new UploadStore({
+    directory: UPLOAD_DIR,
+    ttlMs: (parseInt(process.env.GEDQUALITY_UPLOAD_TTL_MINUTES) || 30) * 60 * 1000
+});
 
 // Middleware
 app.use(express.urlencoded({ extended: true }));
@@ -89,16 +99,17 @@ app.post('/api/upload-gedcom', upload.single('gedcom'), (req, res) => {
         // Fix encoding of the original filename
         const fixedFilename = fixFilenameEncoding(req.file.originalname);
 
-        // Store the uploaded file info
-        uploadedFile = {
+        // Store the uploaded file info under a new token
+        const uploadToken = uploads.add({
             originalName: fixedFilename,
             path: req.file.path,
             size: req.file.size
-        };
+        });
 
         res.json({
             success: true,
             fileName: fixedFilename,
+            uploadToken: uploadToken,
             message: 'GEDCOM file uploaded successfully'
         });
     } catch (error) {
@@ -109,48 +120,111 @@ app.post('/api/upload-gedcom', upload.single('gedcom'), (req, res) => {
     }
 });
 
-// API route to handle integrity check
-app.post('/api/check', async (req, res) => {
+// API route to release an upload that is no longer needed
+app.delete('/api/upload-gedcom/:token', (req, res) => {
+    const removed = uploads.remove(req.params.token);
+    res.json({
+        success: removed
+    });
+});
+
+// API route listing the built-in check profiles
+app.get('/api/profiles', (req, res) => {
+    res.json({
+        success: true,
+        profiles: CheckProfile.listBuiltIn()
+    });
+});
+
+/**
+ * Get the check profile a request asks for
+ * Clients name a built-in profile or send a whole profile object; profile
+ * files are not read on behalf of clients.
+ * @param {string|Object} [profile] - Built-in profile identifier or profile definition
+ * @returns {CheckProfile} The profile (the default profile if none is given)
+ * @throws {Error} If the profile is unknown or invalid
+ */
+function resolveProfile(profile) {
+    if (profile === undefined || profile === null || profile === '') {
+        return CheckProfile.getDefault();
+    }
+    if (typeof profile === 'string') {
+        return CheckProfile.fromBuiltIn(profile);
+    }
+    return new CheckProfile(profile);
+}
+
+/**
+ * Read an uploaded GEDCOM file and run the integrity checks on it
+ * Sends an error response and returns null if any step fails
+ * @param {Object} req - Express request with the upload token and optional profile in the body
+ * @param {Object} res - Express response
+ * @returns {Object|null} The uploaded file info and integrity report
+ */
+async function runIntegrityCheck(req, res) {
+    // Check if file is uploaded
+    const uploadedFile = uploads.get(req.body.uploadToken);
+    if (!uploadedFile) {
+        res.status(400).json({
+            success: false,
+            error: 'Please upload a GEDCOM file first'
+        });
+        return null;
+    }
+
+    // Select the check profile
+    let profile;
     try {
-        // Check if file is uploaded
-        if (!uploadedFile) {
-            return res.status(400).json({
-                success: false,
-                error: 'Please upload a GEDCOM file first'
-            });
-        }
+        profile = resolveProfile(req.body.profile);
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid check profile: ' + error.message
+        });
+        return null;
+    }
 
-        // Process the GEDCOM file
-        let gedModel;
-        try {
-            const gedReader = new GedReader();
-            gedModel = gedReader.read(uploadedFile.path);
-        } catch (error) {
-            console.error('Error processing GEDCOM file:', error);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to process GEDCOM file: ' + error.message
-            });
-        }
+    // Process the GEDCOM file
+    let gedModel;
+    try {
+        const gedReader = new GedReader();
+        gedModel = uploadedFile.size > STREAMING_THRESHOLD
+            ? await gedReader.readStream(uploadedFile.path)
+            : gedReader.read(uploadedFile.path);
+    } catch (error) {
+        console.error('Error processing GEDCOM file:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process GEDCOM file: ' + error.message
+        });
+        return null;
+    }
 
-        // Run integrity checks
-        let integrityReport;
-        try {
-            const checker = new GedcomIntegrityChecker(gedModel);
-            integrityReport = checker.checkIntegrity();
-        } catch (error) {
-            console.error('Error running integrity checks:', error);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to run integrity checks: ' + error.message
-            });
-        }
+    // Run integrity checks
+    let integrityReport;
+    try {
+        const checker = new GedcomIntegrityChecker(gedModel, profile);
+        integrityReport = checker.checkIntegrity();
+    } catch (error) {
+        console.error('Error running integrity checks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run integrity checks: ' + error.message
+        });
+        return null;
+    }
 
-        // Generate formatted results
-        const results = formatResults(uploadedFile.originalName, integrityReport);
+    return { uploadedFile, integrityReport };
+}
 
-        // Clean up uploaded file after processing
-        cleanupUploadedFile();
+// API route to handle integrity check
+app.post('/api/check', async (req, res) => {
+    try {
+        const checkResult = await runIntegrityCheck(req, res);
+        if (!checkResult) return;
+
+        // Generate formatted results
+        const results = formatResults(checkResult.uploadedFile.originalName, checkResult.integrityReport);
 
         res.json({
             success: true,
@@ -166,118 +240,52 @@ app.post('/api/check', async (req, res) => {
     }
 });
 
-/**
- * Format integrity report as human-readable text
- */
-function formatResults(filename, report) {
-    const { summary, warnings, errors } = report;
-
-    let result = `
-=== GEDquality Integrity Report ===
-GEDCOM File: ${filename}
-Timestamp: ${new Date().toISOString()}
-
-=== File Summary ===
-Total Entries: ${summary.totalEntries}
-Total People: ${summary.totalPeople}
-Total Families: ${summary.totalFamilies}
-
-=== Entries ===
-Entry Labels: ${summary.entryLabels.join(', ')}
-
-=== Entry Details ===`;
-
-    for (const [entry, details] of Object.entries(summary.entryDetails)) {
-        result += `\n  ${entry}: ${details.people} people, ${details.families} families`;
-    }
-
-    result += `\n\n=== Integrity Check Results ===
-Total Warnings: ${summary.warningCount}
-Total Errors: ${summary.errorCount}
-`;
-
-    if (warnings.length === 0 && errors.length === 0) {
-        result += `\n✅ No integrity issues found! The GEDCOM file appears to be well-formed.`;
-    } else {
-        // Group warnings by type
-        const warningsByType = {};
-        for (const warning of warnings) {
-            if (!warningsByType[warning.type]) {
-                warningsByType[warning.type] = [];
-            }
-            warningsByType[warning.type].push(warning);
+// Versioned API route returning the report as structured JSON (default) or text
+app.post('/api/v1/check', async (req, res) => {
+    try {
+        // A parameter given more than once arrives as an array
+        if (req.query.format !== undefined && typeof req.query.format !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'The format parameter must be given once'
+            });
         }
 
-        // Format warnings by category
-        const typeLabels = {
-            'family_membership': 'People Not in Families',
-            'page_consistency': 'Page Consistency Issues',
-            'invalid_date_format': 'Invalid Date Formats',
-            'birth_after_death': 'Birth After Death',
-            'excessive_lifespan': 'Excessive Lifespans (>120 years)',
-            'child_before_marriage': 'Children Born Before Marriage',
-            'child_after_mother_death': 'Children Born After Mother\'s Death',
-            'mother_too_old': 'Mother Over 50 at Child\'s Birth',
-            'unusual_given_name': 'Unusual Given Names',
-            'gender_mismatch': 'Gender Mismatches',
-            'missing_source': 'Missing Source References',
-            'surname_mismatch': 'Surname Mismatches (Child vs Father)',
-            'inconsistent_child_surnames': 'Inconsistent Sibling Surnames'
-        };
-
-        for (const [type, typeWarnings] of Object.entries(warningsByType)) {
-            const label = typeLabels[type] || type;
-            result += `\n\n--- ${label} (${typeWarnings.length}) ---`;
-
-            for (const warning of typeWarnings) {
-                result += `\n  • ${warning.message}`;
-
-                // Add additional details for specific types
-                if (type === 'page_consistency' && warning.details) {
-                    for (const [page, people] of Object.entries(warning.details)) {
-                        result += `\n    Page ${page}: ${people.map(p => p.name).join(', ')}`;
-                    }
-                }
-            }
+        const format = (req.query.format || 'json').toLowerCase();
+        if (format !== 'json' && format !== 'text') {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported report format: ${format}`
+            });
         }
 
-        // Format errors
-        if (errors.length > 0) {
-            result += `\n\n--- Errors (${errors.length}) ---`;
-            for (const error of errors) {
-                result += `\n  • ${error.message}`;
-            }
-        }
-    }
+        const checkResult = await runIntegrityCheck(req, res);
+        if (!checkResult) return;
 
-    result += `\n\n=== Analysis Summary ===`;
-    if (summary.warningCount === 0 && summary.errorCount === 0) {
-        result += `\n✅ Excellent data quality - no issues detected`;
-    } else if (summary.warningCount < 5) {
-        result += `\n✓ Good data quality with minor issues`;
-    } else if (summary.warningCount < 15) {
-        result += `\n⚠ Acceptable data quality with some issues to review`;
-    } else {
-        result += `\n⚠ Significant data quality issues detected - please review`;
-    }
+        const { uploadedFile, integrityReport } = checkResult;
 
-    result += `\n\nProcessing completed successfully.`;
+        if (format === 'text') {
+            return res.json({
+                success: true,
+                format: 'text',
+                results: formatResults(uploadedFile.originalName, integrityReport)
+            });
+        }
 
-    return result.trim();
-}
+        res.json({
+            success: true,
+            format: 'json',
+            report: toJsonReport(uploadedFile.originalName, integrityReport)
+        });
 
-// Helper function to clean up uploaded file
-function cleanupUploadedFile() {
-    try {
-        if (uploadedFile && fs.existsSync(uploadedFile.path)) {
-            fs.unlinkSync(uploadedFile.path);
-        }
-        // Reset the uploaded file
-        uploadedFile = null;
     } catch (error) {
-        console.error('Error cleaning up uploaded file:', error);
+        console.error('Error in check endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Processing failed: ' + error.message
+        });
     }
-}
+});
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -298,6 +306,8 @@ app.use((req, res) => {
 
 // Start server
 app.listen(PORT, () => {
+    // Remove expired uploads, including files left over from earlier runs
+    uploads.startSweeping();
     console.log('GEDquality Server Started on port ' + PORT);
 });
 
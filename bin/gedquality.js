@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+/**
+ * gedquality - Command-line interface for the GEDCOM integrity checker
+ * Checks one or more GEDCOM files (or folders of them) and prints a report
+ * as text, JSON or CSV. The exit status tells scripts whether issues at or
+ * above the chosen severity were found.
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GedReader = require('../GEDCOM/GedReader');
+const GedcomIntegrityChecker = require('../utils/GedcomIntegrityChecker');
+const CheckProfile = require('../utils/CheckProfile');
+const { formatResults, toJsonReport, toCsv } = require('../utils/reportFormatter');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ISSUES = 1;
+const EXIT_FAILURE = 2;
+
+const FORMATS = ['text', 'json', 'csv'];
+const FAIL_ON_LEVELS = [...GedcomIntegrityChecker.SEVERITY_LEVELS, 'none'];
+const GEDCOM_EXTENSIONS = ['.ged', '.gedcom'];
+
+const USAGE = `Usage: gedquality check [options] <file|folder>...
+
+Check GEDCOM files for integrity problems. Folders are searched
+recursively for .ged and .gedcom files.
+
+Options:
+  -f, --format <format>    Output format: text, json or csv (default: text)
+  --fail-on <severity>     Exit with status 1 if an issue of this severity or
+                           higher is found: info, warning, error or none
+                           (default: warning)
+  -p, --profile <profile>  Check profile with thresholds and enabled checks:
+                           a built-in profile (${CheckProfile.getBuiltInIds().join(', ')})
+                           or a JSON file (default: default)
+  -o, --output <file>      Write the report to a file instead of stdout
+  -h, --help               Show this help
+
+Exit status:
+  0  No issues at or above the --fail-on severity
+  1  Issues at or above the --fail-on severity were found
+  2  Invalid arguments or profile, or a file could not be read`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the program name
+ * @returns {Object} Parsed options
+ * @throws {Error} If the arguments are invalid
+ */
+function parseArguments(args) {
+    const options = {
+        command: null,
+        format: 'text',
+        failOn: 'warning',
+        profile: CheckProfile.DEFAULT_PROFILE_ID,
+        output: null,
+        help: false,
+        paths: []
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const nextValue = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-f':
+            case '--format':
+                options.format = nextValue().toLowerCase();
+                break;
+            case '--fail-on':
+                options.failOn = nextValue().toLowerCase();
+                break;
+            case '-p':
+            case '--profile':
+                options.profile = nextValue();
+                break;
+            case '-o':
+            case '--output':
+                options.output = nextValue();
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                if (!options.command) {
+                    options.command = arg;
+                } else {
+                    options.paths.push(arg);
+                }
+                break;
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+
+    if (options.command !== 'check') {
+        throw new Error(options.command ? `Unknown command: ${options.command}` : 'No command given');
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`);
+    }
+
+    if (!FAIL_ON_LEVELS.includes(options.failOn)) {
+        throw new Error(`Unknown severity: ${options.failOn} (expected ${FAIL_ON_LEVELS.join(', ')})`);
+    }
+
+    if (options.paths.length === 0) {
+        throw new Error('No GEDCOM files given');
+    }
+
+    return options;
+}
+
+/**
+ * Expand files and folders into a sorted list of GEDCOM files
+ * @param {Array<string>} paths - Files and folders given on the command line
+ * @returns {Array<string>} GEDCOM file paths
+ * @throws {Error} If a path does not exist
+ */
+function collectGedcomFiles(paths) {
+    const files = [];
+
+    for (const inputPath of paths) {
+        if (!fs.existsSync(inputPath)) {
+            throw new Error(`File not found: ${inputPath}`);
+        }
+
+        if (fs.statSync(inputPath).isDirectory()) {
+            const found = [];
+            const walk = directory => {
+                for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+                    const entryPath = path.join(directory, entry.name);
+                    if (entry.isDirectory()) {
+                        walk(entryPath);
+                    } else if (GEDCOM_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                        found.push(entryPath);
+                    }
+                }
+            };
+            walk(inputPath);
+            files.push(...found.sort());
+        } else {
+            files.push(inputPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Read and check a single GEDCOM file
+ * Files are streamed so that large merged files can be checked
+ * @param {string} filePath - Path to the GEDCOM file
+ * @param {CheckProfile} profile - Thresholds and enabled checks
+ * @returns {Promise<Object>} Integrity report
+ */
+async function checkFile(filePath, profile) {
+    const gedReader = new GedReader();
+    const gedModel = await gedReader.readStream(filePath);
+    const checker = new GedcomIntegrityChecker(gedModel, profile);
+    return checker.checkIntegrity();
+}
+
+/**
+ * Check whether a report contains issues at or above a severity
+ * @param {Object} report - Integrity report
+ * @param {string} failOn - Severity threshold, or 'none'
+ * @returns {boolean} True if the threshold is reached
+ */
+function reachesThreshold(report, failOn) {
+    if (failOn === 'none') return false;
+
+    return [...report.errors, ...report.warnings]
+        .some(issue => GedcomIntegrityChecker.compareSeverity(issue.severity, failOn) >= 0);
+}
+
+/**
+ * Render the reports of all checked files
+ * @param {Array<Object>} checkedFiles - Objects with `file` and either `report` or `error`
+ * @param {string} format - Output format
+ * @returns {string} The rendered output
+ */
+function renderOutput(checkedFiles, format) {
+    const succeeded = checkedFiles.filter(checked => checked.report);
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(checkedFiles.map(checked => checked.report
+                ? toJsonReport(checked.file, checked.report)
+                : { file: checked.file, error: checked.error }), null, 2) + '\n';
+        case 'csv':
+            return toCsv(succeeded);
+        default:
+            return checkedFiles.map(checked => checked.report
+                ? formatResults(checked.file, checked.report)
+                : `=== GEDquality Integrity Report ===\nGEDCOM File: ${checked.file}\n\n❌ ${checked.error}`)
+                .join('\n\n') + '\n';
+    }
+}
+
+/**
+ * Run the command-line tool
+ * @param {Array<string>} args - Arguments after the program name
+ * @param {Object} [io] - Output streams (defaults to process.stdout and process.stderr)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(args, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let options;
+    let files;
+    let profile;
+    try {
+        options = parseArguments(args);
+        if (options.help) {
+            io.stdout.write(USAGE + '\n');
+            return EXIT_OK;
+        }
+        files = collectGedcomFiles(options.paths);
+    } catch (error) {
+        io.stderr.write(`gedquality: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_FAILURE;
+    }
+
+    try {
+        profile = CheckProfile.load(options.profile);
+    } catch (error) {
+        io.stderr.write(`gedquality: ${error.message}\n`);
+        return EXIT_FAILURE;
+    }
+
+    let exitCode = EXIT_OK;
+    const checkedFiles = [];
+
+    for (const filePath of files) {
+        try {
+            const report = await checkFile(filePath, profile);
+            checkedFiles.push({ file: filePath, report });
+            if (reachesThreshold(report, options.failOn) && exitCode === EXIT_OK) {
+                exitCode = EXIT_ISSUES;
+            }
+        } catch (error) {
+            io.stderr.write(`gedquality: ${filePath}: ${error.message}\n`);
+            checkedFiles.push({ file: filePath, error: error.message });
+            exitCode = EXIT_FAILURE;
+        }
+    }
+
+    const output = renderOutput(checkedFiles, options.format);
+
+    if (options.output) {
+        try {
+            fs.writeFileSync(options.output, output, 'utf8');
+        } catch (error) {
+            io.stderr.write(`gedquality: Failed to write ${options.output}: ${error.message}\n`);
+            return EXIT_FAILURE;
+        }
+    } else {
+        io.stdout.write(output);
+    }
+
+    return exitCode;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    }).catch(error => {
+        console.error(`gedquality: ${error.message}`);
+        process.exitCode = EXIT_FAILURE;
+    });
+}
+
+module.exports = {
+    run,
+    parseArguments,
+    EXIT_OK,
+    EXIT_ISSUES,
+    EXIT_FAILURE
+};
@@ -15,6 +15,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const errorContent = document.getElementById('errorContent');
     const saveBtn = document.getElementById('saveBtn');
     const helpBtn = document.getElementById('helpBtn');
+    const profileSelect = document.getElementById('profileSelect');
 
     // Modal elements
     const helpModal = document.getElementById('helpModal');
@@ -26,7 +27,9 @@ document.addEventListener('DOMContentLoaded', function() {
     const saveFileCancel = document.getElementById('saveFileCancel');
     const fileNameInput = document.getElementById('fileName');
 
-    let uploadedGedcomFile = false;
+    let uploadToken = null;
+
+    loadProfiles();
 
     // File upload handlers
     gedcomUploadBtn.addEventListener('click', function() {
@@ -44,7 +47,7 @@ document.addEventListener('DOMContentLoaded', function() {
     dataForm.addEventListener('submit', async function(e) {
         e.preventDefault();
 
-        if (!uploadedGedcomFile) {
+        if (!uploadToken) {
             showError('Please upload a GEDCOM file first');
             return;
         }
@@ -100,6 +103,30 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
+    /**
+     * Fill the profile list with the built-in check profiles
+     */
+    async function loadProfiles() {
+        try {
+            const response = await fetch('/api/profiles');
+            const result = await response.json();
+
+            if (result.success) {
+                profileSelect.innerHTML = '';
+                for (const profile of result.profiles) {
+                    const option = document.createElement('option');
+                    option.value = profile.id;
+                    option.textContent = profile.name;
+                    option.title = profile.description;
+                    profileSelect.appendChild(option);
+                }
+            }
+        } catch (error) {
+            // Keep the default profile
+            console.error('Profile list error:', error);
+        }
+    }
+
     /**
      * Upload GEDCOM file
      */
@@ -107,6 +134,13 @@ document.addEventListener('DOMContentLoaded', function() {
         const formData = new FormData();
         formData.append('gedcom', file);
 
+        // Release the previous upload on the server
+        if (uploadToken) {
+            fetch('/api/upload-gedcom/' + encodeURIComponent(uploadToken), { method: 'DELETE' })
+                .catch(error => console.error('Release error:', error));
+            uploadToken = null;
+        }
+
         try {
             const response = await fetch('/api/upload-gedcom', {
                 method: 'POST',
@@ -118,7 +152,7 @@ document.addEventListener('DOMContentLoaded', function() {
             if (result.success) {
                 gedcomFileName.textContent = result.fileName;
                 gedcomFileName.style.display = 'inline';
-                uploadedGedcomFile = true;
+                uploadToken = result.uploadToken;
                 checkBtn.disabled = false;
                 hideError();
             } else {
@@ -146,7 +180,8 @@ document.addEventListener('DOMContentLoaded', function() {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
-                }
+                },
+                body: JSON.stringify({ uploadToken: uploadToken, profile: profileSelect.value })
             });
 
             const result = await response.json();
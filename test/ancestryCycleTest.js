@@ -0,0 +1,79 @@
+/**
+ * Unit tests for circular ancestry detection
+ * Ensures people who are their own ancestors are reported with the full cycle
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcomReport } = require('./helpers/checkGedcom');
+const CheckProfile = require('../utils/CheckProfile');
+
+/**
+ * Check families given as [family xref, husband xref, child xref] triples
+ * @param {Array<Array<string>>} families - Family, husband and child of each family
+ * @param {CheckProfile} [profile] - Check profile
+ * @returns {Promise<Array<Object>>} circular_ancestry errors
+ */
+async function checkFamilies(families, profile) {
+    const people = new Set(families.flatMap(([, husband, child]) => [husband, child]));
+    const lines = [];
+    for (const xref of people) {
+        // Entries 0 to 99 keep the summary of large files quick
+        lines.push(`0 ${xref} INDI`, `1 NAME Person${xref.replace(/@/g, '')} /Huber/`,
+            '1 SOUR @S1@', `2 PAGE ${Number(xref.replace(/\D/g, '')) % 100}`);
+    }
+    for (const [family, husband, child] of families) {
+        lines.push(`0 ${family} FAM`, `1 HUSB ${husband}`, `1 CHIL ${child}`);
+    }
+    const report = await checkGedcomReport(lines, profile);
+    return report.errors.filter(error => error.type === 'circular_ancestry');
+}
+
+describe('Circular Ancestry', function() {
+    it('should not report an ordinary line of ancestors', async function() {
+        assert.deepStrictEqual(await checkFamilies([['@F1@', '@I1@', '@I2@'], ['@F2@', '@I2@', '@I3@']]), []);
+    });
+
+    it('should report a child linked as HUSB of the parent\'s family', async function() {
+        // @I2@ is a child of @I1@ in @F1@, and @I1@ a child of @I2@ in @F2@
+        const errors = await checkFamilies([['@F1@', '@I1@', '@I2@'], ['@F2@', '@I2@', '@I1@']]);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].severity, 'error');
+        assert.deepStrictEqual(errors[0].personIds, ['@I2@', '@I1@']);
+        assert.deepStrictEqual(errors[0].familyIds, ['@F1@', '@F2@']);
+        assert.strictEqual(errors[0].message, 'Circular ancestry: ' +
+            'PersonI2 /Huber/ (@I2@, Entry: 2) is a child of PersonI1 /Huber/ (@I1@, Entry: 1) in @F1@, ' +
+            'PersonI1 /Huber/ (@I1@, Entry: 1) is a child of PersonI2 /Huber/ (@I2@, Entry: 2) in @F2@');
+    });
+
+    it('should report a person who is their own parent', async function() {
+        const errors = await checkFamilies([['@F1@', '@I1@', '@I1@']]);
+        assert.strictEqual(errors.length, 1);
+        assert.deepStrictEqual(errors[0].personIds, ['@I1@']);
+    });
+
+    it('should report the full path of a longer cycle once', async function() {
+        const errors = await checkFamilies([
+            ['@F1@', '@I1@', '@I2@'], ['@F2@', '@I2@', '@I3@'], ['@F3@', '@I3@', '@I4@'], ['@F4@', '@I4@', '@I1@'],
+            ['@F5@', '@I4@', '@I5@']
+        ]);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].path.length, 4);
+        assert.deepStrictEqual(errors[0].path.map(step => step.entry).sort(), ['1', '2', '3', '4']);
+    });
+
+    it('should follow long lines of ancestors without recursion', async function() {
+        const families = [];
+        for (let i = 1; i < 5000; i++) {
+            families.push([`@F${i}@`, `@I${i}@`, `@I${i + 1}@`]);
+        }
+        families.push(['@F0@', '@I5000@', '@I1@']);
+
+        // Thousands of similar names would all be compared as possible duplicates
+        const errors = await checkFamilies(families, new CheckProfile({ checks: { duplicatePeople: false } }));
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].personIds.length, 5000);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the impossible calendar date check
+ * Ensures days that do not exist in their month get their own warning types
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcom } = require('./helpers/checkGedcom');
+const { DateModel } = require('../DataModel');
+
+/**
+ * Check birth dates and return the impossible date warnings
+ * @param {Array<string>} dates - One birth date per person
+ * @returns {Promise<Array<Object>>} Warnings whose type starts with date_
+ */
+function checkDates(dates) {
+    const lines = [];
+    dates.forEach((date, index) => {
+        lines.push(`0 @I${index + 1}@ INDI`, '1 NAME Anna /Huber/', '1 BIRT', `2 DATE ${date}`);
+    });
+    return checkGedcom(lines, warning => warning.type.startsWith('date_') || warning.type === 'invalid_date_format');
+}
+
+describe('Impossible Calendar Dates', function() {
+    it('should tell the problems apart', function() {
+        assert.strictEqual(DateModel.findDayProblem('GREGORIAN', 0, 1, 1800), 'day_zero');
+        assert.strictEqual(DateModel.findDayProblem('GREGORIAN', 45, 3, 1790), 'day_out_of_range');
+        assert.strictEqual(DateModel.findDayProblem('GREGORIAN', 31, 2, 1802), 'day_not_in_month');
+        assert.strictEqual(DateModel.findDayProblem('GREGORIAN', 29, 2, 1700), 'invalid_leap_day');
+        assert.strictEqual(DateModel.findDayProblem('JULIAN', 29, 2, 1700), null);
+        assert.strictEqual(DateModel.findDayProblem('FRENCH R', 6, 13, 4), 'invalid_leap_day');
+        assert.strictEqual(DateModel.findDayProblem('FRENCH R', 31, 1, 7), 'day_out_of_range');
+    });
+
+    it('should give each impossible date its own warning type', async function() {
+        const warnings = await checkDates(['31 FEB 1802', '00 JAN 1800', '45 MAR 1790', '29 FEB 1700', '31 APR 1801']);
+
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.date]), [
+            ['date_day_not_in_month', '31 FEB 1802'],
+            ['date_day_zero', '00 JAN 1800'],
+            ['date_day_out_of_range', '45 MAR 1790'],
+            ['date_invalid_leap_day', '29 FEB 1700'],
+            ['date_day_not_in_month', '31 APR 1801']
+        ]);
+        assert(warnings[0].message.includes('FEB 1802 has only 28 days'));
+    });
+
+    it('should follow the leap years of the date\'s calendar', async function() {
+        const warnings = await checkDates(['@#DJULIAN@ 29 FEB 1700', '29 FEB 1600', '6 COMP AN III', '6 COMP AN IV']);
+
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.date]), [
+            ['date_invalid_leap_day', '6 COMP AN IV']
+        ]);
+        assert(warnings[0].message.includes('French Republican calendar'));
+    });
+
+    it('should check both dates of a range', async function() {
+        const warnings = await checkDates(['BET 1 JAN 1800 AND 30 FEB 1801']);
+        assert.deepStrictEqual(warnings.map(warning => warning.type), ['date_day_not_in_month']);
+    });
+
+    it('should not use impossible dates in consistency checks', async function() {
+        const warnings = await checkGedcom(['0 @I1@ INDI', '1 NAME Anna /Huber/', '1 BIRT', '2 DATE 31 FEB 1802',
+            '1 DEAT', '2 DATE 2 MAR 1802'], ['birth_after_death']);
+
+        assert.deepStrictEqual(warnings, []);
+    });
+});
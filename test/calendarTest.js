@@ -0,0 +1,142 @@
+/**
+ * Unit tests for calendar support
+ * Ensures Julian and French Republican dates are parsed, converted to Gregorian and checked
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcomReport } = require('./helpers/checkGedcom');
+const { Calendar, DateModel } = require('../DataModel');
+
+/**
+ * Parse a GEDCOM date
+ * @param {string} dateString - The date to parse
+ * @returns {DateModel} The parsed date
+ */
+function parse(dateString) {
+    const dateModel = new DateModel();
+    dateModel.parseGedcomDate(dateString);
+    return dateModel;
+}
+
+/**
+ * Parse GEDCOM lines and check them
+ * @param {Array<string>} lines - Records between HEAD and TRLR
+ * @returns {Promise<Object>} The check results
+ */
+function check(lines) {
+    return checkGedcomReport(lines);
+}
+
+describe('Calendar Support', function() {
+    describe('Calendar', function() {
+        it('should convert French Republican dates to Gregorian', function() {
+            assert.strictEqual(Calendar.formatGregorian(Calendar.toJulianDayNumber('FRENCH R', 1, 1, 1)), '22 SEP 1792');
+            assert.strictEqual(Calendar.formatGregorian(Calendar.toJulianDayNumber('FRENCH R', 7, 1, 12)), '3 OCT 1798');
+            assert.strictEqual(Calendar.formatGregorian(Calendar.toJulianDayNumber('FRENCH R', 12, 1, 1)), '24 SEP 1803');
+            assert.strictEqual(Calendar.formatGregorian(Calendar.toJulianDayNumber('FRENCH R', 14, 4, 10)), '31 DEC 1805');
+        });
+
+        it('should convert Julian dates to Gregorian', function() {
+            assert.strictEqual(Calendar.formatGregorian(Calendar.toJulianDayNumber('JULIAN', 1582, 10, 5)), '15 OCT 1582');
+            assert.strictEqual(Calendar.formatGregorian(Calendar.toJulianDayNumber('JULIAN', 1700, 2, 29)), '11 MAR 1700');
+        });
+
+        it('should know the leap years of each calendar', function() {
+            assert.strictEqual(Calendar.isLeapYear('GREGORIAN', 1700), false);
+            assert.strictEqual(Calendar.isLeapYear('JULIAN', 1700), true);
+            assert.strictEqual(Calendar.getDaysInMonth('FRENCH R', 13, 3), 6);
+            assert.strictEqual(Calendar.getDaysInMonth('FRENCH R', 13, 4), 5);
+        });
+
+        it('should read French Republican years', function() {
+            assert.strictEqual(Calendar.parseFrenchYear('AN VII'), 7);
+            assert.strictEqual(Calendar.parseFrenchYear('XIV'), 14);
+            assert.strictEqual(Calendar.parseFrenchYear('12'), 12);
+            assert.strictEqual(Calendar.parseFrenchYear('AN XYZ'), null);
+        });
+    });
+
+    describe('DateModel', function() {
+        it('should parse French Republican dates with and without escape', function() {
+            for (const dateString of ['12 VEND AN VII', '@#DFRENCH R@ 12 VEND 7', '@#DFRENCH R@ 12 VEND AN VII']) {
+                const dateModel = parse(dateString);
+                assert.strictEqual(dateModel.calendar, 'FRENCH R');
+                assert.deepStrictEqual([dateModel.day, dateModel.month, dateModel.year], [12, 1, 7]);
+                assert.strictEqual(dateModel.toGregorianString(), '3 OCT 1798');
+            }
+        });
+
+        it('should parse Julian dates', function() {
+            const dateModel = parse('ABT @#DJULIAN@ 29 FEB 1700');
+            assert.strictEqual(dateModel.calendar, 'JULIAN');
+            assert.strictEqual(dateModel.isAbout, true);
+            assert.strictEqual(dateModel.toGEDCOM(), 'ABT @#DJULIAN@ 29 FEB 1700');
+            assert.strictEqual(dateModel.toGregorianString(), 'ABT 11 MAR 1700');
+            assert.strictEqual(dateModel.toISO(), '1700-03-11');
+        });
+
+        it('should accept the calendar escape before the qualifier', function() {
+            const dateModel = parse('@#DJULIAN@ BET 1700 AND 1710');
+            assert.strictEqual(dateModel.startDate.calendar, 'JULIAN');
+            assert.strictEqual(dateModel.endDate.calendar, 'JULIAN');
+        });
+
+        it('should cover all days of partial dates', function() {
+            assert.strictEqual(parse('VEND AN VII').toGregorianString(), '22 SEP 1798 - 21 OCT 1798');
+            assert.strictEqual(parse('AN XII').toGregorianString(), '24 SEP 1803 - 22 SEP 1804');
+            assert.strictEqual(parse('MAR 1790').toGregorianString(), 'MAR 1790');
+        });
+
+        it('should compare dates of different calendars', function() {
+            assert.strictEqual(parse('12 VEND AN VII').compare(parse('1 OCT 1798')), 1);
+            assert.strictEqual(parse('@#DJULIAN@ 5 OCT 1582').compare(parse('10 OCT 1582')), 1);
+        });
+
+        it('should reject invalid calendar dates', function() {
+            assert.throws(() => parse('6 COMP AN IV'), /between 1 and 5/);
+            assert.throws(() => parse('@#DJULIAN@ 1 VEND 1700'), /Invalid month name/);
+            assert.throws(() => parse('@#DHEBREW@ 1 TSH 5500'), /Unsupported calendar/);
+        });
+    });
+
+    describe('GedcomIntegrityChecker', function() {
+        it('should accept calendar dates and show their Gregorian equivalent', async function() {
+            const report = await check([
+                '0 @I1@ INDI', '1 NAME Jean /Schaller/', '1 BIRT', '2 DATE 12 VEND AN VII',
+                '1 DEAT', '2 DATE 1 FEB 1798'
+            ]);
+
+            assert(!report.warnings.some(warning => warning.type === 'invalid_date_format'));
+
+            const birthAfterDeath = report.warnings.find(warning => warning.type === 'birth_after_death');
+            assert(birthAfterDeath, 'Expected a birth_after_death warning');
+            assert(birthAfterDeath.message.includes('12 VEND AN VII [French Republican = 3 OCT 1798]'));
+        });
+
+        it('should convert calendar dates before comparing them', async function() {
+            const report = await check([
+                '0 @I1@ INDI', '1 NAME Jean /Schaller/', '1 BIRT', '2 DATE @#DJULIAN@ 25 DEC 1700',
+                '1 DEAT', '2 DATE 2 JAN 1701',
+                '0 @I2@ INDI', '1 NAME Marie /Schaller/', '1 BIRT', '2 DATE 1 JAN 1790',
+                '1 DEAT', '2 DATE 15 BRUM AN II'
+            ]);
+
+            // Julian 25 DEC 1700 is Gregorian 5 JAN 1701
+            const warnings = report.warnings.filter(warning => warning.type === 'birth_after_death');
+            assert.deepStrictEqual(warnings.map(warning => warning.personId), ['@I1@']);
+        });
+
+        it('should report invalid calendar dates with the reason', async function() {
+            const report = await check([
+                '0 @I1@ INDI', '1 NAME Jean /Schaller/', '1 BIRT', '2 DATE 12 VEND AN CC'
+            ]);
+
+            const warning = report.warnings.find(warning => warning.type === 'invalid_date_format');
+            assert(warning, 'Expected an invalid_date_format warning');
+            assert(warning.message.includes('between I and XCIX'));
+        });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for check profiles
+ * Ensures profiles set the thresholds and turn checks on and off
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GedReader = require('../GEDCOM/GedReader');
+const GedcomIntegrityChecker = require('../utils/GedcomIntegrityChecker');
+const CheckProfile = require('../utils/CheckProfile');
+const { DateModel } = require('../DataModel');
+const { checkGedcom, checkGedcomReport } = require('./helpers/checkGedcom');
+
+/**
+ * Check one person's birth and death dates
+ * @param {string} birth - Birth date
+ * @param {string} death - Death date
+ * @param {CheckProfile} [profile] - Check profile
+ * @returns {Promise<Array<string>>} Types of all warnings except missing family and source
+ */
+async function checkLife(birth, death, profile) {
+    const lines = ['0 @I1@ INDI', '1 NAME Anna /Huber/', '1 BIRT', `2 DATE ${birth}`, '1 DEAT', `2 DATE ${death}`];
+    const warnings = await checkGedcom(lines, warning => !['family_membership', 'missing_source'].includes(warning.type), profile);
+    return warnings.map(warning => warning.type);
+}
+
+describe('Check Profiles', function() {
+    describe('CheckProfile', function() {
+        it('should list every check of the checker in the default profile', function() {
+            const profile = CheckProfile.getDefault();
+            assert.deepStrictEqual(Object.keys(profile.checks), GedcomIntegrityChecker.CHECKS);
+            assert.strictEqual(profile.thresholds.maxLifespanYears, 120);
+        });
+
+        it('should list the built-in profiles with the default first', function() {
+            const profiles = CheckProfile.listBuiltIn();
+            assert.strictEqual(profiles[0].id, 'default');
+            assert(profiles.some(profile => profile.id === 'german-village'));
+        });
+
+        it('should take values a profile leaves out from the default profile', function() {
+            const profile = new CheckProfile({ thresholds: { maxMotherAge: 48 }, checks: { givenNames: false } });
+            assert.strictEqual(profile.thresholds.maxMotherAge, 48);
+            assert.strictEqual(profile.thresholds.maxLifespanYears, 120);
+            assert.strictEqual(profile.isEnabled('givenNames'), false);
+            assert.strictEqual(profile.isEnabled('dateConsistency'), true);
+        });
+
+        it('should reject unknown and invalid settings', function() {
+            assert.throws(() => new CheckProfile({ thresholds: { maxAge: 100 } }), /Unknown threshold/);
+            assert.throws(() => new CheckProfile({ thresholds: { maxMotherAge: '50' } }), /must be a number/);
+            assert.throws(() => new CheckProfile({ checks: { spelling: false } }), /Unknown check/);
+            assert.throws(() => new CheckProfile({ checks: { syntax: 'no' } }), /true or false/);
+            assert.throws(() => new CheckProfile({ thresholds: { minYear: 1900, maxYear: 1800 } }), /minYear/);
+            assert.throws(() => CheckProfile.fromBuiltIn('swiss-town'), /Unknown profile/);
+        });
+
+        it('should load profiles by name or from a file', function() {
+            assert.strictEqual(CheckProfile.load('german-village').id, 'german-village');
+
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gedquality-profile-'));
+            try {
+                const file = path.join(directory, 'alpine.json');
+                fs.writeFileSync(file, JSON.stringify({ name: 'Alpine valleys', thresholds: { maxLifespanYears: 110 } }));
+                const profile = CheckProfile.load(file);
+                assert.strictEqual(profile.name, 'Alpine valleys');
+                assert.strictEqual(profile.thresholds.maxLifespanYears, 110);
+
+                fs.writeFileSync(file, '{ "name": ');
+                assert.throws(() => CheckProfile.load(file), /Cannot read profile/);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('GedcomIntegrityChecker', function() {
+        it('should use the lifespan threshold of the profile', async function() {
+            assert.deepStrictEqual(await checkLife('1700', '1812'), []);
+            assert.deepStrictEqual(await checkLife('1700', '1812', CheckProfile.fromBuiltIn('german-village')),
+                ['excessive_lifespan']);
+        });
+
+        it('should report years outside the profile range', async function() {
+            assert.deepStrictEqual(await checkLife('1520', '1580'), []);
+
+            const profile = CheckProfile.fromBuiltIn('german-village');
+            assert.deepStrictEqual(await checkLife('1520', '1580', profile), ['year_out_of_range']);
+            assert.deepStrictEqual(await checkLife('1590', '1520', profile), ['year_out_of_range', 'birth_after_death']);
+        });
+
+        it('should skip checks the profile turns off', async function() {
+            const profile = new CheckProfile({ checks: { dateConsistency: false, dateFormats: false } });
+            assert.deepStrictEqual(await checkLife('1800', '1750', profile), []);
+            assert.deepStrictEqual(await checkLife('ca. 1800', '1750', profile), []);
+        });
+
+        it('should parse ISO dates and person models with the profile range, ISO dates up to 2000 without one', async function() {
+            const yearRange = new CheckProfile({ thresholds: { minYear: 1300 } }).getYearRange();
+            assert.throws(() => new DateModel().parseDateString('1350-03-02'), /between 1400 and 2000/);
+            assert.doesNotThrow(() => new DateModel().parseDateString('1350-03-02', yearRange));
+            assert.throws(() => new DateModel().parseDateString('2050-03-02'), /between 1400 and 2000/);
+            assert.doesNotThrow(() => new DateModel().parseDateString('2050-03-02', { minYear: 1400, maxYear: 2100 }));
+
+            const gedModel = await new GedReader().readStream(Buffer.from(
+                '0 HEAD\n0 @I1@ INDI\n1 NAME Johann /Huber/\n1 BIRT\n2 DATE 3 MAR 1350\n0 TRLR\n', 'utf8'));
+            const individual = gedModel.getIndividual('@I1@');
+            assert.strictEqual(individual.toPersonModel().birth.date.year, null);
+            assert.strictEqual(individual.toPersonModel(new Map(), yearRange).birth.date.year, 1350);
+        });
+
+        it('should name the profile in the summary', async function() {
+            const report = await checkGedcomReport([], CheckProfile.fromBuiltIn('german-village'));
+            assert.strictEqual(report.summary.profile, 'German village, 17th-19th century');
+        });
+    });
+});
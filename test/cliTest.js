@@ -0,0 +1,126 @@
+/**
+ * Tests for the gedquality command-line tool
+ * Ensures output formats and exit codes work for scripted use
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { run, parseArguments, EXIT_OK, EXIT_ISSUES, EXIT_FAILURE } = require('../bin/gedquality');
+
+describe('gedquality CLI', function() {
+    const validFile = path.join(__dirname, 'fixtures', '01-valid-complete.ged');
+    let directory;
+    let invalidFile;
+
+    before(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gedquality-cli-'));
+        invalidFile = path.join(directory, 'born-after-death.ged');
+        fs.writeFileSync(invalidFile, `0 HEAD
+1 CHAR UTF-8
+0 @I1@ INDI
+1 NAME Johann /Aberer/
+1 SEX M
+1 BIRT
+2 DATE 10 SEP 1802
+1 DEAT
+2 DATE 22 APR 1769
+1 SOUR @S1@
+2 PAGE 1
+0 TRLR
+`, 'utf8');
+    });
+
+    after(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Collects everything written to stdout and stderr
+    function createIo() {
+        const io = { out: '', err: '' };
+        io.stdout = { write: text => { io.out += text; } };
+        io.stderr = { write: text => { io.err += text; } };
+        return io;
+    }
+
+    describe('parseArguments', function() {
+        it('should parse format, threshold and paths', function() {
+            const options = parseArguments(['check', '-f', 'json', '--fail-on', 'error', 'a.ged', 'b.ged']);
+            assert.strictEqual(options.format, 'json');
+            assert.strictEqual(options.failOn, 'error');
+            assert.deepStrictEqual(options.paths, ['a.ged', 'b.ged']);
+        });
+
+        it('should use the default profile unless one is given', function() {
+            assert.strictEqual(parseArguments(['check', 'a.ged']).profile, 'default');
+            assert.strictEqual(parseArguments(['check', '-p', 'german-village', 'a.ged']).profile, 'german-village');
+        });
+
+        it('should reject unknown formats', function() {
+            assert.throws(() => parseArguments(['check', '-f', 'xml', 'a.ged']), /Unknown format/);
+        });
+    });
+
+    describe('run', function() {
+        it('should exit with 0 for a clean file', async function() {
+            const io = createIo();
+            assert.strictEqual(await run(['check', validFile], io), EXIT_OK);
+            assert(io.out.includes('No integrity issues found'));
+        });
+
+        it('should exit with 1 when warnings reach the threshold', async function() {
+            const io = createIo();
+            assert.strictEqual(await run(['check', invalidFile], io), EXIT_ISSUES);
+        });
+
+        it('should exit with 0 when warnings are below the threshold', async function() {
+            const io = createIo();
+            assert.strictEqual(await run(['check', '--fail-on', 'error', invalidFile], io), EXIT_OK);
+        });
+
+        it('should exit with 2 for a missing file', async function() {
+            const io = createIo();
+            assert.strictEqual(await run(['check', path.join(directory, 'missing.ged')], io), EXIT_FAILURE);
+            assert(io.err.includes('File not found'));
+        });
+
+        it('should check with the selected profile', async function() {
+            const profileFile = path.join(directory, 'no-dates.json');
+            fs.writeFileSync(profileFile, JSON.stringify({ name: 'No dates', checks: { dateConsistency: false } }));
+            try {
+                const io = createIo();
+                assert.strictEqual(await run(['check', '--profile', profileFile, invalidFile], io), EXIT_OK);
+                assert(io.out.includes('Check Profile: No dates'));
+            } finally {
+                fs.rmSync(profileFile);
+            }
+        });
+
+        it('should exit with 2 for an unknown profile', async function() {
+            const io = createIo();
+            assert.strictEqual(await run(['check', '--profile', 'swiss-town', invalidFile], io), EXIT_FAILURE);
+            assert(io.err.includes('Unknown profile'));
+        });
+
+        it('should print one JSON report per file found in a folder', async function() {
+            const io = createIo();
+            await run(['check', '-f', 'json', directory], io);
+            const reports = JSON.parse(io.out);
+            assert.strictEqual(reports.length, 1);
+            assert.strictEqual(reports[0].warnings[0].type, 'birth_after_death');
+            assert.strictEqual(reports[0].warnings[0].severity, 'warning');
+        });
+
+        it('should print CSV rows with a header', async function() {
+            const io = createIo();
+            await run(['check', '-f', 'csv', invalidFile], io);
+            const lines = io.out.trim().split('\n');
+            assert.strictEqual(lines[0], 'file,severity,type,label,personId,familyId,entry,message');
+            assert(lines[1].includes('birth_after_death'));
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for conflicting parentage
+ * Ensures children listed in more than one family are reported with the
+ * candidate families, unless PEDI marks the other links as adoption or foster care
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const GedReader = require('../GEDCOM/GedReader');
+const { checkGedcom } = require('./helpers/checkGedcom');
+
+// Two couples, each with a marriage, and a child
+const PEOPLE = [
+    '0 @I1@ INDI', '1 NAME Hans /Huber/', '1 BIRT', '2 DATE 1750', '1 SOUR @S1@', '2 PAGE 12', '1 FAMS @F1@',
+    '0 @I2@ INDI', '1 NAME Anna /Meier/', '1 BIRT', '2 DATE 1755', '1 SOUR @S1@', '2 PAGE 12', '1 FAMS @F1@',
+    '0 @I3@ INDI', '1 NAME Georg /Huber/', '1 BIRT', '2 DATE ABT 1720', '1 SOUR @S1@', '2 PAGE 30', '1 FAMS @F2@',
+    '0 @I4@ INDI', '1 NAME Maria /Koch/', '1 SOUR @S1@', '2 PAGE 30', '1 FAMS @F2@',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I5@', '1 MARR', '2 DATE 1775',
+    '0 @F2@ FAM', '1 HUSB @I3@', '1 WIFE @I4@', '1 CHIL @I5@'
+];
+
+/**
+ * Check the families above with a child whose FAMC links are given
+ * @param {Array<string>} links - FAMC lines of the child @I5@
+ * @returns {Promise<Array<Object>>} conflicting_parentage warnings
+ */
+function checkChild(links) {
+    return checkGedcom([...PEOPLE,
+        '0 @I5@ INDI', '1 NAME Jakob /Huber/', '1 BIRT', '2 DATE 1780', '1 SOUR @S1@', '2 PAGE 12', ...links
+    ], ['conflicting_parentage']);
+}
+
+describe('Conflicting Parentage', function() {
+    it('should read PEDI of FAMC links', async function() {
+        const gedModel = await new GedReader().readStream(Buffer.from(
+            '0 HEAD\n0 @I1@ INDI\n1 FAMC @F1@\n1 FAMC @F2@\n2 PEDI Adopted\n0 TRLR\n', 'utf8'));
+        const individual = gedModel.getIndividual('@I1@');
+
+        assert.strictEqual(individual.getPedigree('@F1@'), '');
+        assert.strictEqual(individual.getPedigree('@F2@'), 'adopted');
+        assert.strictEqual(individual.clone().getPedigree('@F2@'), 'adopted');
+    });
+
+    it('should report a child of two families with the parents and marriages', async function() {
+        const warnings = await checkChild(['1 FAMC @F1@', '1 FAMC @F2@']);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].personId, '@I5@');
+        assert.deepStrictEqual(warnings[0].familyIds, ['@F1@', '@F2@']);
+        assert.deepStrictEqual(warnings[0].families[0], {
+            familyId: '@F1@',
+            entry: '12',
+            marriageDate: '1775',
+            father: { personId: '@I1@', personName: 'Hans /Huber/', birthDate: '1750' },
+            mother: { personId: '@I2@', personName: 'Anna /Meier/', birthDate: '1755' }
+        });
+        assert.strictEqual(warnings[0].message,
+            'Jakob /Huber/ [12] (b. 1780) (@I5@) is a child of 2 families without PEDI adopted or foster: ' +
+            '@F1@ [Entry: 12] father Hans /Huber/ (@I1@, b. 1750), mother Anna /Meier/ (@I2@, b. 1755), married 1775; ' +
+            '@F2@ [Entry: 30] father Georg /Huber/ (@I3@, b. ABT 1720), mother Maria /Koch/ (@I4@), marriage date unknown');
+    });
+
+    it('should accept a child adopted or fostered by the other family', async function() {
+        assert.deepStrictEqual(await checkChild(['1 FAMC @F1@', '2 PEDI birth', '1 FAMC @F2@', '2 PEDI adopted']), []);
+        assert.deepStrictEqual(await checkChild(['1 FAMC @F1@', '2 PEDI foster', '1 FAMC @F2@']), []);
+    });
+
+    it('should report a child with PEDI birth in both families', async function() {
+        const warnings = await checkChild(['1 FAMC @F1@', '2 PEDI birth', '1 FAMC @F2@', '2 PEDI birth']);
+        assert.strictEqual(warnings.length, 1);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for the GEDCOM 5.5.1 date grammar
+ * Ensures phrases, interpreted dates, dual years, periods and approximations are parsed and checked
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { Calendar, DateModel } = require('../DataModel');
+const { checkGedcom } = require('./helpers/checkGedcom');
+
+/**
+ * Parse a GEDCOM date
+ * @param {string} dateString - The date to parse
+ * @returns {DateModel} The parsed date
+ */
+function parse(dateString) {
+    const dateModel = new DateModel();
+    dateModel.parseGedcomDate(dateString);
+    return dateModel;
+}
+
+/**
+ * Get the interval of a GEDCOM date as Gregorian dates
+ * @param {string} dateString - The date to parse
+ * @returns {Array|null} Earliest and latest day, or null if the date has no interval
+ */
+function interval(dateString) {
+    const result = parse(dateString).getInterval();
+    return result && [Calendar.formatGregorian(result.earliest), Calendar.formatGregorian(result.latest)];
+}
+
+/**
+ * Check one person's birth and death dates
+ * @param {string} birth - Birth date
+ * @param {string} death - Death date
+ * @returns {Promise<Array<Object>>} All warnings except missing family and source
+ */
+function checkLife(birth, death) {
+    return checkGedcom(['0 @I1@ INDI', '1 NAME Anna /Huber/', '1 BIRT', `2 DATE ${birth}`, '1 DEAT', `2 DATE ${death}`],
+        warning => !['family_membership', 'missing_source'].includes(warning.type));
+}
+
+describe('GEDCOM Date Grammar', function() {
+    describe('DateModel', function() {
+        it('should parse interpreted dates with their phrase', function() {
+            const dateModel = parse('INT 1750 (about the time of the war)');
+            assert.strictEqual(dateModel.isInterpreted, true);
+            assert.strictEqual(dateModel.year, 1750);
+            assert.strictEqual(dateModel.phrase, 'about the time of the war');
+            assert.strictEqual(dateModel.toGEDCOM(), 'INT 1750 (about the time of the war)');
+            assert.deepStrictEqual(interval('INT 1750 (about the time of the war)'), ['1 JAN 1750', '31 DEC 1750']);
+        });
+
+        it('should parse date phrases', function() {
+            const dateModel = parse('(unknown)');
+            assert.strictEqual(dateModel.phrase, 'unknown');
+            assert.strictEqual(dateModel.year, null);
+            assert.strictEqual(dateModel.toGEDCOM(), '(unknown)');
+            assert.strictEqual(dateModel.getInterval(), null);
+            assert.strictEqual(dateModel.isEmpty(), false);
+        });
+
+        it('should parse dual years as the new-style year', function() {
+            const dateModel = parse('25 JAN 1699/00');
+            assert.strictEqual(dateModel.year, 1700);
+            assert.strictEqual(dateModel.isDualYear, true);
+            assert.strictEqual(dateModel.toGEDCOM(), '25 JAN 1699/00');
+            assert.deepStrictEqual(interval('25 JAN 1699/00'), ['25 JAN 1700', '25 JAN 1700']);
+            assert.deepStrictEqual(interval('1699/00'), ['1 JAN 1699', '31 DEC 1700']);
+            assert.throws(() => parse('1699/01'), /next year/);
+        });
+
+        it('should parse periods', function() {
+            const period = parse('FROM 1790 TO 1795');
+            assert.strictEqual(period.isPeriod, true);
+            assert.strictEqual(period.startDate.year, 1790);
+            assert.strictEqual(period.endDate.year, 1795);
+            assert.strictEqual(period.toGEDCOM(), 'FROM 1790 TO 1795');
+            assert.deepStrictEqual(interval('FROM 1790 TO 1795'), ['1 JAN 1790', '31 DEC 1795']);
+
+            assert.strictEqual(parse('FROM 1790').endDate, null);
+            assert.strictEqual(parse('TO MAR 1795').toGEDCOM(), 'TO MAR 1795');
+            assert.deepStrictEqual(interval('TO MAR 1795'), ['1 MAR 1795', '31 MAR 1795']);
+        });
+
+        it('should parse estimated and calculated dates', function() {
+            assert.strictEqual(parse('EST 1750').isEstimated, true);
+            assert.strictEqual(parse('CAL 12 MAR 1790').toGEDCOM(), 'CAL 12 MAR 1790');
+            assert.deepStrictEqual(interval('EST 1750'), ['1 JAN 1745', '31 DEC 1755']);
+        });
+
+        it('should keep the new properties in clones', function() {
+            const clone = parse('FROM 25 JAN 1699/00 TO 1710').clone();
+            assert.strictEqual(clone.toGEDCOM(), 'FROM 25 JAN 1699/00 TO 1710');
+            assert.strictEqual(parse('INT 1750 (war)').clone().phrase, 'war');
+        });
+
+        it('should reject dates outside the grammar', function() {
+            assert.throws(() => parse('INT 1750'), /phrase/);
+            assert.throws(() => parse('BET ABT 1790 AND 1800'));
+            assert.throws(() => parse('10 SEP'));
+        });
+
+        it('should reject ranges and periods that start after they end', function() {
+            assert.throws(() => parse('BET 1790 AND 1780'), /Start date 1790 is after end date 1780/);
+            assert.throws(() => parse('FROM 3 MAR 1790 TO 2 MAR 1790'), /after end date/);
+            assert.strictEqual(parse('BET 1790 AND MAR 1790').toGEDCOM(), 'BET 1790 AND MAR 1790');
+        });
+    });
+
+    describe('GedcomIntegrityChecker', function() {
+        it('should accept all forms of the grammar', async function() {
+            for (const date of ['INT 1750 (about the time of the war)', '(unknown)', '1699/00', '25 JAN 1699/00',
+                'FROM 1790 TO 1795', 'TO 1795', 'EST 1750', 'CAL 1750', '@#DJULIAN@ FROM 1700 TO 1710']) {
+                const warnings = await checkLife(date, '1800');
+                assert.deepStrictEqual(warnings, [], `"${date}" should be valid`);
+            }
+        });
+
+        it('should report dates outside the grammar with the reason', async function() {
+            const warnings = await checkLife('INT 1750', '1800');
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].type, 'invalid_date_format');
+            assert(warnings[0].message.includes('(phrase)'));
+        });
+
+        it('should report a reversed range instead of comparing it', async function() {
+            const warnings = await checkLife('BET 1790 AND 1780', '1785');
+            assert.deepStrictEqual(warnings.map(warning => warning.type), ['invalid_date_format']);
+            assert(warnings[0].message.includes('(Start date 1790 is after end date 1780)'));
+        });
+
+        it('should compare the date values of interpreted dates, dual years and periods', async function() {
+            const interpreted = await checkLife('INT 1810 (after the war)', '1800');
+            assert.deepStrictEqual(interpreted.map(warning => warning.type), ['birth_after_death']);
+
+            // 20 JAN 1699/00 is 20 JAN 1700 in today's reckoning
+            const dual = await checkLife('20 JAN 1699/00', '10 FEB 1699');
+            assert.deepStrictEqual(dual.map(warning => warning.type), ['birth_after_death']);
+            assert.deepStrictEqual(await checkLife('20 JAN 1699/00', '10 FEB 1700'), []);
+
+            const period = await checkLife('FROM 1790 TO 1795', '1792');
+            assert.deepStrictEqual(period.map(warning => warning.certainty), ['possible']);
+        });
+
+        it('should skip date phrases in the consistency checks', async function() {
+            assert.deepStrictEqual(await checkLife('(unknown)', '1600'), []);
+        });
+    });
+});
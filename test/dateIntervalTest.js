@@ -0,0 +1,94 @@
+/**
+ * Unit tests for interval-aware date comparisons
+ * Ensures BEF/AFT/ABT/BET dates are compared by the days they can refer to
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { Calendar, DateModel } = require('../DataModel');
+const { checkGedcom } = require('./helpers/checkGedcom');
+
+/**
+ * Get the interval of a GEDCOM date as Gregorian dates
+ * @param {string} dateString - The date to parse
+ * @returns {Array} Earliest and latest day, or null for open ends
+ */
+function interval(dateString) {
+    const dateModel = new DateModel();
+    dateModel.parseGedcomDate(dateString);
+    const { earliest, latest } = dateModel.getInterval();
+    const format = day => Number.isFinite(day) ? Calendar.formatGregorian(day) : null;
+    return [format(earliest), format(latest)];
+}
+
+/**
+ * Check one person's birth and death dates
+ * @param {string} birth - Birth date
+ * @param {string} death - Death date
+ * @returns {Promise<Array<Object>>} Date consistency warnings
+ */
+function checkLife(birth, death) {
+    return checkGedcom(['0 @I1@ INDI', '1 NAME Anna /Huber/', '1 BIRT', `2 DATE ${birth}`, '1 DEAT', `2 DATE ${death}`],
+        ['birth_after_death', 'excessive_lifespan']);
+}
+
+describe('Date Intervals', function() {
+    describe('DateModel.getInterval', function() {
+        it('should cover all days of partial dates', function() {
+            assert.deepStrictEqual(interval('10 SEP 1802'), ['10 SEP 1802', '10 SEP 1802']);
+            assert.deepStrictEqual(interval('FEB 1800'), ['1 FEB 1800', '28 FEB 1800']);
+            assert.deepStrictEqual(interval('1800'), ['1 JAN 1800', '31 DEC 1800']);
+        });
+
+        it('should open BEF and AFT dates on one side', function() {
+            assert.deepStrictEqual(interval('BEF 1800'), [null, '31 DEC 1799']);
+            assert.deepStrictEqual(interval('AFT 1800'), ['1 JAN 1801', null]);
+        });
+
+        it('should widen ABT dates and span BET ranges', function() {
+            assert.deepStrictEqual(interval('ABT 1800'), ['1 JAN 1795', '31 DEC 1805']);
+            assert.deepStrictEqual(interval('BET 1790 AND MAR 1795'), ['1 JAN 1790', '31 MAR 1795']);
+        });
+    });
+
+    describe('GedcomIntegrityChecker', function() {
+        it('should not report BEF birth and AFT death in the same year', async function() {
+            assert.deepStrictEqual(await checkLife('BEF 1800', 'AFT 1800'), []);
+        });
+
+        it('should report a definite conflict as a warning', async function() {
+            const warnings = await checkLife('AFT 1800', 'BEF 1800');
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].type, 'birth_after_death');
+            assert.strictEqual(warnings[0].certainty, 'definite');
+            assert.strictEqual(warnings[0].severity, 'warning');
+        });
+
+        it('should report a possible conflict as info', async function() {
+            const warnings = await checkLife('ABT 1802', '1800');
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].certainty, 'possible');
+            assert.strictEqual(warnings[0].severity, 'info');
+            assert(warnings[0].message.includes('possibly born after death'));
+        });
+
+        it('should not report dates in the same year without qualifiers', async function() {
+            assert.deepStrictEqual(await checkLife('1800', '1800'), []);
+            assert.deepStrictEqual(await checkLife('BET 1790 AND 1800', '1795'), []);
+        });
+
+        it('should grade lifespans by the interval', async function() {
+            const definite = await checkLife('1700', '1830');
+            assert.strictEqual(definite[0].type, 'excessive_lifespan');
+            assert.strictEqual(definite[0].certainty, 'definite');
+
+            const possible = await checkLife('ABT 1700', '1823');
+            assert.strictEqual(possible[0].certainty, 'possible');
+            assert.strictEqual(possible[0].years, 123);
+
+            assert.deepStrictEqual(await checkLife('ABT 1700', '1818'), []);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for DateNormalizer
+ * Ensures German and French date spellings get the right GEDCOM proposal
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const DateNormalizer = require('../utils/DateNormalizer');
+const CheckProfile = require('../utils/CheckProfile');
+const { checkGedcomReport } = require('./helpers/checkGedcom');
+
+describe('DateNormalizer', function() {
+    const normalizer = new DateNormalizer();
+
+    it('should normalize German numeric and written dates', function() {
+        assert.strictEqual(normalizer.normalize('10.09.1802'), '10 SEP 1802');
+        assert.strictEqual(normalizer.normalize('1.3.1790'), '1 MAR 1790');
+        assert.strictEqual(normalizer.normalize('09.1802'), 'SEP 1802');
+        assert.strictEqual(normalizer.normalize('10. Sept. 1802'), '10 SEP 1802');
+        assert.strictEqual(normalizer.normalize('März 1790'), 'MAR 1790');
+        assert.strictEqual(normalizer.normalize('Mrz. 1790'), 'MAR 1790');
+        assert.strictEqual(normalizer.normalize('7ber 1790'), 'SEP 1790');
+        assert.strictEqual(normalizer.normalize('1802-09-10'), '10 SEP 1802');
+    });
+
+    it('should normalize French dates', function() {
+        assert.strictEqual(normalizer.normalize('1er mars 1790'), '1 MAR 1790');
+        assert.strictEqual(normalizer.normalize('15 août 1802'), '15 AUG 1802');
+        assert.strictEqual(normalizer.normalize('3 févr. 1800'), '3 FEB 1800');
+    });
+
+    it('should normalize French Republican dates', function() {
+        assert.strictEqual(normalizer.normalize('12 vendémiaire an VII'), '@#DFRENCH R@ 12 VEND 7');
+        assert.strictEqual(normalizer.normalize('12 Vend. an 7'), '@#DFRENCH R@ 12 VEND 7');
+        assert.strictEqual(normalizer.normalize('3 jours complémentaires an III'), '@#DFRENCH R@ 3 COMP 3');
+    });
+
+    it('should translate qualifiers and ranges', function() {
+        assert.strictEqual(normalizer.normalize('ca. 1750'), 'ABT 1750');
+        assert.strictEqual(normalizer.normalize('ca1750'), 'ABT 1750');
+        assert.strictEqual(normalizer.normalize('um 1750'), 'ABT 1750');
+        assert.strictEqual(normalizer.normalize('vers 1750'), 'ABT 1750');
+        assert.strictEqual(normalizer.normalize('vor 1800'), 'BEF 1800');
+        assert.strictEqual(normalizer.normalize('avant 1800'), 'BEF 1800');
+        assert.strictEqual(normalizer.normalize('nach 12.3.1799'), 'AFT 12 MAR 1799');
+        assert.strictEqual(normalizer.normalize('zwischen 1750 und 1760'), 'BET 1750 AND 1760');
+        assert.strictEqual(normalizer.normalize('1750-1760'), 'BET 1750 AND 1760');
+        assert.strictEqual(normalizer.normalize('von 1800 bis 1805'), 'FROM 1800 TO 1805');
+        assert.strictEqual(normalizer.normalize('von 1. Mai 1790 bis zum 3. Juni 1791'), 'FROM 1 MAY 1790 TO 3 JUN 1791');
+    });
+
+    it('should not propose impossible, ambiguous or unknown dates', function() {
+        assert.strictEqual(normalizer.normalize('31.02.1802'), null);
+        assert.strictEqual(normalizer.normalize('10.13.1802'), null);
+        assert.strictEqual(normalizer.normalize('jui 1800'), null);
+        assert.strictEqual(normalizer.normalize('vorgestern'), null);
+        assert.strictEqual(normalizer.normalize(''), null);
+    });
+
+    it('should only propose dates within the given year range', function() {
+        const narrow = new DateNormalizer({ minYear: 1600, maxYear: 1900 });
+        assert.strictEqual(narrow.normalize('ca. 1950'), null);
+        assert.strictEqual(narrow.normalize('ca. 1750'), 'ABT 1750');
+        assert.strictEqual(normalizer.normalize('ca. 1950'), 'ABT 1950');
+    });
+
+    describe('GedcomIntegrityChecker', function() {
+        let report;
+
+        before(async function() {
+            report = await checkGedcomReport([
+                '0 @I1@ INDI', '1 NAME Anna /Huber/', '1 BIRT', '2 DATE ca. 1750', '1 DEAT', '2 DATE 10.09.1740',
+                '0 @I2@ INDI', '1 NAME Hans /Huber/', '1 BIRT', '2 DATE irgendwann'
+            ]);
+        });
+
+        it('should include the proposed GEDCOM date in the warning', function() {
+            const warnings = report.warnings.filter(warning => warning.type === 'invalid_date_format');
+            assert.deepStrictEqual(warnings.map(warning => [warning.date, warning.suggestion]), [
+                ['ca. 1750', 'ABT 1750'],
+                ['10.09.1740', '10 SEP 1740'],
+                ['irgendwann', null]
+            ]);
+            assert(warnings[0].message.endsWith('; use "ABT 1750"'));
+        });
+
+        it('should not propose dates outside the profile year range', async function() {
+            const profile = new CheckProfile({ thresholds: { maxYear: 1900 } });
+            const narrowReport = await checkGedcomReport(['0 @I1@ INDI', '1 NAME Anna /Huber/', '1 BIRT', '2 DATE ca. 1950'], profile);
+            const warning = narrowReport.warnings.find(warning => warning.type === 'invalid_date_format');
+            assert.strictEqual(warning.suggestion, null);
+        });
+
+        it('should compare normalized dates in the consistency checks', function() {
+            const warning = report.warnings.find(warning => warning.type === 'birth_after_death');
+            assert(warning, 'Expected a birth_after_death warning');
+            assert.strictEqual(warning.certainty, 'definite');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for duplicate person detection
+ * Ensures people entered twice are listed with a confidence, while namesakes
+ * with different dates, close relatives and people of the other sex are not
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcom } = require('./helpers/checkGedcom');
+const CheckProfile = require('../utils/CheckProfile');
+
+/**
+ * Build the lines of a person record
+ * @param {string} xref - Person xref
+ * @param {string} name - GEDCOM name
+ * @param {string} entry - OFB entry label
+ * @param {Object} [events] - Events by tag, e.g. { BIRT: ['3 MAR 1780', 'Kirchdorf'] }
+ * @param {Array<string>} [links] - SEX/FAMS/FAMC lines
+ * @returns {Array<string>} GEDCOM lines
+ */
+function person(xref, name, entry, events = {}, links = []) {
+    const eventLines = Object.entries(events).flatMap(([tag, [date, place]]) =>
+        [`1 ${tag}`, ...(date ? [`2 DATE ${date}`] : []), ...(place ? [`2 PLAC ${place}`] : [])]);
+    return [`0 ${xref} INDI`, `1 NAME ${name}`, ...eventLines, ...links, '1 SOUR @S1@', `2 PAGE ${entry}`];
+}
+
+/**
+ * Check GEDCOM records
+ * @param {Array<string>} lines - Records between HEAD and TRLR
+ * @param {CheckProfile} [profile] - Check profile
+ * @returns {Promise<Array<Object>>} duplicate_person warnings
+ */
+function check(lines, profile) {
+    return checkGedcom(lines, ['duplicate_person'], profile);
+}
+
+describe('Duplicate People', function() {
+    it('should report a person entered under two entries as a likely duplicate', async function() {
+        const warnings = await check([
+            ...person('@I1@', 'Johann /Huber/', '12', { BIRT: ['3 MAR 1780', 'Kirchdorf'] }, ['1 SEX M']),
+            ...person('@I2@', 'Johann /Huber/', '45', { BIRT: ['3 MAR 1780', 'Kirchdorf'] }, ['1 SEX M'])
+        ]);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].severity, 'warning');
+        assert.strictEqual(warnings[0].personId, '@I1@');
+        assert.strictEqual(warnings[0].duplicateId, '@I2@');
+        assert.strictEqual(warnings[0].duplicateEntry, '45');
+        assert.strictEqual(warnings[0].confidence, 85);
+        assert.deepStrictEqual(warnings[0].reasons, ['same name', 'same birth date', 'same birth place', 'an identical event']);
+        assert(warnings[0].message.startsWith('Likely duplicate (85% confidence): Johann /Huber/ [12]'));
+    });
+
+    it('should score spelling variants with compatible dates and similar parents', async function() {
+        const warnings = await check([
+            ...person('@I1@', 'Anna Maria /Meier/', '3', {}, ['1 FAMS @F1@']),
+            ...person('@I2@', 'Josef /Huber/', '3', {}, ['1 FAMS @F1@']),
+            ...person('@I3@', 'K. /Huber/', '3', { BIRT: ['ABT 1780'] }, ['1 FAMC @F1@']),
+            ...person('@I4@', 'Anna Maria /Mayer/', '7', {}, ['1 FAMS @F2@']),
+            ...person('@I5@', 'Joseph /Huber/', '7', {}, ['1 FAMS @F2@']),
+            ...person('@I6@', 'Katharina /Hueber/', '7', { BIRT: ['1781'] }, ['1 FAMC @F2@']),
+            '0 @F1@ FAM', '1 HUSB @I2@', '1 WIFE @I1@', '1 CHIL @I3@',
+            '0 @F2@ FAM', '1 HUSB @I5@', '1 WIFE @I4@', '1 CHIL @I6@'
+        ]);
+        const child = warnings.find(warning => warning.personId === '@I3@');
+        assert.strictEqual(child.duplicateId, '@I6@');
+        assert.strictEqual(child.severity, 'info');
+        assert.strictEqual(child.confidence, 60);
+        assert.deepStrictEqual(child.reasons, ['similar name', 'compatible birth dates', 'parents with similar names']);
+    });
+
+    it('should compare surnames that start with letters of the same sound', async function() {
+        const warnings = await check([
+            ...person('@I1@', 'Johann /Klein/', '12', { BIRT: ['3 MAR 1780', 'Kirchdorf'] }, ['1 SEX M']),
+            ...person('@I2@', 'Johann /Clein/', '45', { BIRT: ['3 MAR 1780', 'Kirchdorf'] }, ['1 SEX M'])
+        ]);
+        assert.deepStrictEqual(warnings.map(warning => [warning.personId, warning.duplicateId]), [['@I1@', '@I2@']]);
+        assert.strictEqual(warnings[0].reasons[0], 'similar name');
+    });
+
+    it('should not report namesakes born at different times', async function() {
+        assert.deepStrictEqual(await check([
+            ...person('@I1@', 'Johann /Huber/', '12', { BIRT: ['3 MAR 1750'] }),
+            ...person('@I2@', 'Johann /Huber/', '45', { BIRT: ['3 MAR 1780'] })
+        ]), []);
+    });
+
+    it('should not report siblings named after a brother who died young', async function() {
+        assert.deepStrictEqual(await check([
+            ...person('@I1@', 'Johann /Huber/', '12', { BIRT: ['3 MAR 1780'], DEAT: ['10 MAR 1780'] }, ['1 FAMC @F1@']),
+            ...person('@I2@', 'Johann /Huber/', '12', { BIRT: ['5 APR 1781'] }, ['1 FAMC @F1@']),
+            '0 @F1@ FAM', '1 CHIL @I1@', '1 CHIL @I2@'
+        ]), []);
+    });
+
+    it('should not report siblings of the same name without dates or places', async function() {
+        assert.deepStrictEqual(await check([
+            ...person('@I1@', 'Johann Friedrich /Bammerlin/', '11', { DEAT: [] }, ['1 SEX M', '1 FAMC @F1@']),
+            ...person('@I2@', 'Johann Friedrich /Bammerlin/', '11', { DEAT: [] }, ['1 SEX M', '1 FAMC @F1@']),
+            '0 @F1@ FAM', '1 CHIL @I1@', '1 CHIL @I2@'
+        ]), []);
+    });
+
+    it('should not report spouses, parents and children or people of the other sex', async function() {
+        assert.deepStrictEqual(await check([
+            ...person('@I1@', 'Johann /Huber/', '12', { BIRT: ['1780'] }, ['1 SEX M', '1 FAMS @F1@']),
+            ...person('@I2@', 'Johann /Huber/', '12', { BIRT: ['1780'] }, ['1 SEX M', '1 FAMC @F1@']),
+            ...person('@I3@', 'Johann /Huber/', '20', { BIRT: ['1780'] }, ['1 SEX F']),
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 CHIL @I2@'
+        ], new CheckProfile({ thresholds: { minDuplicateConfidence: 0 } })), []);
+    });
+
+    it('should lower the confidence for parents with different names', async function() {
+        const lines = [
+            ...person('@I1@', 'Georg /Huber/', '1', {}, ['1 FAMS @F1@']),
+            ...person('@I2@', 'Michael /Huber/', '2', {}, ['1 FAMS @F2@']),
+            ...person('@I3@', 'Johann /Huber/', '1', { BIRT: ['3 MAR 1780'] }, ['1 FAMC @F1@']),
+            ...person('@I4@', 'Johann /Huber/', '2', { BIRT: ['3 MAR 1780'] }, ['1 FAMC @F2@']),
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 CHIL @I3@',
+            '0 @F2@ FAM', '1 HUSB @I2@', '1 CHIL @I4@'
+        ];
+        assert.deepStrictEqual(await check(lines), []);
+
+        const warnings = await check(lines, new CheckProfile({ thresholds: { minDuplicateConfidence: 50 } }));
+        assert.strictEqual(warnings[0].confidence, 50);
+        assert(warnings[0].reasons.includes('different parents'));
+    });
+
+    it('should not run when the profile turns it off', async function() {
+        const profile = new CheckProfile({ checks: { duplicatePeople: false } });
+        assert.deepStrictEqual(await check([
+            ...person('@I1@', 'Johann /Huber/', '12', { BIRT: ['3 MAR 1780'] }),
+            ...person('@I2@', 'Johann /Huber/', '45', { BIRT: ['3 MAR 1780'] })
+        ], profile), []);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the order of christening, burial and marriage
+ * Ensures events before the event they follow, long delays, young or dead
+ * spouses and children born after both parents' deaths are reported
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcom } = require('./helpers/checkGedcom');
+
+// Warning types about the order of events
+const EVENT_ORDER_TYPES = ['christening_before_birth', 'late_christening', 'burial_before_death', 'late_burial',
+    'marriage_too_young', 'marriage_after_death', 'child_after_parents_death',
+    'child_after_mother_death', 'child_after_father_death'];
+
+/**
+ * Build the lines of a person record
+ * @param {string} xref - Person xref
+ * @param {string} name - GEDCOM name
+ * @param {Object} dates - Dates by event tag, e.g. { BIRT: '1780', CHR: '1781' }
+ * @param {Array<string>} links - FAMS/FAMC lines
+ * @returns {Array<string>} GEDCOM lines
+ */
+function person(xref, name, dates, links) {
+    const events = Object.entries(dates).flatMap(([tag, date]) => [`1 ${tag}`, `2 DATE ${date}`]);
+    return [`0 ${xref} INDI`, `1 NAME ${name}`, ...events, ...links];
+}
+
+/**
+ * Check GEDCOM records
+ * @param {Array<string>} lines - Records between HEAD and TRLR
+ * @returns {Promise<Array<Object>>} Warnings about the order of events
+ */
+function check(lines) {
+    return checkGedcom(lines, EVENT_ORDER_TYPES);
+}
+
+/**
+ * Check a married couple
+ * @param {Object} husband - Dates of the husband
+ * @param {Object} wife - Dates of the wife
+ * @param {string} marriage - Marriage date
+ * @param {Object} [child] - Dates of a child
+ * @returns {Promise<Array<Object>>} Warnings about the order of events
+ */
+function checkCouple(husband, wife, marriage, child) {
+    return check([
+        ...person('@I1@', 'Hans /Huber/', husband, ['1 FAMS @F1@']),
+        ...person('@I2@', 'Anna /Meier/', wife, ['1 FAMS @F1@']),
+        ...(child ? person('@I3@', 'Jakob /Huber/', child, ['1 FAMC @F1@']) : []),
+        '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', ...(child ? ['1 CHIL @I3@'] : []),
+        '1 MARR', `2 DATE ${marriage}`
+    ]);
+}
+
+describe('Event Order', function() {
+    describe('Christening and burial', function() {
+        it('should accept events in their usual order', async function() {
+            assert.deepStrictEqual(await check(person('@I1@', 'Hans /Huber/',
+                { BIRT: '3 MAR 1780', CHR: '4 MAR 1780', DEAT: '1 MAY 1840', BURI: '3 MAY 1840' }, [])), []);
+        });
+
+        it('should report christening before birth and burial before death', async function() {
+            const warnings = await check(person('@I1@', 'Hans /Huber/',
+                { BIRT: '3 MAR 1780', CHR: '1 MAR 1780', DEAT: '1 MAY 1840', BURI: '28 APR 1840' }, []));
+            assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.certainty]),
+                [['christening_before_birth', 'definite'], ['burial_before_death', 'definite']]);
+            assert.strictEqual(warnings[0].christeningDate, '1 MAR 1780');
+            assert(warnings[0].message.startsWith('Christening (1 MAR 1780) before birth (3 MAR 1780) of Hans'));
+        });
+
+        it('should report christenings and burials long after the event', async function() {
+            const warnings = await check(person('@I1@', 'Hans /Huber/',
+                { BIRT: '3 MAR 1780', CHR: '10 JUN 1782', DEAT: '1 MAY 1840', BURI: '1 SEP 1840' }, []));
+            assert.deepStrictEqual(warnings.map(warning => warning.type), ['late_christening', 'late_burial']);
+            assert(warnings[0].message.includes('more than 12 months after birth'));
+            assert(warnings[1].message.includes('more than 30 days after death'));
+        });
+
+        it('should grade christenings in the birth year as possible', async function() {
+            const warnings = await check(person('@I1@', 'Hans /Huber/', { BIRT: 'AFT 1780', CHR: 'ABT 1780' }, []));
+            assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.severity]),
+                [['christening_before_birth', 'info']]);
+        });
+    });
+
+    describe('Marriage', function() {
+        it('should report a spouse married younger than 14', async function() {
+            const warnings = await checkCouple({ BIRT: '1768' }, { BIRT: '1760' }, '1780');
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].type, 'marriage_too_young');
+            assert.strictEqual(warnings[0].personId, '@I1@');
+            assert.strictEqual(warnings[0].role, 'husband');
+            assert.strictEqual(warnings[0].age, 12);
+        });
+
+        it('should report a marriage after a spouse\'s death', async function() {
+            const warnings = await checkCouple({ BIRT: '1750' }, { BIRT: '1755', DEAT: '1779' }, '1780');
+            assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.personId]),
+                [['marriage_after_death', '@I2@']]);
+        });
+
+        it('should report a child born after both parents\' deaths once', async function() {
+            const warnings = await checkCouple({ BIRT: '1750', DEAT: '1790' }, { BIRT: '1755', DEAT: '1792' },
+                '1775', { BIRT: '1800' });
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].type, 'child_after_parents_death');
+            assert.strictEqual(warnings[0].childId, '@I3@');
+            assert(warnings[0].message.includes('(father d. 1790, mother d. 1792)'));
+        });
+
+        it('should allow a posthumous birth after the father\'s death', async function() {
+            const warnings = await checkCouple({ BIRT: '1750', DEAT: '1 JAN 1800' }, { BIRT: '1755', DEAT: '15 FEB 1800' },
+                '1775', { BIRT: '1 MAR 1800' });
+            assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.certainty]),
+                [['child_after_mother_death', 'definite']]);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the family link check
+ * Ensures FAMS/FAMC and HUSB/WIFE/CHIL pointers are checked in both directions
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const path = require('path');
+const GedReader = require('../GEDCOM/GedReader');
+const GedcomIntegrityChecker = require('../utils/GedcomIntegrityChecker');
+const { checkGedcom, checkGedcomReport } = require('./helpers/checkGedcom');
+
+/**
+ * Parse GEDCOM lines and return the family link warnings
+ * @param {Array<string>} lines - Records between HEAD and TRLR
+ * @returns {Promise<Array<Object>>} one_sided_link warnings
+ */
+function checkLinks(lines) {
+    return checkGedcom(lines, ['one_sided_link']);
+}
+
+describe('Family Link Check', function() {
+    it('should read FAMS and FAMC into the individual', async function() {
+        const gedModel = await new GedReader().readStream(Buffer.from(
+            '0 HEAD\n0 @I1@ INDI\n1 FAMS @F1@\n1 FAMC @F2@\n0 TRLR\n', 'utf8'));
+        const individual = gedModel.getIndividual('@I1@');
+
+        assert.deepStrictEqual(individual.getSpouseFamilies(), ['@F1@']);
+        assert.deepStrictEqual(individual.getChildFamilies(), ['@F2@']);
+        assert.deepStrictEqual(individual.clone().getChildFamilies(), ['@F2@']);
+    });
+
+    it('should accept consistent links', async function() {
+        const warnings = await checkLinks([
+            '0 @I1@ INDI', '1 FAMS @F1@',
+            '0 @I2@ INDI', '1 FAMS @F1@',
+            '0 @I3@ INDI', '1 FAMC @F1@',
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@'
+        ]);
+        assert.deepStrictEqual(warnings, []);
+    });
+
+    it('should accept the links of the valid fixture', function() {
+        const gedModel = new GedReader().read(path.join(__dirname, 'fixtures', '01-valid-complete.ged'));
+        const report = new GedcomIntegrityChecker(gedModel).checkIntegrity();
+        assert(![...report.errors, ...report.warnings].some(issue => ['one_sided_link', 'dangling_pointer'].includes(issue.type)));
+    });
+
+    it('should report a FAMC without a matching CHIL', async function() {
+        const warnings = await checkLinks([
+            '0 @I1@ INDI', '1 FAMS @F1@',
+            '0 @I3@ INDI', '1 FAMC @F1@',
+            '0 @F1@ FAM', '1 HUSB @I1@'
+        ]);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'one_sided_link');
+        assert.strictEqual(warnings[0].personId, '@I3@');
+        assert.strictEqual(warnings[0].familyId, '@F1@');
+        assert.strictEqual(warnings[0].tag, 'FAMC');
+    });
+
+    it('should report a HUSB without a matching FAMS', async function() {
+        const warnings = await checkLinks([
+            '0 @I1@ INDI',
+            '0 @F1@ FAM', '1 HUSB @I1@'
+        ]);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'one_sided_link');
+        assert.strictEqual(warnings[0].tag, 'HUSB');
+        assert(warnings[0].message.includes('no FAMS @F1@'));
+    });
+
+    it('should report pointers to missing records as errors', async function() {
+        const report = await checkGedcomReport([
+            '0 @I1@ INDI', '1 FAMS @F9@',
+            '0 @F1@ FAM', '1 CHIL @I7@'
+        ]);
+        const errors = report.errors.filter(error => error.type === 'dangling_pointer');
+        assert.deepStrictEqual(errors.map(error => [error.type, error.tag, error.pointer, error.severity]), [
+            ['dangling_pointer', 'FAMS', '@F9@', 'error'],
+            ['dangling_pointer', 'CHIL', '@I7@', 'error']
+        ]);
+        assert.strictEqual(report.summary.errorCount, 2);
+        assert(!report.warnings.some(warning => warning.type === 'dangling_pointer'));
+    });
+});
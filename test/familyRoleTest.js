@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the roles of people in families
+ * Ensures female husbands, male wives, swapped spouses, the same person as
+ * both spouses and spouses who are also children of the family are reported
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcomReport } = require('./helpers/checkGedcom');
+
+// Warning types about roles in families
+const ROLE_TYPES = ['spouse_sex_mismatch', 'same_person_both_spouses', 'spouse_is_child'];
+
+/**
+ * Check one family and return the whole report
+ * @param {Object} sexes - SEX of @I1@, @I2@ and @I3@, e.g. { '@I1@': 'M' }
+ * @param {Array<string>} members - HUSB/WIFE/CHIL lines of @F1@
+ * @returns {Promise<Object>} Report of GedcomIntegrityChecker.checkIntegrity()
+ */
+function checkFamilyReport(sexes, members) {
+    const lines = [];
+    const names = { '@I1@': 'Hans /Huber/', '@I2@': 'Anna /Meier/', '@I3@': 'Jakob /Huber/' };
+    for (const [xref, name] of Object.entries(names)) {
+        lines.push(`0 ${xref} INDI`, `1 NAME ${name}`, ...(sexes[xref] ? [`1 SEX ${sexes[xref]}`] : []),
+            '1 SOUR @S1@', '2 PAGE 12');
+    }
+    return checkGedcomReport([...lines, '0 @F1@ FAM', ...members]);
+}
+
+/**
+ * Check one family
+ * @param {Object} sexes - SEX of @I1@, @I2@ and @I3@, e.g. { '@I1@': 'M' }
+ * @param {Array<string>} members - HUSB/WIFE/CHIL lines of @F1@
+ * @returns {Promise<Array<Object>>} Errors and warnings about roles in families
+ */
+async function checkFamily(sexes, members) {
+    const report = await checkFamilyReport(sexes, members);
+    return [...report.errors, ...report.warnings].filter(issue => ROLE_TYPES.includes(issue.type));
+}
+
+describe('Family Roles', function() {
+    it('should accept a male husband, a female wife and spouses without SEX', async function() {
+        assert.deepStrictEqual(await checkFamily({ '@I1@': 'M', '@I2@': 'F' },
+            ['1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@']), []);
+        assert.deepStrictEqual(await checkFamily({ '@I1@': 'U' }, ['1 HUSB @I1@', '1 WIFE @I2@']), []);
+    });
+
+    it('should report a female husband', async function() {
+        const warnings = await checkFamily({ '@I1@': 'F', '@I2@': 'F' }, ['1 HUSB @I1@', '1 WIFE @I2@']);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'spouse_sex_mismatch');
+        assert.strictEqual(warnings[0].personId, '@I1@');
+        assert.strictEqual(warnings[0].role, 'husband');
+        assert.strictEqual(warnings[0].swapped, false);
+        assert.strictEqual(warnings[0].message,
+            'Husband Hans /Huber/ [12] (@I1@) is recorded as female (SEX F) but linked as HUSB [Family: @F1@, Entry: 12]');
+    });
+
+    it('should report a male wife', async function() {
+        const warnings = await checkFamily({ '@I2@': 'M' }, ['1 HUSB @I1@', '1 WIFE @I2@']);
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.personId, warning.role]),
+            [['spouse_sex_mismatch', '@I2@', 'wife']]);
+    });
+
+    it('should report swapped spouses once', async function() {
+        const warnings = await checkFamily({ '@I1@': 'F', '@I2@': 'M' }, ['1 HUSB @I1@', '1 WIFE @I2@']);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].swapped, true);
+        assert.deepStrictEqual(warnings[0].personIds, ['@I1@', '@I2@']);
+        assert(warnings[0].message.endsWith('HUSB and WIFE are probably swapped [Family: @F1@, Entry: 12]'));
+    });
+
+    it('should report the same person as husband and wife', async function() {
+        const report = await checkFamilyReport({ '@I1@': 'M' }, ['1 HUSB @I1@', '1 WIFE @I1@']);
+        const errors = report.errors.filter(error => ROLE_TYPES.includes(error.type));
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].type, 'same_person_both_spouses');
+        assert.strictEqual(errors[0].severity, 'error');
+        assert(!report.warnings.some(warning => ROLE_TYPES.includes(warning.type)));
+        assert.strictEqual(errors[0].message, 'Hans /Huber/ [12] (@I1@) is both husband and wife [Family: @F1@, Entry: 12]');
+    });
+
+    it('should report a spouse who is also a child of the family', async function() {
+        const report = await checkFamilyReport({}, ['1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 CHIL @I2@']);
+        const errors = report.errors.filter(error => ROLE_TYPES.includes(error.type));
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].type, 'spouse_is_child');
+        assert.strictEqual(errors[0].severity, 'error');
+        assert.strictEqual(errors[0].personId, '@I2@');
+        assert.strictEqual(errors[0].role, 'wife');
+        assert(!report.warnings.some(warning => ROLE_TYPES.includes(warning.type)));
+        assert.strictEqual(errors[0].message, 'Anna /Meier/ [12] (@I2@) is both wife and child [Family: @F1@, Entry: 12]');
+    });
+});
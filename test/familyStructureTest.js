@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the family structure check
+ * Ensures families with the same husband and wife, empty families and
+ * families with only one child and no parents are reported with a suggestion
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcom } = require('./helpers/checkGedcom');
+
+// Warning types about the structure of families
+const STRUCTURE_TYPES = ['duplicate_family', 'empty_family', 'single_child_family'];
+
+// A couple and two children
+const PEOPLE = [
+    '0 @I1@ INDI', '1 NAME Hans /Huber/', '1 SOUR @S1@', '2 PAGE 12',
+    '0 @I2@ INDI', '1 NAME Anna /Meier/', '1 SOUR @S1@', '2 PAGE 12',
+    '0 @I3@ INDI', '1 NAME Jakob /Huber/', '1 SOUR @S1@', '2 PAGE 12',
+    '0 @I4@ INDI', '1 NAME Maria /Huber/', '1 SOUR @S1@', '2 PAGE 12'
+];
+
+/**
+ * Check families of the people above
+ * @param {Array<string>} families - FAM records
+ * @returns {Promise<Array<Object>>} Warnings about the structure of families
+ */
+function checkFamilies(families) {
+    return checkGedcom([...PEOPLE, ...families], STRUCTURE_TYPES);
+}
+
+describe('Family Structure', function() {
+    it('should not report ordinary families', async function() {
+        assert.deepStrictEqual(await checkFamilies([
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 CHIL @I4@'
+        ]), []);
+    });
+
+    it('should suggest merging families with the same husband and wife', async function() {
+        const warnings = await checkFamilies([
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@',
+            '0 @F2@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 MARR', '2 DATE 12 MAY 1779',
+            '0 @F3@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 CHIL @I4@', '1 MARR', '2 DATE 1779'
+        ]);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'duplicate_family');
+        assert.deepStrictEqual(warnings[0].familyIds, ['@F1@', '@F2@', '@F3@']);
+        assert.strictEqual(warnings[0].familyId, '@F3@');
+        assert.deepStrictEqual(warnings[0].mergeFamilyIds, ['@F1@', '@F2@']);
+        assert.strictEqual(warnings[0].suggestion,
+            'merge @F1@ into @F3@; merge @F2@ into @F3@ (compare the marriages 12 MAY 1779 and 1779)');
+        assert(warnings[0].message.startsWith('Families @F1@, @F2@, @F3@ have the same husband Hans /Huber/ (@I1@) ' +
+            'and wife Anna /Meier/ (@I2@) [Entry: 12]'));
+    });
+
+    it('should list the children and marriage to move into the kept family', async function() {
+        const warnings = await checkFamilies([
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 CHIL @I4@',
+            '0 @F2@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 MARR', '2 DATE 1779', '2 PLAC Kirchdorf'
+        ]);
+        assert.strictEqual(warnings[0].suggestion, 'merge @F2@ into @F1@ (the marriage (1779, Kirchdorf))');
+
+        const moved = await checkFamilies([
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@',
+            '0 @F2@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I4@'
+        ]);
+        assert.strictEqual(moved[0].suggestion, 'merge @F2@ into @F1@ (CHIL Maria /Huber/ (@I4@))');
+    });
+
+    it('should report empty families', async function() {
+        const warnings = await checkFamilies([
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 CHIL @I4@',
+            '0 @F2@ FAM',
+            '0 @F3@ FAM', '1 MARR', '2 DATE 1779'
+        ]);
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.familyId]),
+            [['empty_family', '@F2@'], ['empty_family', '@F3@']]);
+        assert.strictEqual(warnings[0].message, 'Family @F2@ has no spouses and no children; remove it');
+        assert.strictEqual(warnings[1].message, 'Family @F3@ has only a marriage (1779) and no spouses and no children; remove it');
+    });
+
+    it('should report a family with only one child and no parents', async function() {
+        const warnings = await checkFamilies([
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@',
+            '0 @F2@ FAM', '1 CHIL @I3@',
+            '0 @F3@ FAM', '1 CHIL @I4@'
+        ]);
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.familyId]),
+            [['single_child_family', '@F2@'], ['single_child_family', '@F3@']]);
+        assert.deepStrictEqual(warnings[0].otherFamilyIds, ['@F1@']);
+        assert(warnings[0].message.endsWith('and no parents; remove it, the child is also in @F1@'));
+        assert(warnings[1].message.endsWith('add the parents or merge it into the parents\' family'));
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for GedDecoder
+ * Ensures GEDCOM character sets are detected and decoded correctly
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { Readable } = require('stream');
+const GedDecoder = require('../GEDCOM/GedDecoder');
+const GedReader = require('../GEDCOM/GedReader');
+const GedcomIntegrityChecker = require('../utils/GedcomIntegrityChecker');
+
+/**
+ * Build a small GEDCOM file as bytes
+ * @param {string} charset - Value of the `1 CHAR` header line
+ * @param {Buffer} nameBytes - Encoded bytes of the person's name line value
+ * @returns {Buffer} The GEDCOM file
+ */
+function buildGedcom(charset, nameBytes) {
+    return Buffer.concat([
+        Buffer.from(`0 HEAD\n1 CHAR ${charset}\n0 @I1@ INDI\n1 NAME `, 'latin1'),
+        nameBytes,
+        Buffer.from('\n0 TRLR\n', 'latin1')
+    ]);
+}
+
+describe('GedDecoder', function() {
+    describe('decode', function() {
+        it('should combine ANSEL diacritics with the following letter', function() {
+            // 0xE8 is the ANSEL umlaut, written before the base letter
+            const bytes = Buffer.from([0x4A, 0xE8, 0x6F, 0x72, 0x67, 0x20, 0x4D, 0xE8, 0x75, 0x6C, 0x6C, 0x65, 0x72]);
+            assert.strictEqual(GedDecoder.decode(bytes, 'ANSEL'), 'Jörg Müller');
+        });
+
+        it('should decode the GEDCOM ANSEL sharp s', function() {
+            const bytes = Buffer.from([0x53, 0x74, 0x72, 0x61, 0xCF, 0x65]);
+            assert.strictEqual(GedDecoder.decode(bytes, 'ANSEL'), 'Straße');
+        });
+
+        it('should decode Windows-1252', function() {
+            assert.strictEqual(GedDecoder.decode(Buffer.from('Müller', 'latin1'), 'WINDOWS-1252'), 'Müller');
+        });
+
+        it('should reject unsupported encodings', function() {
+            assert.throws(() => new GedDecoder('EBCDIC'), /Unsupported character set/);
+        });
+    });
+
+    describe('detect', function() {
+        it('should use the declared ANSEL character set', function() {
+            const charset = GedDecoder.detect(buildGedcom('ANSEL', Buffer.from([0x4D, 0xE8, 0x75])));
+            assert.strictEqual(charset.declared, 'ANSEL');
+            assert.strictEqual(charset.encoding, 'ANSEL');
+            assert.strictEqual(charset.mismatch, false);
+        });
+
+        it('should map ANSI to Windows-1252', function() {
+            const charset = GedDecoder.detect(buildGedcom('ANSI', Buffer.from('Müller', 'latin1')));
+            assert.strictEqual(charset.encoding, 'WINDOWS-1252');
+            assert.strictEqual(charset.mismatch, false);
+        });
+
+        it('should detect UTF-16 from the byte-order mark', function() {
+            const text = '0 HEAD\r\n1 CHAR UNICODE\r\n0 TRLR\r\n';
+            const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]);
+            const charset = GedDecoder.detect(buffer);
+
+            assert.strictEqual(charset.encoding, 'UTF-16LE');
+            assert.strictEqual(charset.declared, 'UNICODE');
+            assert.strictEqual(charset.bom, true);
+            assert.strictEqual(charset.mismatch, false);
+        });
+
+        it('should report Latin-1 bytes in a file declared as UTF-8', function() {
+            const charset = GedDecoder.detect(buildGedcom('UTF-8', Buffer.from('Müller', 'latin1')));
+            assert.strictEqual(charset.encoding, 'WINDOWS-1252');
+            assert.strictEqual(charset.mismatch, true);
+        });
+
+        it('should report UTF-8 content in a file declared as ANSEL', function() {
+            const charset = GedDecoder.detect(buildGedcom('ANSEL', Buffer.from('Müller', 'utf8')));
+            assert.strictEqual(charset.encoding, 'UTF-8');
+            assert.strictEqual(charset.mismatch, true);
+        });
+    });
+
+    describe('GedReader integration', function() {
+        it('should read an ANSEL file in chunks that split a diacritic from its letter', async function() {
+            const buffer = buildGedcom('ANSEL', Buffer.from([0x4A, 0xE8, 0x6F, 0x72, 0x67, 0x20, 0x2F, 0x4D, 0xE8, 0x75, 0x6C, 0x6C, 0x65, 0x72, 0x2F]));
+            const chunks = [];
+            for (let i = 0; i < buffer.length; i += 5) {
+                chunks.push(buffer.subarray(i, i + 5));
+            }
+
+            const gedModel = await new GedReader().readStream(Readable.from(chunks));
+            assert.strictEqual(gedModel.getIndividual('@I1@').name.toString(), 'Jörg /Müller/');
+            assert.strictEqual(gedModel.getCharset().encoding, 'ANSEL');
+        });
+
+        it('should read a UTF-16 file', async function() {
+            const text = '0 HEAD\r\n1 CHAR UNICODE\r\n0 @I1@ INDI\r\n1 NAME Jörg /Müller/\r\n0 TRLR\r\n';
+            const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]);
+
+            const gedModel = await new GedReader().readStream(buffer);
+            assert.strictEqual(gedModel.getIndividual('@I1@').name.toString(), 'Jörg /Müller/');
+        });
+
+        it('should warn about a character set mismatch', async function() {
+            const gedModel = await new GedReader().readStream(buildGedcom('UTF-8', Buffer.from('Jörg /Müller/', 'latin1')));
+            assert.strictEqual(gedModel.getIndividual('@I1@').name.toString(), 'Jörg /Müller/');
+
+            const report = new GedcomIntegrityChecker(gedModel).checkIntegrity();
+            const mismatch = report.warnings.find(warning => warning.type === 'encoding_mismatch');
+            assert(mismatch, 'Expected an encoding_mismatch warning');
+            assert.strictEqual(mismatch.declared, 'UTF-8');
+            assert.strictEqual(mismatch.encoding, 'WINDOWS-1252');
+        });
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for GedWriter
+ * Ensures GEDCOM files are written back unchanged and changed values follow the line rules
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const GedReader = require('../GEDCOM/GedReader');
+const GedWriter = require('../GEDCOM/GedWriter');
+const GedIndividual = require('../GEDCOM/GedIndividual');
+const GedFamily = require('../GEDCOM/GedFamily');
+const GedName = require('../GEDCOM/GedName');
+
+/**
+ * Read a GEDCOM buffer keeping its records
+ * @param {Buffer} buffer - The file content
+ * @returns {Promise<GedModel>} The parsed model
+ */
+function readBuffer(buffer) {
+    return new GedReader({ keepRecords: true }).readStream(buffer);
+}
+
+/**
+ * Find the first record with a tag in a record tree
+ * @param {Array<Object>} records - Records to search
+ * @param {string} tag - Tag to find
+ * @returns {Object|null} The record or null
+ */
+function findRecord(records, tag) {
+    for (const record of records) {
+        if (record.tag === tag) return record;
+        const found = findRecord(record.children, tag);
+        if (found) return found;
+    }
+    return null;
+}
+
+describe('GedWriter', function() {
+    const samplePath = path.join(__dirname, '..', 'data', 'Tannenkirch.000.ged');
+
+    describe('round trip', function() {
+        it('should write the sample file byte for byte', function() {
+            const gedModel = new GedReader({ keepRecords: true }).read(samplePath);
+            const original = fs.readFileSync(samplePath);
+
+            assert(new GedWriter().toBuffer(gedModel).equals(original));
+        });
+
+        it('should keep vendor tags', function() {
+            const gedModel = new GedReader({ keepRecords: true }).read(samplePath);
+            const text = new GedWriter().toText(gedModel);
+
+            for (const tag of ['_UID', '_TMPLT', '_EVDEF']) {
+                assert(text.includes(` ${tag}`), `Output should contain ${tag}`);
+            }
+        });
+
+        it('should keep blank lines, LF terminators and a missing final terminator', async function() {
+            const buffer = Buffer.from('0 HEAD\n1 CHAR UTF-8\n\n0 @I1@ INDI\n1 NAME Anna  /Huber/ \n0 TRLR', 'utf8');
+            const gedModel = await readBuffer(buffer);
+
+            assert(new GedWriter().toBuffer(gedModel).equals(buffer));
+        });
+
+        it('should write ANSEL, Windows-1252 and UTF-16 files in their character set', async function() {
+            const files = [
+                Buffer.concat([Buffer.from('0 HEAD\r\n1 CHAR ANSEL\r\n0 @I1@ INDI\r\n1 NAME J', 'latin1'),
+                    Buffer.from([0xE8, 0x6F, 0x72, 0x67, 0x20, 0x2F, 0x53, 0x74, 0x72, 0x61, 0xCF, 0x65, 0x2F]),
+                    Buffer.from('\r\n0 TRLR\r\n', 'latin1')]),
+                Buffer.from('0 HEAD\r\n1 CHAR ANSI\r\n0 @I1@ INDI\r\n1 NAME Jörg /Müller/ €\r\n0 TRLR\r\n', 'latin1'),
+                Buffer.concat([Buffer.from([0xFF, 0xFE]),
+                    Buffer.from('0 HEAD\r\n1 CHAR UNICODE\r\n0 @I1@ INDI\r\n1 NAME Jörg /Müller/\r\n0 TRLR\r\n', 'utf16le')])
+            ];
+
+            for (const buffer of files) {
+                const gedModel = await readBuffer(buffer);
+                assert(new GedWriter().toBuffer(gedModel).equals(buffer), `${gedModel.getCharset().encoding} should round trip`);
+            }
+        });
+
+        it('should re-encode changed ANSEL values', async function() {
+            const buffer = Buffer.from('0 HEAD\r\n1 CHAR ANSEL\r\n0 @I1@ INDI\r\n1 NAME Anna /Huber/\r\n0 TRLR\r\n', 'latin1');
+            const gedModel = await readBuffer(buffer);
+            findRecord(gedModel.getRecords(), 'NAME').value = 'Jörg /Müller/';
+
+            const output = new GedWriter().toBuffer(gedModel);
+            assert(output.includes(Buffer.from([0x4A, 0xE8, 0x6F, 0x72, 0x67])), 'Umlaut should be written before its letter');
+        });
+    });
+
+    describe('changed records', function() {
+        it('should only rewrite the changed line', function() {
+            const gedModel = new GedReader({ keepRecords: true }).read(samplePath);
+            const original = fs.readFileSync(samplePath, 'utf8').split('\r\n');
+
+            const name = findRecord(gedModel.getRecords().filter(record => record.tag === 'INDI'), 'NAME');
+            name.value = 'Johann /Aberer/';
+
+            const written = new GedWriter().toText(gedModel).split('\r\n');
+            const differences = written.filter((line, index) => line !== original[index].replace(/^\uFEFF/, ''));
+
+            assert.strictEqual(written.length, original.length);
+            assert.deepStrictEqual(differences, ['1 NAME Johann /Aberer/']);
+        });
+
+        it('should split long values with CONC and line breaks with CONT', async function() {
+            const gedModel = await readBuffer(Buffer.from('0 HEAD\n0 @N1@ NOTE short\n0 TRLR\n', 'utf8'));
+            const note = gedModel.getRecords().find(record => record.tag === 'NOTE');
+            const words = Array.from({ length: 120 }, (_, index) => `Wort${index}`).join(' ');
+            note.value = `${words}\nZweite Zeile`;
+
+            const lines = new GedWriter().toText(gedModel).split('\n');
+            const noteLines = lines.slice(1, lines.indexOf('0 TRLR'));
+
+            assert(noteLines.length > 3);
+            assert(noteLines.every(line => line.length <= 255), 'Lines should not exceed 255 characters');
+            assert(noteLines.slice(1).every(line => /^1 (CONC|CONT) /.test(line)));
+            assert.strictEqual(noteLines[noteLines.length - 1], '1 CONT Zweite Zeile');
+            assert(noteLines.every(line => !line.endsWith(' ')), 'Values should not be split at a space');
+
+            const reread = await readBuffer(Buffer.from(lines.join('\n'), 'utf8'));
+            assert.strictEqual(reread.notes['@N1@'].value, note.value);
+        });
+
+        it('should write new records', async function() {
+            const gedModel = await readBuffer(Buffer.from('0 HEAD\n0 TRLR\n', 'utf8'));
+            gedModel.getRecords().splice(1, 0, {
+                id: '@I1@', tag: 'INDI', value: '',
+                children: [{ tag: 'NAME', value: 'Anna /Huber/', children: [] }]
+            });
+
+            assert.strictEqual(new GedWriter().toText(gedModel), '0 HEAD\n0 @I1@ INDI\n1 NAME Anna /Huber/\n0 TRLR\n');
+        });
+    });
+
+    describe('edited models', function() {
+        it('should write an edited person and family into their records', async function() {
+            const gedModel = await readBuffer(Buffer.from([
+                '0 HEAD', '0 @I1@ INDI', '1 NAME Anna /Huber/', '2 GIVN Anna', '1 BIRT', '2 DATE 1780', '2 NOTE Taufbuch',
+                '1 _UID 12AB', '1 FAMS @F1@', '0 @F1@ FAM', '1 WIFE @I1@', '0 TRLR', ''
+            ].join('\n'), 'utf8'));
+            const individual = gedModel.getIndividual('@I1@');
+            individual.setName(new GedName('Anna Maria /Huber/'));
+            individual.setGender('F');
+            individual.birth.setDate('3 MAR 1780');
+            individual.death.setPlace('Kirchdorf');
+            gedModel.getFamily('@F1@').addChild('@I2@');
+
+            assert.strictEqual(new GedWriter().toText(gedModel), [
+                '0 HEAD', '0 @I1@ INDI', '1 NAME Anna Maria /Huber/', '2 GIVN Anna Maria',
+                '1 BIRT', '2 DATE 3 MAR 1780', '2 NOTE Taufbuch', '1 _UID 12AB', '1 FAMS @F1@', '1 SEX F', '1 DEAT', '2 PLAC Kirchdorf',
+                '0 @F1@ FAM', '1 WIFE @I1@', '1 CHIL @I2@', '0 TRLR', ''
+            ].join('\n'));
+        });
+
+        it('should only rewrite the lines of the edited person in the sample file', function() {
+            const gedModel = new GedReader({ keepRecords: true }).read(samplePath);
+            const original = fs.readFileSync(samplePath, 'utf8').split('\r\n');
+            const individual = Object.values(gedModel.getIndividuals()).find(person => person.birth.hasDate());
+            individual.birth.setDate('1 JAN 1700');
+
+            const written = new GedWriter().toText(gedModel).split('\r\n');
+            const differences = written.filter((line, index) => line !== original[index].replace(/^\uFEFF/, ''));
+
+            assert.strictEqual(written.length, original.length);
+            assert.deepStrictEqual(differences, ['2 DATE 1 JAN 1700']);
+            assert.strictEqual(new GedWriter().toText(gedModel), written.join('\r\n'), 'Writing again should give the same text');
+        });
+
+        it('should add new and drop removed individuals and families', async function() {
+            const gedModel = await readBuffer(Buffer.from('0 HEAD\n0 @I1@ INDI\n1 NAME Anna /Huber/\n0 @F1@ FAM\n0 TRLR\n', 'utf8'));
+            const individual = new GedIndividual('M', new GedName('Josef /Huber/'));
+            individual.addChildFamily('@F2@', 'adopted');
+            gedModel.addIndividual('@I2@', individual);
+            gedModel.families['@F2@'] = new GedFamily('', '@I1@', ['@I2@']);
+            delete gedModel.families['@F1@'];
+
+            const text = new GedWriter().toText(gedModel);
+            assert.strictEqual(text, [
+                '0 HEAD', '0 @I1@ INDI', '1 NAME Anna /Huber/',
+                '0 @I2@ INDI', '1 NAME Josef /Huber/', '1 SEX M', '1 FAMC @F2@', '2 PEDI adopted',
+                '0 @F2@ FAM', '1 WIFE @I1@', '1 CHIL @I2@', '0 TRLR', ''
+            ].join('\n'));
+
+            const reread = await readBuffer(Buffer.from(text, 'utf8'));
+            assert.deepStrictEqual(reread.getIndividual('@I2@'), individual);
+            assert.deepStrictEqual(reread.getFamily('@F2@'), gedModel.getFamily('@F2@'));
+        });
+    });
+
+    describe('write', function() {
+        it('should write a file', function() {
+            const gedModel = new GedReader({ keepRecords: true }).read(samplePath);
+            const outputPath = path.join(os.tmpdir(), `gedwriter-test-${process.pid}.ged`);
+
+            try {
+                new GedWriter().write(gedModel, outputPath);
+                assert(fs.readFileSync(outputPath).equals(fs.readFileSync(samplePath)));
+            } finally {
+                fs.rmSync(outputPath, { force: true });
+            }
+        });
+
+        it('should reject a model read without keepRecords', function() {
+            const gedModel = new GedReader().read(samplePath);
+            assert.throws(() => new GedWriter().toText(gedModel), /keepRecords/);
+        });
+    });
+});
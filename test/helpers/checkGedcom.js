@@ -0,0 +1,38 @@
+/**
+ * Test helper for running the integrity checker on GEDCOM records
+ * Wraps the records in a UTF-8 HEAD and a TRLR, reads them with GedReader
+ * and checks them with GedcomIntegrityChecker
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const GedReader = require('../../GEDCOM/GedReader');
+const GedcomIntegrityChecker = require('../../utils/GedcomIntegrityChecker');
+
+/**
+ * Check GEDCOM records and return the whole report
+ * @param {Array<string>} lines - Records between HEAD and TRLR
+ * @param {CheckProfile} [profile] - Check profile
+ * @returns {Promise<Object>} Report of GedcomIntegrityChecker.checkIntegrity()
+ */
+async function checkGedcomReport(lines, profile) {
+    const content = ['0 HEAD', '1 CHAR UTF-8', ...lines, '0 TRLR', ''].join('\n');
+    const gedModel = await new GedReader().readStream(Buffer.from(content, 'utf8'));
+    return new GedcomIntegrityChecker(gedModel, profile).checkIntegrity();
+}
+
+/**
+ * Check GEDCOM records and return the warnings of some types
+ * @param {Array<string>} lines - Records between HEAD and TRLR
+ * @param {Array<string>|Function} types - Warning types to return, or a function selecting the warnings
+ * @param {CheckProfile} [profile] - Check profile
+ * @returns {Promise<Array<Object>>} The selected warnings in report order
+ */
+async function checkGedcom(lines, types, profile) {
+    const report = await checkGedcomReport(lines, profile);
+    const select = typeof types === 'function' ? types : warning => types.includes(warning.type);
+    return report.warnings.filter(select);
+}
+
+module.exports = { checkGedcom, checkGedcomReport };
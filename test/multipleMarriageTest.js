@@ -0,0 +1,119 @@
+/**
+ * Unit tests for people married more than once
+ * Ensures marriages before the previous one ended, children of two
+ * marriages born in overlapping years and children born after their
+ * parents' marriage ended are reported
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcom } = require('./helpers/checkGedcom');
+
+// Warning types about multiple marriages
+const MARRIAGE_TYPES = ['overlapping_marriages', 'overlapping_children', 'child_outside_marriage'];
+
+/**
+ * Build the lines of a person record
+ * @param {string} xref - Person xref
+ * @param {string} name - GEDCOM name
+ * @param {Object} dates - Dates by event tag, e.g. { BIRT: '1780' }
+ * @returns {Array<string>} GEDCOM lines
+ */
+function person(xref, name, dates = {}) {
+    const events = Object.entries(dates).flatMap(([tag, date]) => [`1 ${tag}`, `2 DATE ${date}`]);
+    return [`0 ${xref} INDI`, `1 NAME ${name}`, ...events, '1 SOUR @S1@', '2 PAGE 12'];
+}
+
+/**
+ * Check a husband @I1@ married to @I2@ in @F1@ and to @I3@ in @F2@
+ * @param {Object} options - first and second: { marriage, divorce, children }; wifeDeath: death of @I2@
+ * @returns {Promise<Array<Object>>} Warnings about multiple marriages
+ */
+function checkRemarriage({ first, second, wifeDeath }) {
+    const lines = [
+        ...person('@I1@', 'Hans /Huber/', { BIRT: '1750' }),
+        ...person('@I2@', 'Anna /Meier/', wifeDeath ? { DEAT: wifeDeath } : {}),
+        ...person('@I3@', 'Maria /Koch/')
+    ];
+    const families = [['@F1@', '@I2@', first], ['@F2@', '@I3@', second]];
+    families.forEach(([, , { children = [] }], index) => children.forEach((birth, childIndex) =>
+        lines.push(...person(`@C${index + 1}${childIndex}@`, `Kind${index + 1}${childIndex} /Huber/`, { BIRT: birth }))));
+    for (const [famId, wifeId, { marriage, divorce, children = [] }] of families) {
+        lines.push(`0 ${famId} FAM`, '1 HUSB @I1@', `1 WIFE ${wifeId}`,
+            ...children.map((birth, childIndex) => `1 CHIL @C${famId[2]}${childIndex}@`),
+            ...(marriage ? ['1 MARR', `2 DATE ${marriage}`] : []),
+            ...(divorce ? ['1 DIV', `2 DATE ${divorce}`] : []));
+    }
+
+    return checkGedcom(lines, MARRIAGE_TYPES);
+}
+
+describe('Multiple Marriages', function() {
+    it('should accept a remarriage after the first wife\'s death', async function() {
+        assert.deepStrictEqual(await checkRemarriage({
+            first: { marriage: '1775', children: ['1776', '1779'] },
+            second: { marriage: '1785', children: ['1786'] },
+            wifeDeath: '1784'
+        }), []);
+    });
+
+    it('should report a marriage while the first wife was alive', async function() {
+        const warnings = await checkRemarriage({
+            first: { marriage: '1775' }, second: { marriage: '1785' }, wifeDeath: '1790'
+        });
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'overlapping_marriages');
+        assert.strictEqual(warnings[0].certainty, 'definite');
+        assert.strictEqual(warnings[0].endedBy, 'death');
+        assert.strictEqual(warnings[0].familyId, '@F2@');
+        assert.strictEqual(warnings[0].previousFamilyId, '@F1@');
+        assert.strictEqual(warnings[0].message, 'Hans /Huber/ [12] (b. 1750) (@I1@): ' +
+            'marriage to Maria /Koch/ (1785) [Family: @F2@] before the death of Anna /Meier/ (1790) ' +
+            'ended the marriage to Anna /Meier/ (1775) [Family: @F1@]');
+    });
+
+    it('should order marriages by date and use a known divorce', async function() {
+        const warnings = await checkRemarriage({
+            first: { marriage: '1785' }, second: { marriage: '1770', divorce: '1790' }
+        });
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.endedBy, warning.familyId]),
+            [['overlapping_marriages', 'divorce', '@F1@']]);
+        assert(warnings[0].message.includes('before the divorce (1790) ended the marriage to Maria /Koch/ (1770)'));
+    });
+
+    it('should report children of two marriages born in overlapping years', async function() {
+        const warnings = await checkRemarriage({
+            first: { children: ['1776', '1790'] }, second: { children: ['1785', '1787'] }
+        });
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'overlapping_children');
+        assert.deepStrictEqual(warnings[0].familyIds, ['@F1@', '@F2@']);
+        assert.deepStrictEqual(warnings[0].childIds, ['@C11@', '@C20@']);
+        assert(warnings[0].message.includes('born in overlapping years: 1776-1790 in the marriage to Anna /Meier/ [Family: @F1@], ' +
+            '1785-1787 in the marriage to Maria /Koch/ [Family: @F2@]'));
+    });
+
+    it('should report a child born long after the parent\'s next marriage', async function() {
+        const warnings = await checkRemarriage({
+            first: { marriage: '1775', children: ['1776', '1788'] },
+            second: { marriage: '1785' },
+            wifeDeath: '1784'
+        });
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.childId, warning.nextFamilyId]),
+            [['child_outside_marriage', '@C11@', '@F2@']]);
+        assert(warnings[0].message.endsWith('born more than 10 months after Hans /Huber/\'s next marriage ' +
+            'to Maria /Koch/ (1785) [Family: @F2@]'));
+    });
+
+    it('should report a child born long after a divorce', async function() {
+        const warnings = await checkRemarriage({
+            first: { marriage: '1775', divorce: '1780', children: ['1776', '1783'] },
+            second: { marriage: '1790' }
+        });
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.childId]),
+            [['child_outside_marriage', '@C11@']]);
+        assert(warnings[0].message.endsWith('born more than 10 months after the divorce (1780)'));
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the parents' ages and deaths at a child's birth
+ * Ensures fathers and mothers who are too young or too old, and children
+ * born long after the father's death, are reported
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcom } = require('./helpers/checkGedcom');
+const CheckProfile = require('../utils/CheckProfile');
+
+// Warning types about the parents at a child's birth
+const PARENT_TYPES = ['father_too_young', 'father_too_old', 'mother_too_young', 'mother_too_old',
+    'child_after_father_death', 'child_after_mother_death'];
+
+/**
+ * Check a family with one child
+ * @param {Object} dates - Dates of fatherBirth, fatherDeath, motherBirth and childBirth
+ * @param {CheckProfile} [profile] - Check profile
+ * @returns {Promise<Array<Object>>} Warnings about the parents
+ */
+function checkFamily(dates, profile) {
+    const event = (tag, date) => date ? [`1 ${tag}`, `2 DATE ${date}`] : [];
+    return checkGedcom([
+        '0 @I1@ INDI', '1 NAME Hans /Huber/', '1 SEX M', ...event('BIRT', dates.fatherBirth),
+        ...event('DEAT', dates.fatherDeath), '1 FAMS @F1@',
+        '0 @I2@ INDI', '1 NAME Anna /Meier/', '1 SEX F', ...event('BIRT', dates.motherBirth), '1 FAMS @F1@',
+        '0 @I3@ INDI', '1 NAME Jakob /Huber/', '1 SEX M', ...event('BIRT', dates.childBirth), '1 FAMC @F1@',
+        '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@'
+    ], PARENT_TYPES, profile);
+}
+
+describe('Parent Ages', function() {
+    it('should not report parents of plausible ages', async function() {
+        assert.deepStrictEqual(await checkFamily({
+            fatherBirth: '1750', motherBirth: '1755', childBirth: '1780', fatherDeath: 'MAR 1780'
+        }), []);
+    });
+
+    it('should report a father younger than 15', async function() {
+        const warnings = await checkFamily({ fatherBirth: '12 MAR 1766', childBirth: '3 JAN 1780' });
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'father_too_young');
+        assert.strictEqual(warnings[0].certainty, 'definite');
+        assert.strictEqual(warnings[0].fatherId, '@I1@');
+        assert.strictEqual(warnings[0].fatherAge, 13);
+        assert(warnings[0].message.startsWith('Father was only 13 years old when Jakob'));
+    });
+
+    it('should report a father born after his child', async function() {
+        const warnings = await checkFamily({ fatherBirth: '1790', childBirth: '1780' });
+        assert.strictEqual(warnings[0].type, 'father_too_young');
+        assert(warnings[0].message.startsWith('Father was born after Jakob'));
+    });
+
+    it('should report a father older than 75', async function() {
+        const warnings = await checkFamily({ fatherBirth: '1700', childBirth: '1780' });
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.fatherAge]), [['father_too_old', 80]]);
+    });
+
+    it('should report a mother younger than 13', async function() {
+        const warnings = await checkFamily({ motherBirth: '1768', childBirth: '1780' });
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.motherAge]), [['mother_too_young', 12]]);
+    });
+
+    it('should report a child born more than ten months after the father\'s death', async function() {
+        assert.deepStrictEqual(await checkFamily({ fatherDeath: '10 JAN 1780', childBirth: '20 SEP 1780' }), []);
+
+        const warnings = await checkFamily({ fatherDeath: '10 JAN 1780', childBirth: '20 DEC 1780' });
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'child_after_father_death');
+        assert.strictEqual(warnings[0].fatherDeathDate, '10 JAN 1780');
+        assert(warnings[0].message.includes('more than 10 months after father\'s death'));
+    });
+
+    it('should grade approximate dates as possible', async function() {
+        const warnings = await checkFamily({ fatherBirth: 'ABT 1766', childBirth: '1780' });
+        assert.strictEqual(warnings[0].type, 'father_too_young');
+        assert.strictEqual(warnings[0].certainty, 'possible');
+        assert.strictEqual(warnings[0].severity, 'info');
+        assert(warnings[0].message.includes('possibly only about 14 years old'));
+    });
+
+    it('should use the limits of the profile', async function() {
+        const profile = new CheckProfile({ thresholds: { maxFatherAge: 85, maxPosthumousMonths: 12 } });
+        assert.deepStrictEqual(await checkFamily({ fatherBirth: '1700', childBirth: '1780' }, profile), []);
+        assert.deepStrictEqual(await checkFamily({ fatherDeath: '10 JAN 1780', childBirth: '20 DEC 1780' }, profile), []);
+    });
+});
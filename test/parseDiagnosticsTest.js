@@ -0,0 +1,84 @@
+/**
+ * Unit tests for GEDCOM parse diagnostics
+ * Ensures structural problems are reported with their line numbers
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const path = require('path');
+const GedReader = require('../GEDCOM/GedReader');
+const GedcomIntegrityChecker = require('../utils/GedcomIntegrityChecker');
+const { formatResults } = require('../utils/reportFormatter');
+
+/**
+ * Parse GEDCOM lines and return the diagnostics
+ * @param {Array<string>} lines - Lines of the GEDCOM file
+ * @returns {Promise<Array<Object>>} Diagnostics of the parsed model
+ */
+async function diagnose(lines) {
+    const gedModel = await new GedReader().readStream(Buffer.from(lines.join('\n') + '\n', 'utf8'));
+    return gedModel.getDiagnostics();
+}
+
+describe('Parse Diagnostics', function() {
+    it('should report nothing for a well-formed file', function() {
+        const gedModel = new GedReader().read(path.join(__dirname, 'fixtures', '01-valid-complete.ged'));
+        assert.deepStrictEqual(gedModel.getDiagnostics(), []);
+    });
+
+    it('should report level skips', async function() {
+        const diagnostics = await diagnose(['0 HEAD', '0 @I1@ INDI', '2 DATE 1 JAN 1900', '0 TRLR']);
+        assert.deepStrictEqual(diagnostics.map(d => [d.type, d.line]), [['level_skip', 3]]);
+    });
+
+    it('should report a missing HEAD and TRLR', async function() {
+        const diagnostics = await diagnose(['0 @I1@ INDI', '1 NAME Johann /Aberer/']);
+        assert.deepStrictEqual(diagnostics.map(d => [d.type, d.line]), [['missing_header', 1], ['missing_trailer', 2]]);
+    });
+
+    it('should report duplicate xref IDs with the first definition', async function() {
+        const diagnostics = await diagnose(['0 HEAD', '0 @I1@ INDI', '0 @I1@ INDI', '0 TRLR']);
+        assert.strictEqual(diagnostics.length, 1);
+        assert.strictEqual(diagnostics[0].type, 'duplicate_xref');
+        assert.strictEqual(diagnostics[0].line, 3);
+        assert.strictEqual(diagnostics[0].xref, '@I1@');
+        assert(diagnostics[0].message.includes('line 2'));
+    });
+
+    it('should report tags missing a required value', async function() {
+        const diagnostics = await diagnose(['0 HEAD', '0 @I1@ INDI', '1 SEX', '1 BIRT', '2 DATE', '0 TRLR']);
+        assert.deepStrictEqual(diagnostics.map(d => [d.type, d.line, d.tag]), [['missing_value', 3, 'SEX'], ['missing_value', 5, 'DATE']]);
+    });
+
+    it('should accept PLAC and SOUR whose data is on their subordinate lines', async function() {
+        assert.deepStrictEqual(await diagnose([
+            '0 HEAD', '1 PLAC', '2 FORM Town, County',
+            '0 @I1@ INDI', '1 SOUR', '2 CONT Kirchenbuch Kirchdorf',
+            '0 TRLR'
+        ]), []);
+    });
+
+    it('should report over-long and malformed lines', async function() {
+        const diagnostics = await diagnose(['0 HEAD', '0 @N1@ NOTE ' + 'x'.repeat(300), 'garbage', 'X NAME Foo', '0 TRLR']);
+        assert.deepStrictEqual(diagnostics.map(d => [d.type, d.line]), [['line_too_long', 2], ['invalid_line', 3], ['invalid_level', 4]]);
+    });
+
+    it('should show the diagnostics as a GEDCOM syntax section of the report', async function() {
+        const gedModel = await new GedReader().readStream(Buffer.from('0 HEAD\n0 @I1@ INDI\n2 DATE 1900\n', 'utf8'));
+        const report = new GedcomIntegrityChecker(gedModel).checkIntegrity();
+        const syntax = [...report.errors, ...report.warnings].filter(issue => issue.type === 'gedcom_syntax');
+
+        assert.deepStrictEqual(syntax.map(issue => [issue.problem, issue.line, issue.severity]),
+            [['level_skip', 3, 'error'], ['missing_trailer', 3, 'warning']]);
+        assert.deepStrictEqual(report.errors.map(error => error.problem), ['level_skip']);
+        assert.strictEqual(report.summary.errorCount, 1);
+        assert.strictEqual(report.warnings[0].type, 'gedcom_syntax', 'Syntax problems should come first');
+
+        const text = formatResults('broken.ged', report);
+        assert(text.includes('Total Errors: 1'));
+        assert(text.includes('--- GEDCOM Syntax (1) ---\n  • Line 3: File does not end with a TRLR record'));
+        assert(text.includes('--- Errors (1) ---\n  • Line 3: Level 2 DATE follows a level 0 line'));
+    });
+});
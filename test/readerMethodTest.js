@@ -9,6 +9,7 @@
 const assert = require('assert');
 const path = require('path');
 const fs = require('fs');
+const { Readable } = require('stream');
 const GedReader = require('../GEDCOM/GedReader');
 
 describe('Reader Method Tests', function() {
@@ -72,6 +73,105 @@ describe('Reader Method Tests', function() {
         });
     });
 
+    describe('GedReader streaming', function() {
+        const fixturePath = path.join(__dirname, 'fixtures', '01-valid-complete.ged');
+
+        it('should have a readStream method', function() {
+            const gedReader = new GedReader();
+            assert.strictEqual(typeof gedReader.readStream, 'function', 'GedReader should have a readStream method');
+        });
+
+        it('should parse a file path the same way as read', async function() {
+            const expected = new GedReader().read(fixturePath);
+            const result = await new GedReader().readStream(fixturePath);
+
+            assert.deepStrictEqual(result.getSummary(), expected.getSummary());
+            assert.deepStrictEqual(result.getIndividuals(), expected.getIndividuals());
+            assert.deepStrictEqual(result.getFamilies(), expected.getFamilies());
+        });
+
+        it('should parse a Buffer', async function() {
+            const result = await new GedReader().readStream(fs.readFileSync(fixturePath));
+            assert.strictEqual(result.getIndividualCount(), 5);
+            assert.strictEqual(result.getFamilyCount(), 2);
+        });
+
+        it('should handle lines and CRLF split across stream chunks', async function() {
+            const content = Buffer.from('0 HEAD\r\n1 CHAR UTF-8\r\n0 @I1@ INDI\r\n1 NAME Jörg /Müller/\r\n0 TRLR\r\n', 'utf8');
+            const chunks = [];
+            for (let i = 0; i < content.length; i += 3) {
+                chunks.push(content.subarray(i, i + 3));
+            }
+
+            const result = await new GedReader().readStream(Readable.from(chunks));
+            assert.strictEqual(result.getIndividual('@I1@').name.toString(), 'Jörg /Müller/');
+        });
+
+        it('should reject a missing file', async function() {
+            const nonExistentPath = path.join(__dirname, 'non-existent-file.ged');
+            await assert.rejects(new GedReader().readStream(nonExistentPath), /GEDCOM file not found/);
+        });
+    });
+
+    describe('GedReader continuation lines', function() {
+        const content = [
+            '0 HEAD',
+            '1 CHAR UTF-8',
+            '0 @I1@ INDI',
+            '1 NAME Johann /Aberer/',
+            '1 SEX M',
+            '0 @N1@ NOTE Geboren im Haus ',
+            '1 CONC Nr. 12',
+            '1 CONT zweite Zeile',
+            '1 CONC n',
+            '0 @S1@ SOUR',
+            '1 TITL Kirchenbuch Tann',
+            '2 CONC enkirch',
+            '0 TRLR',
+            ''
+        ].join('\n');
+
+        it('should join CONC without a space and CONT with a line break', async function() {
+            const gedModel = await new GedReader().readStream(Buffer.from(content, 'utf8'));
+            const note = gedModel.notes['@N1@'];
+
+            assert.strictEqual(note.value, 'Geboren im Haus Nr. 12\nzweite Zeilen');
+            assert.strictEqual(note.children.length, 0, 'CONC/CONT should not be stored as children');
+        });
+
+        it('should keep the original line span and pieces', async function() {
+            const gedModel = await new GedReader().readStream(Buffer.from(content, 'utf8'));
+            const note = gedModel.notes['@N1@'];
+
+            assert.strictEqual(note.line, 6);
+            assert.strictEqual(note.endLine, 9);
+            assert.deepStrictEqual(note.continuations.map(piece => piece.tag), ['CONC', 'CONT', 'CONC']);
+            assert.deepStrictEqual(note.continuations.map(piece => piece.line), [7, 8, 9]);
+        });
+
+        it('should continue the following records normally', async function() {
+            const gedModel = await new GedReader().readStream(Buffer.from(content, 'utf8'));
+            const title = gedModel.getSource('@S1@').children.find(child => child.tag === 'TITL');
+
+            assert.strictEqual(gedModel.getIndividual('@I1@').gender, 'M');
+            assert.strictEqual(title.value, 'Kirchenbuch Tannenkirch');
+        });
+
+        it('should reassemble the continued SENT templates of the sample file', function() {
+            const samplePath = path.join(__dirname, '..', 'data', 'Tannenkirch.000.ged');
+            const gedModel = new GedReader().read(samplePath);
+            const templates = [];
+            const collect = record => {
+                if (record.tag === 'SENT' && record.continuations) templates.push(record.value);
+                (record.children || []).forEach(collect);
+            };
+            gedModel.unknownRecords.forEach(collect);
+
+            assert(templates.length > 0, 'Sample file should contain continued SENT templates');
+            assert(templates.includes('[ThisPerson] witnessed the birth of [person]< [Date]>< [PlaceDetails]>< [Place]>.'));
+        });
+    });
+
     describe('Method Name Consistency', function() {
         it('should verify correct method names are used in server code', function() {
             // This test reads the server file and checks for incorrect method calls
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the report formatter
+ * Ensures the JSON report keeps the checker's structured data
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { formatResults, toJsonReport, REPORT_SCHEMA_VERSION } = require('../utils/reportFormatter');
+
+describe('Report Formatter', function() {
+    const report = {
+        summary: {
+            totalEntries: 1,
+            entryLabels: ['12'],
+            totalPeople: 2,
+            totalFamilies: 1,
+            entryDetails: { '12': { people: 2, families: 1 } },
+            warningCount: 1,
+            errorCount: 0
+        },
+        warnings: [{
+            type: 'birth_after_death',
+            personId: '@I1@',
+            personName: 'Johann /Aberer/',
+            entry: '12',
+            birthDate: '10 SEP 1802',
+            deathDate: '22 APR 1769',
+            message: 'Person born after death: Johann /Aberer/ [12] (b. 10 SEP 1802)'
+        }],
+        errors: [],
+        hasIssues: true
+    };
+
+    describe('toJsonReport', function() {
+        it('should include the schema version and file name', function() {
+            const json = toJsonReport('test.ged', report);
+            assert.strictEqual(json.schemaVersion, REPORT_SCHEMA_VERSION);
+            assert.strictEqual(json.file, 'test.ged');
+            assert.strictEqual(json.hasIssues, true);
+            assert.deepStrictEqual(json.summary, report.summary);
+        });
+
+        it('should keep every warning field and add a label', function() {
+            const json = toJsonReport('test.ged', report);
+            const warning = json.warnings[0];
+
+            for (const [key, value] of Object.entries(report.warnings[0])) {
+                assert.strictEqual(warning[key], value, `Field ${key} should be preserved`);
+            }
+            assert.strictEqual(warning.label, 'Birth After Death');
+        });
+
+        it('should be serializable as JSON', function() {
+            const json = toJsonReport('test.ged', report);
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(json)), json);
+        });
+    });
+
+    describe('formatResults', function() {
+        it('should list warnings under their category label', function() {
+            const text = formatResults('test.ged', report);
+            assert(text.includes('GEDCOM File: test.ged'));
+            assert(text.includes('--- Birth After Death (1) ---'));
+            assert(text.includes(report.warnings[0].message));
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for sibling birth spacing
+ * Ensures siblings born too close together, twins and children listed out
+ * of birth order are reported
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const { checkGedcom, checkGedcomReport } = require('./helpers/checkGedcom');
+const { formatResults } = require('../utils/reportFormatter');
+
+// Warning types about siblings
+const SIBLING_TYPES = ['sibling_spacing', 'twins', 'children_out_of_order'];
+
+/**
+ * Check a family whose children have the given birth dates, in CHIL order
+ * @param {Array<string>} birthDates - Birth date of each child
+ * @param {Array<string>} [names] - GEDCOM name of each child (default "Kind<n> /Huber/")
+ * @returns {Promise<Array<Object>>} Warnings about siblings
+ */
+function checkChildren(birthDates, names = []) {
+    const lines = ['0 @F1@ FAM'];
+    birthDates.forEach((date, index) => lines.push(`1 CHIL @C${index + 1}@`));
+    birthDates.forEach((date, index) => {
+        lines.push(`0 @C${index + 1}@ INDI`, `1 NAME ${names[index] || `Kind${index + 1} /Huber/`}`, '1 BIRT', `2 DATE ${date}`, '1 FAMC @F1@');
+    });
+    return checkGedcom(lines, SIBLING_TYPES);
+}
+
+describe('Sibling Spacing', function() {
+    it('should not report siblings born far enough apart', async function() {
+        assert.deepStrictEqual(await checkChildren(['3 MAR 1780', '20 JAN 1781', '1783', 'ABT 1786']), []);
+    });
+
+    it('should report siblings born less than nine months apart', async function() {
+        const warnings = await checkChildren(['3 MAR 1780', '10 AUG 1780']);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'sibling_spacing');
+        assert.strictEqual(warnings[0].certainty, 'definite');
+        assert.strictEqual(warnings[0].childId, '@C2@');
+        assert.strictEqual(warnings[0].siblingId, '@C1@');
+        assert.strictEqual(warnings[0].months, 5);
+        assert(warnings[0].message.includes('born only 5 months apart'));
+    });
+
+    it('should report siblings that may be too close as info', async function() {
+        const warnings = await checkChildren(['1780', '1780']);
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.severity]), [['sibling_spacing', 'info']]);
+    });
+
+    it('should recognize twins and compare the next birth with them', async function() {
+        const warnings = await checkChildren(['3 MAR 1780', '3 MAR 1780', '4 MAR 1780', '1 JUN 1780']);
+        assert.deepStrictEqual(warnings.map(warning => [warning.type, warning.severity]),
+            [['twins', 'info'], ['sibling_spacing', 'warning']]);
+        assert.deepStrictEqual(warnings[0].childIds, ['@C1@', '@C2@', '@C3@']);
+        assert(warnings[0].message.startsWith('Triplets born 3 MAR 1780: Kind1 /Huber/, Kind2 /Huber/, Kind3 /Huber/'));
+        assert.strictEqual(warnings[1].siblingId, '@C3@');
+    });
+
+    it('should report children listed out of birth order as info', async function() {
+        const warnings = await checkChildren(['1785', '1780', '1790']);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'children_out_of_order');
+        assert.strictEqual(warnings[0].severity, 'info');
+        assert.strictEqual(warnings[0].childId, '@C2@');
+        assert.strictEqual(warnings[0].siblingId, '@C1@');
+    });
+
+    it('should list twins as information that does not count as a warning', async function() {
+        const report = await checkGedcomReport([
+            '0 @F1@ FAM', '1 CHIL @C1@', '1 CHIL @C2@',
+            '0 @C1@ INDI', '1 NAME Anna /Huber/', '1 SEX F', '1 BIRT', '2 DATE 3 MAR 1780', '1 FAMC @F1@', '1 SOUR @S1@', '2 PAGE 12',
+            '0 @C2@ INDI', '1 NAME Maria /Huber/', '1 SEX F', '1 BIRT', '2 DATE 3 MAR 1780', '1 FAMC @F1@', '1 SOUR @S1@', '2 PAGE 12',
+            '0 @S1@ SOUR', '1 TITL Kirchenbuch'
+        ]);
+        assert.deepStrictEqual(report.warnings.map(warning => warning.type), ['twins']);
+        assert.strictEqual(report.summary.warningCount, 0);
+        assert.strictEqual(report.summary.infoCount, 1);
+
+        const text = formatResults('twins.ged', report);
+        assert(text.includes('Total Warnings: 0\nTotal Errors: 0\nTotal Information: 1'));
+        assert(text.includes('No integrity issues found'));
+        assert(text.includes('=== Information ===\n\n--- Twins and Multiple Births (1) ---\n  • Twins born 3 MAR 1780'));
+        assert(text.includes('Excellent data quality'));
+    });
+
+    it('should leave out an empty given name in the message', async function() {
+        const warnings = await checkChildren(['1785', '1780'], [' /Huber/', 'Jakob /Huber/']);
+        assert(warnings[0].message.endsWith('Jakob /Huber/ (b. 1780) is listed after /Huber/ (b. 1785) [Family: @F1@, Entry: unknown]'),
+            warnings[0].message);
+    });
+});
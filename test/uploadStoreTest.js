@@ -0,0 +1,86 @@
+/**
+ * Unit tests for UploadStore
+ * Ensures uploads are isolated per token and expired uploads are cleaned up
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const UploadStore = require('../utils/UploadStore');
+
+describe('UploadStore', function() {
+    let directory;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gedquality-test-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function createUploadFile(name) {
+        const filePath = path.join(directory, name);
+        fs.writeFileSync(filePath, '0 HEAD\n0 TRLR\n', 'utf8');
+        return filePath;
+    }
+
+    it('should keep uploads from different clients apart', function() {
+        const store = new UploadStore({ directory });
+        const tokenA = store.add({ originalName: 'a.ged', path: createUploadFile('a'), size: 14 });
+        const tokenB = store.add({ originalName: 'b.ged', path: createUploadFile('b'), size: 14 });
+
+        assert.notStrictEqual(tokenA, tokenB);
+        assert.strictEqual(store.get(tokenA).originalName, 'a.ged');
+        assert.strictEqual(store.get(tokenB).originalName, 'b.ged');
+    });
+
+    it('should return null for unknown tokens', function() {
+        const store = new UploadStore({ directory });
+        assert.strictEqual(store.get('unknown'), null);
+        assert.strictEqual(store.get(undefined), null);
+    });
+
+    it('should delete the file when an upload is removed', function() {
+        const store = new UploadStore({ directory });
+        const filePath = createUploadFile('a');
+        const token = store.add({ originalName: 'a.ged', path: filePath, size: 14 });
+
+        assert.strictEqual(store.remove(token), true);
+        assert.strictEqual(fs.existsSync(filePath), false);
+        assert.strictEqual(store.get(token), null);
+    });
+
+    it('should expire unused uploads and remove their files', function() {
+        const store = new UploadStore({ directory, ttlMs: 1000 });
+        const filePath = createUploadFile('a');
+        const token = store.add({ originalName: 'a.ged', path: filePath, size: 14 });
+
+        store.sweep(Date.now() + 5000);
+
+        assert.strictEqual(store.size(), 0);
+        assert.strictEqual(store.get(token), null);
+        assert.strictEqual(fs.existsSync(filePath), false);
+    });
+
+    it('should remove orphaned files but keep active uploads', function() {
+        const store = new UploadStore({ directory, ttlMs: 1000 });
+        const orphanPath = createUploadFile('orphan');
+        const activePath = createUploadFile('active');
+        const token = store.add({ originalName: 'active.ged', path: activePath, size: 14 });
+
+        // Pretend the orphan was written long ago
+        const past = new Date(Date.now() - 60000);
+        fs.utimesSync(orphanPath, past, past);
+
+        store.sweep();
+
+        assert.strictEqual(fs.existsSync(orphanPath), false);
+        assert.strictEqual(fs.existsSync(activePath), true);
+        assert(store.get(token));
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for xref handling
+ * Ensures records are linked by their real xref strings, whatever their format
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const assert = require('assert');
+const GedReader = require('../GEDCOM/GedReader');
+const GedFamily = require('../GEDCOM/GedFamily');
+const GedcomIntegrityChecker = require('../utils/GedcomIntegrityChecker');
+
+describe('Xref Handling', function() {
+    const content = [
+        '0 HEAD',
+        '1 CHAR UTF-8',
+        '0 @P123@ INDI',
+        '1 NAME Johann /Aberer/',
+        '1 BIRT',
+        '2 DATE 10 SEP 1802',
+        '1 DEAT',
+        '2 DATE 22 APR 1769',
+        '1 FAMS @Fam_1@',
+        '1 SOUR @S1@',
+        '2 PAGE 12',
+        '0 @I1_2@ INDI',
+        '1 NAME Maria /Keller/',
+        '1 FAMS @Fam_1@',
+        '1 SOUR @S1@',
+        '2 PAGE 12',
+        '0 @Ind7@ INDI',
+        '1 NAME Anna /Huber/',
+        '1 FAMC @Fam_1@',
+        '1 SOUR @S1@',
+        '2 PAGE 12',
+        '0 @Fam_1@ FAM',
+        '1 HUSB @P123@',
+        '1 WIFE @I1_2@',
+        '1 CHIL @Ind7@',
+        '0 TRLR',
+        ''
+    ].join('\n');
+
+    let gedModel;
+    let report;
+
+    before(async function() {
+        gedModel = await new GedReader().readStream(Buffer.from(content, 'utf8'));
+        report = new GedcomIntegrityChecker(gedModel).checkIntegrity();
+    });
+
+    it('should keep the xrefs of family members', function() {
+        const family = gedModel.getFamily('@Fam_1@');
+        assert.strictEqual(family.getFather(), '@P123@');
+        assert.strictEqual(family.getMother(), '@I1_2@');
+        assert.deepStrictEqual(family.getChildren(), ['@Ind7@']);
+    });
+
+    it('should not mix up xrefs that share digits', function() {
+        const family = new GedFamily('@I1@', '@P1@', ['@F1@', '@I1@']);
+        assert.strictEqual(family.getFather(), '@I1@');
+        assert.strictEqual(family.getMother(), '@P1@');
+        assert.deepStrictEqual(family.getChildren(), ['@F1@', '@I1@']);
+        assert.strictEqual(new GedFamily().isEmpty(), true);
+    });
+
+    it('should find family members with non-numeric xrefs', function() {
+        assert(!report.warnings.some(warning => warning.type === 'family_membership'));
+        assert(!report.warnings.some(warning => warning.type === 'one_sided_link'));
+    });
+
+    it('should run the date and surname checks on non-numeric xrefs', function() {
+        const birthAfterDeath = report.warnings.find(warning => warning.type === 'birth_after_death');
+        assert(birthAfterDeath, 'Expected a birth_after_death warning');
+        assert.strictEqual(birthAfterDeath.personId, '@P123@');
+
+        const surnameMismatch = report.warnings.find(warning => warning.type === 'surname_mismatch');
+        assert(surnameMismatch, 'Expected a surname_mismatch warning');
+        assert.strictEqual(surnameMismatch.childId, '@Ind7@');
+        assert.strictEqual(surnameMismatch.familyId, '@Fam_1@');
+    });
+
+    it('should number people and families when converting to a PageModel', function() {
+        const pageModel = gedModel.toPageModel();
+        assert.strictEqual(Object.keys(pageModel.people).length, 3);
+        assert.strictEqual(Object.keys(pageModel.families).length, 1);
+
+        const family = Object.values(pageModel.families)[0];
+        assert.strictEqual(family.husband, 1);
+        assert.strictEqual(family.wife, 2);
+        assert.deepStrictEqual(family.children, [3]);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * CheckProfile - Thresholds and enabled checks for one integrity check run
+ * A profile is a JSON object with a `name`, a `description`, `thresholds`
+ * (numeric limits such as the longest plausible lifespan) and `checks`
+ * (check name -> true/false). Values a profile leaves out are taken from
+ * the default profile, so a profile only needs to list what it changes:
+ *
+ *   { "name": "Alpine valleys", "thresholds": { "maxLifespanYears": 110 },
+ *     "checks": { "pageConsistency": false } }
+ *
+ * Built-in profiles live in utils/profiles and are selected by their file
+ * name without extension, e.g. "german-village".
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Folder with the built-in profiles
+const PROFILE_DIRECTORY = path.join(__dirname, 'profiles');
+
+// Built-in profile used when none is selected; it lists every threshold and check
+const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILE = require(path.join(PROFILE_DIRECTORY, `${DEFAULT_PROFILE_ID}.json`));
+
+class CheckProfile {
+    /**
+     * Create a new CheckProfile
+     * @param {Object} [definition] - Profile with optional name, description, thresholds and checks
+     * @param {string} [id] - Identifier of a built-in profile
+     * @throws {Error} If the profile has unknown or invalid thresholds or checks
+     */
+    constructor(definition = {}, id = null) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new Error('Profile must be a JSON object');
+        }
+
+        this.id = id;
+        this.name = definition.name || id || 'Custom';
+        this.description = definition.description || '';
+        this.thresholds = { ...DEFAULT_PROFILE.thresholds };
+        this.checks = { ...DEFAULT_PROFILE.checks };
+
+        for (const [key, value] of Object.entries(definition.thresholds || {})) {
+            if (!(key in DEFAULT_PROFILE.thresholds)) {
+                throw new Error(`Unknown threshold in profile "${this.name}": ${key}`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                throw new Error(`Threshold ${key} in profile "${this.name}" must be a number of at least 0, got ${JSON.stringify(value)}`);
+            }
+            this.thresholds[key] = value;
+        }
+
+        for (const [key, value] of Object.entries(definition.checks || {})) {
+            if (!(key in DEFAULT_PROFILE.checks)) {
+                throw new Error(`Unknown check in profile "${this.name}": ${key}`);
+            }
+            if (typeof value !== 'boolean') {
+                throw new Error(`Check ${key} in profile "${this.name}" must be true or false, got ${JSON.stringify(value)}`);
+            }
+            this.checks[key] = value;
+        }
+
+        if (this.thresholds.minYear > this.thresholds.maxYear) {
+            throw new Error(`minYear in profile "${this.name}" must not be after maxYear`);
+        }
+    }
+
+    /**
+     * Check whether a check is turned on
+     * @param {string} check - Check name, e.g. "givenNames"
+     * @returns {boolean} True if the check runs
+     */
+    isEnabled(check) {
+        return this.checks[check] !== false;
+    }
+
+    /**
+     * Get the range of plausible years
+     * @returns {Object} { minYear, maxYear }
+     */
+    getYearRange() {
+        return { minYear: this.thresholds.minYear, maxYear: this.thresholds.maxYear };
+    }
+
+    /**
+     * Get the profile as a plain object
+     * @returns {Object} { id, name, description, thresholds, checks }
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            thresholds: { ...this.thresholds },
+            checks: { ...this.checks }
+        };
+    }
+
+    /**
+     * Get the default profile
+     * @returns {CheckProfile} The default profile
+     */
+    static getDefault() {
+        return new CheckProfile(DEFAULT_PROFILE, DEFAULT_PROFILE_ID);
+    }
+
+    /**
+     * Get the identifiers of the built-in profiles
+     * @returns {Array<string>} Identifiers, default first
+     */
+    static getBuiltInIds() {
+        const ids = fs.readdirSync(PROFILE_DIRECTORY)
+            .filter(file => path.extname(file) === '.json')
+            .map(file => path.basename(file, '.json'))
+            .filter(id => id !== DEFAULT_PROFILE_ID)
+            .sort();
+        return [DEFAULT_PROFILE_ID, ...ids];
+    }
+
+    /**
+     * List the built-in profiles
+     * @returns {Array<Object>} { id, name, description } of each built-in profile
+     */
+    static listBuiltIn() {
+        return CheckProfile.getBuiltInIds().map(id => {
+            const { name, description } = CheckProfile.fromBuiltIn(id);
+            return { id, name, description };
+        });
+    }
+
+    /**
+     * Load a built-in profile
+     * @param {string} id - Identifier of the profile, e.g. "german-village"
+     * @returns {CheckProfile} The profile
+     * @throws {Error} If there is no built-in profile with this identifier
+     */
+    static fromBuiltIn(id) {
+        const ids = CheckProfile.getBuiltInIds();
+        if (!ids.includes(id)) {
+            throw new Error(`Unknown profile: ${id} (expected ${ids.join(', ')})`);
+        }
+        const definition = JSON.parse(fs.readFileSync(path.join(PROFILE_DIRECTORY, `${id}.json`), 'utf8'));
+        return new CheckProfile(definition, id);
+    }
+
+    /**
+     * Load a profile from a JSON file
+     * @param {string} filePath - Path to the profile file
+     * @returns {CheckProfile} The profile
+     * @throws {Error} If the file cannot be read or is not a valid profile
+     */
+    static fromFile(filePath) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read profile ${filePath}: ${error.message}`);
+        }
+        return new CheckProfile(definition);
+    }
+
+    /**
+     * Load a built-in profile by identifier or a profile file by path
+     * @param {string} nameOrPath - Built-in profile identifier or path to a JSON file
+     * @returns {CheckProfile} The profile
+     * @throws {Error} If the profile is unknown or invalid
+     */
+    static load(nameOrPath) {
+        if (CheckProfile.getBuiltInIds().includes(nameOrPath) || !fs.existsSync(nameOrPath)) {
+            return CheckProfile.fromBuiltIn(nameOrPath);
+        }
+        return CheckProfile.fromFile(nameOrPath);
+    }
+}
+
+CheckProfile.DEFAULT_PROFILE_ID = DEFAULT_PROFILE_ID;
+
+module.exports = CheckProfile;
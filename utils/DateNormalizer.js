@@ -0,0 +1,209 @@
+/**
+ * DateNormalizer - Proposes GEDCOM dates for dates typed in German or French
+ * Transcribers often enter dates the way they are written in the records,
+ * e.g. "10.09.1802", "10. Sept. 1802", "März 1790", "ca. 1750", "vor 1800"
+ * or "12 vendémiaire an VII". The normalizer recognizes these spellings and
+ * returns the equivalent GEDCOM date, e.g. "10 SEP 1802" or "ABT 1750".
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const DateModel = require('../DataModel/DateModel');
+const Calendar = require('../DataModel/Calendar');
+
+// Month names (lower case, without accents) in German, French and English
+const GREGORIAN_MONTH_NAMES = [
+    ['januar', 'janner', 'janvier', 'january'],
+    ['februar', 'feber', 'fevrier', 'february'],
+    ['marz', 'maerz', 'mrz', 'mars', 'march'],
+    ['april', 'avril'],
+    ['mai', 'may'],
+    ['juni', 'juin', 'june'],
+    ['juli', 'juillet', 'july'],
+    ['august', 'aout'],
+    ['september', 'septembre', '7ber', '7bre'],
+    ['oktober', 'octobre', 'october', '8ber', '8bre'],
+    ['november', 'novembre', '9ber', '9bre'],
+    ['dezember', 'decembre', 'december', 'xber', 'xbre', '10ber', '10bre']
+];
+
+// Month names of the French Republican calendar
+const FRENCH_MONTH_NAMES = [
+    ['vendemiaire'], ['brumaire'], ['frimaire'], ['nivose'], ['pluviose'], ['ventose'],
+    ['germinal'], ['floreal'], ['prairial'], ['messidor'], ['thermidor'], ['fructidor'],
+    ['complementaire', 'complementaires', 'sansculottide', 'sansculottides', 'sans-culottides']
+];
+
+// Words for date qualifiers, mapped to GEDCOM
+const QUALIFIERS = [
+    { pattern: /^(ca|circa|zirka|um|etwa|ungefahr|gegen|vers|env|environ|abt|about)(\.\s*|\s+|(?=\d))/, gedcom: 'ABT' },
+    { pattern: /^(vor|avant|bef|before)(\.\s*|\s+)/, gedcom: 'BEF' },
+    { pattern: /^(nach|apres|aft|after)(\.\s*|\s+)/, gedcom: 'AFT' },
+    { pattern: /^(err|errechnet|berechnet|calcule|cal)(\.\s*|\s+)/, gedcom: 'CAL' },
+    { pattern: /^(geschatzt|estime|est)(\.\s*|\s+)/, gedcom: 'EST' }
+];
+
+// Words for date ranges and periods, mapped to GEDCOM
+const RANGES = [
+    { pattern: /^(?:zwischen|entre|bet)\s+(.+?)\s+(?:und|et|and)\s+(.+)$/, start: 'BET', end: 'AND' },
+    { pattern: /^(?:von|vom|du|de|from)\s+(.+?)\s+(?:bis(?: zum)?|au|a|to)\s+(.+)$/, start: 'FROM', end: 'TO' },
+    { pattern: /^(\d{4})\s*[-–]\s*(\d{4})$/, start: 'BET', end: 'AND' }
+];
+
+// Smallest abbreviation accepted for a month name
+const MIN_ABBREVIATION_LENGTH = 3;
+
+class DateNormalizer {
+    /**
+     * Create a new DateNormalizer
+     * @param {Object} [yearRange] - { minYear, maxYear } of years a proposed date may have (default: DateModel's range)
+     */
+    constructor(yearRange) {
+        this.yearRange = yearRange;
+
+        // Month name -> { calendar, month }
+        this.monthNames = new Map();
+        const addMonths = (calendar, names) => {
+            names.forEach((spellings, index) => {
+                for (const spelling of spellings) {
+                    this.monthNames.set(spelling, { calendar, month: index + 1 });
+                }
+            });
+        };
+        addMonths('GREGORIAN', GREGORIAN_MONTH_NAMES);
+        addMonths('FRENCH R', FRENCH_MONTH_NAMES);
+    }
+
+    /**
+     * Propose a GEDCOM date for a date written in German, French or loose GEDCOM
+     * @param {string} text - The date as typed
+     * @returns {string|null} The GEDCOM date, or null if the date is not recognized
+     */
+    normalize(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const cleaned = DateNormalizer.simplify(text);
+        if (!cleaned) return null;
+
+        for (const range of RANGES) {
+            const match = cleaned.match(range.pattern);
+            if (match) {
+                const start = this._normalizeSingleDate(match[1]);
+                const end = this._normalizeSingleDate(match[2]);
+                return start && end ? `${range.start} ${start} ${range.end} ${end}` : null;
+            }
+        }
+
+        for (const qualifier of QUALIFIERS) {
+            const match = cleaned.match(qualifier.pattern);
+            if (match) {
+                const date = this._normalizeSingleDate(cleaned.substring(match[0].length));
+                return date ? `${qualifier.gedcom} ${date}` : null;
+            }
+        }
+
+        return this._normalizeSingleDate(cleaned);
+    }
+
+    /**
+     * Lower-case a date, remove accents and tidy punctuation and spaces
+     * @param {string} text - The date as typed
+     * @returns {string} The simplified date
+     */
+    static simplify(text) {
+        return text
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .replace(/ß/g, 'ss')
+            .toLowerCase()
+            .replace(/,/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Propose a GEDCOM date for a single date without qualifier
+     * @param {string} text - Simplified date
+     * @returns {string|null} GEDCOM date, or null if it is not recognized or not a valid date
+     * @private
+     */
+    _normalizeSingleDate(text) {
+        let day = null;
+        let month = null;
+        let year = null;
+        let calendar = 'GREGORIAN';
+
+        const numeric = text.match(/^(\d{1,2})\s*[./]\s*(\d{1,2})\s*[./]\s*(\d{4})$/);
+        const monthYear = text.match(/^(\d{1,2})\s*[./]\s*(\d{4})$/);
+        const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        // Written month with optional day ("10. sept. 1802", "1er mars 1790", "12 vend an vii");
+        // "3 jours complementaires an iii" names the month in two words
+        const written = text.replace(/\bjours?\s+(?=compl|sans)/, '')
+            .match(/^(?:(\d{1,2})(?:er|e)?(?:\.\s*|\s+))?([a-z0-9-]+)\.?\s*(?:an\s+)?([ivxlc]+|\d{1,4})\.?$/);
+
+        if (numeric) {
+            [day, month, year] = [numeric[1], numeric[2], numeric[3]].map(Number);
+        } else if (monthYear) {
+            [month, year] = [monthYear[1], monthYear[2]].map(Number);
+        } else if (iso) {
+            [year, month, day] = [iso[1], iso[2], iso[3]].map(Number);
+        } else if (/^\d{4}$/.test(text)) {
+            year = Number(text);
+        } else if (written) {
+            const found = this.findMonth(written[2]);
+            if (!found) return null;
+
+            calendar = found.calendar;
+            month = found.month;
+            day = written[1] ? Number(written[1]) : null;
+            year = calendar === 'FRENCH R' ? Calendar.parseFrenchYear(written[3]) : Number(written[3]);
+            if (!year) return null;
+        } else {
+            return null;
+        }
+
+        if (month !== null && (month < 1 || month > Calendar.getMonthCount(calendar))) {
+            return null;
+        }
+
+        const monthName = month ? Calendar.getMonthNames(calendar)[month - 1] : null;
+        const parts = [day, monthName, year].filter(part => part !== null);
+        const gedcomDate = (calendar === 'GREGORIAN' ? '' : `@#D${calendar}@ `) + parts.join(' ');
+
+        // Only propose dates that are valid GEDCOM dates
+        try {
+            new DateModel().parseGedcomDate(gedcomDate, this.yearRange);
+        } catch (error) {
+            return null;
+        }
+
+        return gedcomDate;
+    }
+
+    /**
+     * Find a month by its name or an abbreviation of it
+     * @param {string} name - Simplified month name, e.g. "sept", "marz" or "vendemiaire"
+     * @returns {Object|null} { calendar, month } or null if unknown or ambiguous
+     */
+    findMonth(name) {
+        const key = name.replace(/\.$/, '');
+        if (this.monthNames.has(key)) {
+            return this.monthNames.get(key);
+        }
+
+        if (key.length < MIN_ABBREVIATION_LENGTH) return null;
+
+        let found = null;
+        for (const [spelling, month] of this.monthNames) {
+            if (!spelling.startsWith(key)) continue;
+            if (found && (found.calendar !== month.calendar || found.month !== month.month)) {
+                return null; // Ambiguous, e.g. "jui" (juin, juillet)
+            }
+            found = month;
+        }
+        return found;
+    }
+}
+
+module.exports = DateNormalizer;
@@ -7,17 +7,84 @@
  */
 
 const { createDefaultGivenNames } = require('./names');
+const DateNormalizer = require('./DateNormalizer');
+const CheckProfile = require('./CheckProfile');
+const DateModel = require('../DataModel/DateModel');
+const NameModel = require('../DataModel/NameModel');
+const Calendar = require('../DataModel/Calendar');
+
+// Severity levels from least to most severe
+const SEVERITY_LEVELS = ['info', 'warning', 'error'];
+
+// Dates with a calendar escape, a French Republican month or an "AN" year
+const CALENDAR_DATE_PATTERN = new RegExp(`@#D|\\bAN\\s|\\b(${Calendar.getMonthNames('FRENCH R').join('|')})\\b`, 'i');
+
+// Average days per year, used for ages and lifespans
+const DAYS_PER_YEAR = 365.25;
+
+// Average days per month, used for birth spacing
+const DAYS_PER_MONTH = DAYS_PER_YEAR / 12;
+
+// Names of multiple births by number of children
+const MULTIPLE_BIRTH_NAMES = { 2: 'Twins', 3: 'Triplets', 4: 'Quadruplets' };
+
+// Points a piece of evidence adds to the confidence (0-100) that two people are duplicates
+const DUPLICATE_SCORES = {
+    sameName: 40,
+    similarName: 25,
+    sameDay: 30,
+    overlappingDates: 10,
+    samePlace: 5,
+    matchingEvent: 10,
+    sameFamily: 25,
+    similarParents: 25,
+    differentParents: -30
+};
+
+// PEDI values of FAMC links to parents other than the birth parents
+const NON_BIRTH_PEDIGREES = ['adopted', 'foster', 'sealing'];
+
+// Parse diagnostics that leave the record structure unreliable
+const SYNTAX_ERRORS = ['invalid_line', 'invalid_level', 'level_skip', 'duplicate_xref'];
+
+// Checks in the order they run; profiles turn them on and off by name
+const CHECKS = {
+    syntax: 'checkSyntax',
+    characterSet: 'checkCharacterSet',
+    familyMembership: 'checkPeopleFamilyMembership',
+    familyLinks: 'checkFamilyLinks',
+    familyStructure: 'checkFamilyStructure',
+    familyRoles: 'checkFamilyRoles',
+    conflictingParentage: 'checkConflictingParentage',
+    ancestryCycles: 'checkAncestryCycles',
+    pageConsistency: 'checkPageConsistency',
+    dateFormats: 'checkDateFormats',
+    calendarDates: 'checkCalendarDates',
+    yearRange: 'checkYearRange',
+    dateConsistency: 'checkDateConsistency',
+    eventOrder: 'checkEventOrder',
+    siblingSpacing: 'checkSiblingSpacing',
+    multipleMarriages: 'checkMultipleMarriages',
+    givenNames: 'checkGivenNames',
+    genderConsistency: 'checkGenderConsistency',
+    sourceReferences: 'checkSourceReferences',
+    surnameConsistency: 'checkSurnameConsistency',
+    duplicatePeople: 'checkDuplicatePeople'
+};
 
 class GedcomIntegrityChecker {
     /**
      * Create a new GedcomIntegrityChecker
      * @param {GedModel} gedModel - The parsed GEDCOM model to check
+     * @param {CheckProfile} [profile] - Thresholds and enabled checks (default profile if omitted)
      */
-    constructor(gedModel) {
+    constructor(gedModel, profile = CheckProfile.getDefault()) {
         this.gedModel = gedModel;
+        this.profile = profile;
         this.warnings = [];
         this.errors = [];
         this.givenNames = createDefaultGivenNames();
+        this.dateNormalizer = new DateNormalizer(profile.getYearRange());
     }
 
     /**
@@ -28,27 +95,60 @@ class GedcomIntegrityChecker {
         this.warnings = [];
         this.errors = [];
 
-        // Run all checks
-        this.checkPeopleFamilyMembership();
-        this.checkPageConsistency();
-        this.checkDateFormats();
-        this.checkDateConsistency();
-        this.checkGivenNames();
-        this.checkGenderConsistency();
-        this.checkSourceReferences();
-        this.checkSurnameConsistency();
+        // Run the checks the profile enables
+        for (const [check, method] of Object.entries(CHECKS)) {
+            if (this.profile.isEnabled(check)) {
+                this[method]();
+            }
+        }
 
         // Generate summary
         const summary = this.generateSummary();
 
+        // Warnings default to 'warning' severity unless a check chose another level
         return {
             summary,
-            warnings: [...this.warnings],
-            errors: [...this.errors],
+            warnings: this.warnings.map(warning => ({ severity: 'warning', ...warning })),
+            errors: this.errors.map(error => ({ ...error, severity: 'error' })),
             hasIssues: this.warnings.length > 0 || this.errors.length > 0
         };
     }
 
+    /**
+     * Report structural problems found while parsing the GEDCOM file
+     * Lines that could not be read into the tree are errors, the others warnings.
+     */
+    checkSyntax() {
+        for (const { type, line, message, ...details } of this.gedModel.getDiagnostics()) {
+            const isError = SYNTAX_ERRORS.includes(type);
+            (isError ? this.errors : this.warnings).push({
+                type: 'gedcom_syntax',
+                problem: type,
+                line: line,
+                severity: isError ? 'error' : 'warning',
+                ...details,
+                message: `Line ${line}: ${message}`
+            });
+        }
+    }
+
+    /**
+     * Check that the declared character set matches the file's encoding
+     */
+    checkCharacterSet() {
+        const charset = this.gedModel.getCharset();
+
+        if (charset && charset.mismatch) {
+            this.warnings.push({
+                type: 'encoding_mismatch',
+                declared: charset.declared,
+                detected: charset.detected,
+                encoding: charset.encoding,
+                message: `Character set mismatch: ${charset.message}`
+            });
+        }
+    }
+
     /**
      * Check that each person is in at least one family
      */
@@ -60,23 +160,17 @@ class GedcomIntegrityChecker {
         const peopleInFamilies = new Set();
 
         for (const [famId, family] of Object.entries(families)) {
-            if (family.father > 0) peopleInFamilies.add(family.father);
-            if (family.mother > 0) peopleInFamilies.add(family.mother);
-            for (const childId of family.children) {
-                peopleInFamilies.add(childId);
+            for (const { personId } of this.getFamilyMembers(family)) {
+                peopleInFamilies.add(personId);
             }
         }
 
         // Check each individual
         for (const [gedcomId, individual] of Object.entries(individuals)) {
-            const match = gedcomId.match(/@I(\d+)@/);
-            if (!match) continue;
-
-            const personId = parseInt(match[1]);
             const entryLabel = this.getEntryLabel(individual);
 
             // Check if person is in at least one family
-            if (!peopleInFamilies.has(personId)) {
+            if (!peopleInFamilies.has(gedcomId)) {
                 // Only allow this if the person is the only one in their entry
                 if (this.isOnlyPersonInEntry(entryLabel)) {
                     // This is OK - single person entry
@@ -84,7 +178,7 @@ class GedcomIntegrityChecker {
                     this.warnings.push({
                         type: 'family_membership',
                         personId: gedcomId,
-                        personName: individual.name ? individual.name.toString() : 'Unknown',
+                        personName: this.formatPersonName(individual),
                         entry: entryLabel,
                         message: `Person ${this.formatPersonIdForError(individual)} (${gedcomId}) is not in any family`
                     });
@@ -93,6 +187,466 @@ class GedcomIntegrityChecker {
         }
     }
 
+    /**
+     * Check that FAMS/FAMC links of people and HUSB/WIFE/CHIL links of
+     * families point to existing records and match each other
+     */
+    checkFamilyLinks() {
+        const individuals = this.gedModel.getIndividuals();
+        const families = this.gedModel.getFamilies();
+
+        // Person side: FAMS needs HUSB/WIFE, FAMC needs CHIL
+        for (const [gedcomId, individual] of Object.entries(individuals)) {
+            const links = [
+                ...(individual.spouseFamilies || []).map(familyId => ({ tag: 'FAMS', familyId, roles: ['HUSB', 'WIFE'] })),
+                ...(individual.childFamilies || []).map(familyId => ({ tag: 'FAMC', familyId, roles: ['CHIL'] }))
+            ];
+
+            for (const { tag, familyId, roles } of links) {
+                const family = this.gedModel.getFamily(familyId);
+
+                if (!family) {
+                    this.errors.push({
+                        type: 'dangling_pointer',
+                        severity: 'error',
+                        personId: gedcomId,
+                        personName: this.formatPersonName(individual),
+                        entry: this.getEntryLabel(individual),
+                        tag: tag,
+                        pointer: familyId,
+                        message: `${tag} ${familyId} of ${this.formatPersonIdForError(individual)} (${gedcomId}) points to a family that does not exist`
+                    });
+                    continue;
+                }
+
+                const isMember = this.getFamilyMembers(family)
+                    .some(member => member.personId === gedcomId && roles.includes(member.tag));
+
+                if (!isMember) {
+                    this.warnings.push({
+                        type: 'one_sided_link',
+                        personId: gedcomId,
+                        personName: this.formatPersonName(individual),
+                        familyId: familyId,
+                        entry: this.getEntryLabel(individual),
+                        tag: tag,
+                        message: `${this.formatPersonIdForError(individual)} (${gedcomId}) has ${tag} ${familyId}, but the family has no ${roles.join('/')} pointing back`
+                    });
+                }
+            }
+        }
+
+        // Family side: HUSB/WIFE needs FAMS, CHIL needs FAMC
+        for (const [familyId, family] of Object.entries(families)) {
+            for (const { tag, personId } of this.getFamilyMembers(family)) {
+                const individual = this.gedModel.getIndividual(personId);
+
+                if (!individual) {
+                    this.errors.push({
+                        type: 'dangling_pointer',
+                        severity: 'error',
+                        familyId: familyId,
+                        tag: tag,
+                        pointer: personId,
+                        message: `${tag} ${personId} of family ${familyId} points to a person who does not exist`
+                    });
+                    continue;
+                }
+
+                const backTag = tag === 'CHIL' ? 'FAMC' : 'FAMS';
+                const backLinks = (tag === 'CHIL' ? individual.childFamilies : individual.spouseFamilies) || [];
+
+                if (!backLinks.includes(familyId)) {
+                    this.warnings.push({
+                        type: 'one_sided_link',
+                        personId: personId,
+                        personName: this.formatPersonName(individual),
+                        familyId: familyId,
+                        entry: this.getEntryLabel(individual),
+                        tag: tag,
+                        message: `Family ${familyId} has ${tag} ${this.formatPersonIdForError(individual)} (${personId}), but the person has no ${backTag} ${familyId}`
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Check for families that should be merged or removed: families with the
+     * same husband and wife, empty families, and families with only one child
+     * and no parents. Each warning suggests which records to merge or remove.
+     */
+    checkFamilyStructure() {
+        const familiesByCouple = new Map(); // "husband/wife" -> family xrefs
+
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            if (family.father && family.mother) {
+                const couple = `${family.father}/${family.mother}`;
+                if (!familiesByCouple.has(couple)) familiesByCouple.set(couple, []);
+                familiesByCouple.get(couple).push(famId);
+            }
+
+            if (!family.isValid() || (!family.hasParents() && !family.hasChildren())) {
+                const marriage = family.isValid() ? ` only a marriage (${this.formatEvent(family.marriage)}) and` : '';
+                this.warnings.push({
+                    type: 'empty_family',
+                    familyId: famId,
+                    message: `Family ${famId} has${marriage} no spouses and no children; remove it`
+                });
+            } else if (!family.hasParents() && family.children.length === 1) {
+                this.reportSingleChildFamily(famId, family);
+            }
+        }
+
+        for (const familyIds of familiesByCouple.values()) {
+            if (familyIds.length > 1) this.reportDuplicateFamilies(familyIds);
+        }
+    }
+
+    /**
+     * Helper: Report a family whose only member is one child
+     * @param {string} famId - Family xref
+     * @param {GedFamily} family - The family
+     */
+    reportSingleChildFamily(famId, family) {
+        const childId = family.children[0];
+        const child = this.gedModel.getIndividual(childId);
+        const otherFamilies = Object.entries(this.gedModel.getFamilies())
+            .filter(([otherId, other]) => otherId !== famId && other.children.includes(childId))
+            .map(([otherId]) => otherId);
+        const childLabel = child ? `${this.formatPersonIdForError(child)} (${childId})` : childId;
+
+        this.warnings.push({
+            type: 'single_child_family',
+            familyId: famId,
+            childId: childId,
+            childName: this.formatPersonName(child),
+            entry: this.getEntryLabel(child),
+            otherFamilyIds: otherFamilies,
+            message: `Family ${famId} has only one child, ${childLabel}, and no parents; ` +
+                (otherFamilies.length > 0
+                    ? `remove it, the child is also in ${otherFamilies.join(', ')}`
+                    : 'add the parents or merge it into the parents\' family')
+        });
+    }
+
+    /**
+     * Helper: Report families with the same husband and wife, and suggest
+     * merging them into the one with the most children and events
+     * @param {Array<string>} familyIds - Xrefs of the families, in file order
+     */
+    reportDuplicateFamilies(familyIds) {
+        const families = familyIds.map(famId => ({ famId, family: this.gedModel.getFamily(famId) }));
+        const weight = ({ family }) => family.children.length + (family.marriage.isEmpty() ? 0 : 1);
+        const keep = families.reduce((best, candidate) => weight(candidate) > weight(best) ? candidate : best);
+        const merge = families.filter(candidate => candidate !== keep);
+
+        // What has to move into the family that is kept
+        const steps = [];
+        for (const { famId, family } of merge) {
+            const moves = family.children
+                .filter(childId => !keep.family.children.includes(childId))
+                .map(childId => `CHIL ${this.formatPersonName(this.gedModel.getIndividual(childId))} (${childId})`);
+            if (!family.marriage.isEmpty()) {
+                if (keep.family.marriage.isEmpty()) {
+                    moves.push(`the marriage (${this.formatEvent(family.marriage)})`);
+                } else if (this.formatEvent(family.marriage) !== this.formatEvent(keep.family.marriage)) {
+                    moves.push(`compare the marriages ${this.formatEvent(family.marriage)} and ${this.formatEvent(keep.family.marriage)}`);
+                }
+            }
+            steps.push(`merge ${famId} into ${keep.famId}${moves.length > 0 ? ` (${moves.join(', ')})` : ''}`);
+        }
+
+        const { father, mother } = keep.family;
+        const husband = this.gedModel.getIndividual(father);
+        const wife = this.gedModel.getIndividual(mother);
+        const entryLabel = this.getEntryLabel(husband) || this.getEntryLabel(wife);
+        this.warnings.push({
+            type: 'duplicate_family',
+            familyId: keep.famId,
+            familyIds: familyIds,
+            mergeFamilyIds: merge.map(({ famId }) => famId),
+            husbandId: father,
+            wifeId: mother,
+            entry: entryLabel,
+            suggestion: steps.join('; '),
+            message: `Families ${familyIds.join(', ')} have the same husband ${this.formatPersonName(husband)} (${father}) ` +
+                `and wife ${this.formatPersonName(wife)} (${mother}) [Entry: ${entryLabel || 'unknown'}]; ${steps.join('; ')}`
+        });
+    }
+
+    /**
+     * Helper: Format an event's date and place for messages
+     * @param {GedEvent} event - The event
+     * @returns {string} e.g. "3 MAR 1780, Kirchdorf", or "no date" if it has neither
+     */
+    formatEvent(event) {
+        return [this.formatDate(event.date), event.place].filter(Boolean).join(', ') || 'no date';
+    }
+
+    /**
+     * Check that the people in each family fit their roles: the HUSB is not
+     * female and the WIFE not male, the same person is not both spouses, and
+     * no spouse is also a child of the family
+     */
+    checkFamilyRoles() {
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            const husband = this.gedModel.getIndividual(family.father);
+            const wife = this.gedModel.getIndividual(family.mother);
+            const entryLabel = this.getEntryLabel(husband) || this.getEntryLabel(wife);
+            const location = `[Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`;
+
+            if (family.father && family.father === family.mother) {
+                this.errors.push({
+                    type: 'same_person_both_spouses',
+                    severity: 'error',
+                    familyId: famId,
+                    personId: family.father,
+                    personName: this.formatPersonName(husband),
+                    entry: entryLabel,
+                    message: `${husband ? this.formatPersonIdForError(husband) : 'Unknown'} (${family.father}) is both husband and wife ${location}`
+                });
+            } else {
+                this.checkSpouseSexes(famId, family, entryLabel, location);
+            }
+
+            for (const { tag, personId } of this.getFamilyMembers(family).filter(member => member.tag !== 'CHIL')) {
+                if (!family.children.includes(personId) || (tag === 'WIFE' && personId === family.father)) continue;
+
+                const spouse = this.gedModel.getIndividual(personId);
+                const role = tag === 'HUSB' ? 'husband' : 'wife';
+                this.errors.push({
+                    type: 'spouse_is_child',
+                    severity: 'error',
+                    familyId: famId,
+                    personId: personId,
+                    personName: this.formatPersonName(spouse),
+                    entry: this.getEntryLabel(spouse),
+                    role: role,
+                    message: `${spouse ? this.formatPersonIdForError(spouse) : 'Unknown'} (${personId}) is both ${role} and child ${location}`
+                });
+            }
+        }
+    }
+
+    /**
+     * Helper: Report a female HUSB or a male WIFE; when both spouses have the
+     * other's sex, one warning says that HUSB and WIFE are probably swapped
+     * @param {string} famId - Family xref
+     * @param {GedFamily} family - The family
+     * @param {string} entryLabel - Entry of the family
+     * @param {string} location - Family and entry for the message
+     */
+    checkSpouseSexes(famId, family, entryLabel, location) {
+        const mismatches = [
+            { tag: 'HUSB', role: 'husband', personId: family.father, sex: 'F', sexName: 'female' },
+            { tag: 'WIFE', role: 'wife', personId: family.mother, sex: 'M', sexName: 'male' }
+        ].map(spouse => ({ ...spouse, individual: this.gedModel.getIndividual(spouse.personId) }))
+            .filter(({ individual, sex }) => individual && individual.gender === sex);
+
+        if (mismatches.length === 2) {
+            const [husband, wife] = mismatches;
+            this.warnings.push({
+                type: 'spouse_sex_mismatch',
+                familyId: famId,
+                personIds: [husband.personId, wife.personId],
+                entry: entryLabel,
+                swapped: true,
+                message: `Husband ${this.formatPersonIdForError(husband.individual)} (${husband.personId}) is female and ` +
+                    `wife ${this.formatPersonIdForError(wife.individual)} (${wife.personId}) is male; HUSB and WIFE are probably swapped ${location}`
+            });
+        } else if (mismatches.length === 1) {
+            const [{ tag, role, personId, individual, sexName }] = mismatches;
+            this.warnings.push({
+                type: 'spouse_sex_mismatch',
+                familyId: famId,
+                personId: personId,
+                personName: this.formatPersonName(individual),
+                entry: this.getEntryLabel(individual),
+                role: role,
+                gender: individual.gender,
+                swapped: false,
+                message: `${role === 'husband' ? 'Husband' : 'Wife'} ${this.formatPersonIdForError(individual)} (${personId}) is recorded as ${sexName} (SEX ${individual.gender}) but linked as ${tag} ${location}`
+            });
+        }
+    }
+
+    /**
+     * Check for people who are a CHIL of more than one family, unless the
+     * FAMC links to all but one family say (by PEDI) that the person was
+     * adopted, fostered or sealed there. Each warning describes the candidate
+     * families with the parents' birth dates and the marriage date.
+     */
+    checkConflictingParentage() {
+        const familiesByChild = new Map(); // child xref -> families that list the child
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            for (const childId of new Set(family.children)) {
+                if (!familiesByChild.has(childId)) familiesByChild.set(childId, []);
+                familiesByChild.get(childId).push(famId);
+            }
+        }
+
+        for (const [childId, familyIds] of familiesByChild) {
+            const child = this.gedModel.getIndividual(childId);
+            const birthFamilyIds = familyIds
+                .filter(famId => !child || !NON_BIRTH_PEDIGREES.includes(child.getPedigree(famId)));
+            if (birthFamilyIds.length < 2) continue;
+
+            // Families of the same couple are reported by checkFamilyStructure()
+            const families = birthFamilyIds.map(famId => this.gedModel.getFamily(famId));
+            const couples = new Set(families.map(family => `${family.father}/${family.mother}`));
+            if (couples.size === 1 && families[0].father && families[0].mother) continue;
+
+            const candidates = birthFamilyIds.map(famId => this.describeParents(famId));
+            this.warnings.push({
+                type: 'conflicting_parentage',
+                personId: childId,
+                personName: this.formatPersonName(child),
+                entry: this.getEntryLabel(child),
+                familyIds: birthFamilyIds,
+                families: candidates.map(({ details }) => details),
+                message: `${child ? this.formatPersonIdForError(child) : 'Unknown'} (${childId}) is a child of ` +
+                    `${birthFamilyIds.length} families without PEDI adopted or foster: ${candidates.map(({ text }) => text).join('; ')}`
+            });
+        }
+    }
+
+    /**
+     * Helper: Describe the parents of a family for choosing between candidate families
+     * @param {string} famId - Family xref
+     * @returns {Object} { details: { familyId, entry, marriageDate, father, mother }, text }
+     *     where father and mother are { personId, personName, birthDate } or null
+     */
+    describeParents(famId) {
+        const family = this.gedModel.getFamily(famId);
+        const parents = {};
+        const texts = [];
+
+        for (const [role, personId] of [['father', family.father], ['mother', family.mother]]) {
+            const parent = this.gedModel.getIndividual(personId);
+            if (!parent) {
+                parents[role] = null;
+                texts.push(`unknown ${role}`);
+                continue;
+            }
+
+            const birthDate = parent.birth.date || '';
+            parents[role] = { personId, personName: this.formatPersonName(parent), birthDate };
+            texts.push(`${role} ${this.formatPersonName(parent)} (${personId}${birthDate ? `, b. ${this.formatDate(birthDate)}` : ''})`);
+        }
+
+        const marriageDate = family.marriage.date || '';
+        const husband = this.gedModel.getIndividual(family.father);
+        const wife = this.gedModel.getIndividual(family.mother);
+        const entryLabel = this.getEntryLabel(husband) || this.getEntryLabel(wife);
+        texts.push(marriageDate ? `married ${this.formatDate(marriageDate)}` : 'marriage date unknown');
+
+        return {
+            details: { familyId: famId, entry: entryLabel, marriageDate, ...parents },
+            text: `${famId} [Entry: ${entryLabel || 'unknown'}] ${texts.join(', ')}`
+        };
+    }
+
+    /**
+     * Check for people who are their own ancestors, e.g. a child linked as
+     * HUSB of their parent's family. Each cycle is reported once with its
+     * full path: every person is a child in the family of the next one.
+     */
+    checkAncestryCycles() {
+        // Person xref -> links to their parents: { parentId, familyId }
+        const parentLinks = new Map();
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            for (const childId of family.children) {
+                for (const parentId of [family.father, family.mother]) {
+                    if (!parentId || !this.gedModel.getIndividual(parentId)) continue;
+                    if (!parentLinks.has(childId)) parentLinks.set(childId, []);
+                    parentLinks.get(childId).push({ parentId, familyId: famId });
+                }
+            }
+        }
+
+        // Depth-first search without recursion, so that long lines of
+        // ancestors cannot overflow the stack
+        const state = new Map(); // xref -> 'active' while on the path, 'done' afterwards
+        const reported = new Set();
+
+        for (const startId of parentLinks.keys()) {
+            if (state.has(startId)) continue;
+
+            state.set(startId, 'active');
+            const path = [{ personId: startId, links: parentLinks.get(startId), next: 0, familyId: null }];
+
+            while (path.length > 0) {
+                const step = path[path.length - 1];
+                if (step.next >= step.links.length) {
+                    state.set(step.personId, 'done');
+                    path.pop();
+                    continue;
+                }
+
+                const { parentId, familyId } = step.links[step.next++];
+                step.familyId = familyId;
+
+                if (state.get(parentId) === 'active') {
+                    const cycle = path.slice(path.findIndex(other => other.personId === parentId));
+                    this.reportAncestryCycle(cycle.map(({ personId, familyId }) => ({ personId, familyId })), reported);
+                } else if (!state.has(parentId)) {
+                    state.set(parentId, 'active');
+                    path.push({ personId: parentId, links: parentLinks.get(parentId) || [], next: 0, familyId: null });
+                }
+            }
+        }
+    }
+
+    /**
+     * Helper: Report an ancestry cycle unless it was already reported
+     * @param {Array<Object>} cycle - { personId, familyId } for each person, where
+     *     the person is a child in familyId and the next person is a parent there
+     * @param {Set<string>} reported - Keys of cycles already reported
+     */
+    reportAncestryCycle(cycle, reported) {
+        const key = cycle.map(step => `${step.personId}/${step.familyId}`).sort().join(',');
+        if (reported.has(key)) return;
+        reported.add(key);
+
+        const path = cycle.map(({ personId, familyId }) => {
+            const individual = this.gedModel.getIndividual(personId);
+            return { personId, personName: this.formatPersonName(individual), entry: this.getEntryLabel(individual), familyId };
+        });
+        const describe = step => `${step.personName} (${step.personId}${step.entry ? `, Entry: ${step.entry}` : ''})`;
+        const links = path.map((step, index) =>
+            `${describe(step)} is a child of ${describe(path[(index + 1) % path.length])} in ${step.familyId}`);
+
+        this.errors.push({
+            type: 'circular_ancestry',
+            severity: 'error',
+            personId: cycle[0].personId,
+            personName: path[0].personName,
+            entry: path[0].entry,
+            personIds: cycle.map(step => step.personId),
+            familyIds: cycle.map(step => step.familyId),
+            path: path,
+            message: `Circular ancestry: ${links.join(', ')}`
+        });
+    }
+
+    /**
+     * Get the people a family points to
+     * @param {GedFamily} family - The family
+     * @returns {Array<Object>} Objects with `tag` (HUSB, WIFE or CHIL) and `personId` (xref)
+     */
+    getFamilyMembers(family) {
+        const members = [];
+
+        if (family.father) members.push({ tag: 'HUSB', personId: family.father });
+        if (family.mother) members.push({ tag: 'WIFE', personId: family.mother });
+        for (const childId of family.children) {
+            members.push({ tag: 'CHIL', personId: childId });
+        }
+
+        return members;
+    }
+
     /**
      * Check that all people are on the same page (from SOUR records)
      */
@@ -128,31 +682,113 @@ class GedcomIntegrityChecker {
      * Check that dates are valid GEDCOM dates and properly formatted
      */
     checkDateFormats() {
-        const individuals = this.gedModel.getIndividuals();
-        const families = this.gedModel.getFamilies();
+        for (const { id, individual, eventType, date } of this.getEventDates()) {
+            this.validateDateFormat(id, individual, eventType, date);
+        }
+    }
 
-        // Check individual events
-        for (const [gedcomId, individual] of Object.entries(individuals)) {
-            if (individual.birth && individual.birth.date) {
-                this.validateDateFormat(gedcomId, individual, 'birth', individual.birth.date);
+    /**
+     * Check for days that do not exist in their month, like "31 FEB 1802",
+     * "00 JAN 1800" or "45 MAR 1790". Leap years follow the date's calendar,
+     * so "@#DJULIAN@ 29 FEB 1700" is accepted while "29 FEB 1700" is not.
+     */
+    checkCalendarDates() {
+        for (const { id, individual, eventType, date } of this.getEventDates()) {
+            let dayProblem = null;
+            try {
+                this.toDateModel(date);
+            } catch (error) {
+                dayProblem = error.dayProblem;
             }
-            if (individual.death && individual.death.date) {
-                this.validateDateFormat(gedcomId, individual, 'death', individual.death.date);
+            if (!dayProblem) continue;
+
+            const personName = individual ? this.formatPersonIdForError(individual) : id;
+            const { problem, calendar, day, month, year, daysInMonth } = dayProblem;
+            const monthName = Calendar.getMonthNames(calendar)[month - 1];
+            const calendarName = calendar === 'GREGORIAN' ? '' : ` (${Calendar.getDisplayName(calendar)})`;
+
+            let reason;
+            switch (problem) {
+                case 'day_zero':
+                    reason = 'day 0 does not exist';
+                    break;
+                case 'day_out_of_range':
+                    reason = `no ${Calendar.getDisplayName(calendar)} month has ${day} days`;
+                    break;
+                case 'invalid_leap_day':
+                    reason = `${year} is not a leap year in the ${Calendar.getDisplayName(calendar)} calendar`;
+                    break;
+                default:
+                    reason = `${monthName} ${year}${calendarName} has only ${daysInMonth} days`;
             }
-            if (individual.christening && individual.christening.date) {
-                this.validateDateFormat(gedcomId, individual, 'christening', individual.christening.date);
+
+            this.warnings.push({
+                type: `date_${problem}`,
+                id: id,
+                personName: personName,
+                entry: individual ? this.getEntryLabel(individual) : '',
+                eventType: eventType,
+                date: date,
+                calendar: calendar,
+                message: `Impossible date "${date}" for ${eventType} of ${personName}: ${reason}`
+            });
+        }
+    }
+
+    /**
+     * Check for years outside the profile's plausible range, which are
+     * usually typing errors like "1078" for "1778" or "1983" for "1883"
+     */
+    checkYearRange() {
+        const { minYear, maxYear } = this.profile.getYearRange();
+
+        for (const { id, individual, eventType, date } of this.getEventDates()) {
+            let year = null;
+            try {
+                this.toDateModel(date);
+            } catch (error) {
+                if (error.yearOutOfRange) year = error.year;
             }
-            if (individual.burial && individual.burial.date) {
-                this.validateDateFormat(gedcomId, individual, 'burial', individual.burial.date);
+            if (year === null) continue;
+
+            const personName = individual ? this.formatPersonIdForError(individual) : id;
+            this.warnings.push({
+                type: 'year_out_of_range',
+                id: id,
+                personName: personName,
+                entry: individual ? this.getEntryLabel(individual) : '',
+                eventType: eventType,
+                date: date,
+                year: year,
+                message: `Year ${year} in "${date}" for ${eventType} of ${personName} is outside the plausible range ${minYear}-${maxYear}`
+            });
+        }
+    }
+
+    /**
+     * Helper: Get the dates of all person and family events
+     * @returns {Array<Object>} { id, individual (null for families), eventType, date }
+     */
+    getEventDates() {
+        const eventDates = [];
+
+        // Individual events
+        for (const [gedcomId, individual] of Object.entries(this.gedModel.getIndividuals())) {
+            for (const eventType of ['birth', 'death', 'christening', 'burial']) {
+                if (individual[eventType] && individual[eventType].date) {
+                    eventDates.push({ id: gedcomId, individual, eventType, date: individual[eventType].date });
+                }
             }
         }
 
-        // Check family events
-        for (const [famId, family] of Object.entries(families)) {
+        // Family events
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
             if (family.marriage && family.marriage.date) {
-                this.validateDateFormat(famId, null, 'marriage', family.marriage.date);
+                eventDates.push({ id: famId, individual: null, eventType: 'marriage', date: family.marriage.date });
             }
         }
+
+        return eventDates;
     }
 
     /**
@@ -173,6 +809,437 @@ class GedcomIntegrityChecker {
         }
     }
 
+    /**
+     * Check the order of christening, burial and marriage against birth and
+     * death: christening before birth, burial before death, christening or
+     * burial unusually long after the event it follows, marriage at a very
+     * young age, and marriage after a spouse's death
+     */
+    checkEventOrder() {
+        const { maxChristeningDelayMonths, maxBurialDelayDays, minMarriageAge } = this.profile.thresholds;
+
+        for (const [gedcomId, individual] of Object.entries(this.gedModel.getIndividuals())) {
+            this.checkEventPair(gedcomId, individual, 'christening', 'birth', maxChristeningDelayMonths * DAYS_PER_MONTH,
+                `${maxChristeningDelayMonths} months`);
+            this.checkEventPair(gedcomId, individual, 'burial', 'death', maxBurialDelayDays, `${maxBurialDelayDays} days`);
+        }
+
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            const marriage = this.parseDateInterval(family.marriage?.date);
+            if (!marriage) continue;
+
+            for (const { tag, personId } of this.getFamilyMembers(family).filter(member => member.tag !== 'CHIL')) {
+                const spouse = this.gedModel.getIndividual(personId);
+                if (!spouse) continue;
+
+                const role = tag === 'HUSB' ? 'husband' : 'wife';
+                const spouseLabel = this.formatPersonIdForError(spouse);
+                const location = `[Family: ${famId}, Entry: ${this.getEntryLabel(spouse) || 'unknown'}]`;
+
+                // Check spouse's age at marriage
+                const birth = this.parseDateInterval(spouse.birth?.date);
+                const tooYoung = birth ? this.compareDateIntervals(birth, marriage, -minMarriageAge * DAYS_PER_YEAR) : null;
+                if (tooYoung) {
+                    const age = Math.floor(this.getYearsBetween(birth, marriage));
+                    this.warnings.push({
+                        type: 'marriage_too_young',
+                        severity: this.getCertaintySeverity(tooYoung),
+                        certainty: tooYoung,
+                        familyId: famId,
+                        personId: personId,
+                        personName: this.formatPersonName(spouse),
+                        entry: this.getEntryLabel(spouse),
+                        role: role,
+                        birthDate: spouse.birth.date,
+                        marriageDate: family.marriage.date,
+                        age: age,
+                        message: tooYoung === 'definite'
+                            ? `${role === 'husband' ? 'Husband' : 'Wife'} ${spouseLabel} was ${age > 0 ? `only ${age} years old` : 'not yet born'} at the marriage (${this.formatDate(family.marriage.date)}) ${location}`
+                            : `${role === 'husband' ? 'Husband' : 'Wife'} ${spouseLabel} was possibly younger than ${minMarriageAge} at the marriage (${this.formatDate(family.marriage.date)}) ${location}`
+                    });
+                }
+
+                // Check marriage after spouse's death
+                const death = this.parseDateInterval(spouse.death?.date);
+                const afterDeath = death ? this.compareDateIntervals(marriage, death) : null;
+                if (afterDeath) {
+                    this.warnings.push({
+                        type: 'marriage_after_death',
+                        severity: this.getCertaintySeverity(afterDeath),
+                        certainty: afterDeath,
+                        familyId: famId,
+                        personId: personId,
+                        personName: this.formatPersonName(spouse),
+                        entry: this.getEntryLabel(spouse),
+                        role: role,
+                        deathDate: spouse.death.date,
+                        marriageDate: family.marriage.date,
+                        message: afterDeath === 'definite'
+                            ? `Marriage (${this.formatDate(family.marriage.date)}) after the death of ${role} ${spouseLabel}, d. ${this.formatDate(spouse.death.date)} ${location}`
+                            : `Marriage (${this.formatDate(family.marriage.date)}) possibly after the death of ${role} ${spouseLabel}, d. ${this.formatDate(spouse.death.date)} ${location}`
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Helper: Check an event that follows another one, like christening after
+     * birth or burial after death: it must not come first, and should not come
+     * more than a number of days later
+     * @param {string} gedcomId - Person xref
+     * @param {GedIndividual} individual - The person
+     * @param {string} eventType - The following event, 'christening' or 'burial'
+     * @param {string} precedingType - The event it follows, 'birth' or 'death'
+     * @param {number} maxDelayDays - Days the event may plausibly follow the preceding one
+     * @param {string} maxDelayText - The maximum delay for messages, e.g. "12 months"
+     */
+    checkEventPair(gedcomId, individual, eventType, precedingType, maxDelayDays, maxDelayText) {
+        const event = this.parseDateInterval(individual[eventType]?.date);
+        const preceding = this.parseDateInterval(individual[precedingType]?.date);
+        if (!event || !preceding) return;
+
+        const eventDate = individual[eventType].date;
+        const precedingDate = individual[precedingType].date;
+        const personLabel = this.formatPersonIdForError(individual);
+        const eventLabel = eventType === 'christening' ? 'Christening' : 'Burial';
+        const details = {
+            personId: gedcomId,
+            personName: this.formatPersonName(individual),
+            entry: this.getEntryLabel(individual),
+            [`${eventType}Date`]: eventDate,
+            [`${precedingType}Date`]: precedingDate
+        };
+
+        const before = this.compareDateIntervals(preceding, event);
+        if (before) {
+            this.warnings.push({
+                type: `${eventType}_before_${precedingType}`,
+                severity: this.getCertaintySeverity(before),
+                certainty: before,
+                ...details,
+                message: `${eventLabel} (${this.formatDate(eventDate)}) ${before === 'definite' ? '' : 'possibly '}before ${precedingType} (${this.formatDate(precedingDate)}) of ${personLabel}`
+            });
+            return;
+        }
+
+        const late = this.compareDateIntervals(event, preceding, maxDelayDays);
+        if (late) {
+            this.warnings.push({
+                type: `late_${eventType}`,
+                severity: this.getCertaintySeverity(late),
+                certainty: late,
+                ...details,
+                message: `${eventLabel} (${this.formatDate(eventDate)}) ${late === 'definite' ? '' : 'possibly '}more than ${maxDelayText} after ${precedingType} (${this.formatDate(precedingDate)}) of ${personLabel}`
+            });
+        }
+    }
+
+    /**
+     * Check the births of the children of each family: siblings born less
+     * than about nine months apart usually mean a child is attached to the
+     * wrong family. Children born on the same day are reported as twins
+     * (info), and children listed out of birth order in the CHIL sequence
+     * are reported as info.
+     */
+    checkSiblingSpacing() {
+        const { minSiblingSpacingMonths, maxTwinBirthDays } = this.profile.thresholds;
+
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            const children = [];
+            for (const childId of family.children) {
+                const child = this.gedModel.getIndividual(childId);
+                const birth = child ? this.parseDateInterval(child.birth?.date) : null;
+                if (birth) children.push({ childId, child, birth });
+            }
+            if (children.length < 2) continue;
+
+            const father = this.gedModel.getIndividual(family.father);
+            const mother = this.gedModel.getIndividual(family.mother);
+            const entryLabel = this.getEntryLabel(father) || this.getEntryLabel(mother) || this.getEntryLabel(children[0].child);
+            const location = `[Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`;
+
+            this.checkChildOrder(famId, children, location);
+
+            // Group children born on the same day into multiple births
+            const births = [];
+            const sorted = [...children].sort((a, b) => this.getIntervalMiddle(a.birth) - this.getIntervalMiddle(b.birth));
+            for (const sibling of sorted) {
+                const previous = births.length > 0 ? births[births.length - 1] : null;
+                const last = previous ? previous[previous.length - 1] : null;
+                if (last && this.isExactDay(last.birth) && this.isExactDay(sibling.birth) &&
+                    sibling.birth.earliest - last.birth.earliest <= maxTwinBirthDays) {
+                    previous.push(sibling);
+                } else {
+                    births.push([sibling]);
+                }
+            }
+
+            for (const siblings of births.filter(group => group.length > 1)) {
+                const name = MULTIPLE_BIRTH_NAMES[siblings.length] || `${siblings.length} children`;
+                this.warnings.push({
+                    type: 'twins',
+                    severity: 'info',
+                    familyId: famId,
+                    childIds: siblings.map(sibling => sibling.childId),
+                    entry: entryLabel,
+                    birthDate: siblings[0].child.birth.date,
+                    message: `${name} born ${this.formatDate(siblings[0].child.birth.date)}: ${siblings.map(sibling => this.formatPersonName(sibling.child)).join(', ')} ${location}`
+                });
+            }
+
+            // Compare each birth with the next one
+            for (let i = 1; i < births.length; i++) {
+                const earlier = births[i - 1][births[i - 1].length - 1];
+                const later = births[i][0];
+                const tooClose = this.compareDateIntervals(earlier.birth, later.birth, -minSiblingSpacingMonths * DAYS_PER_MONTH);
+                if (!tooClose) continue;
+
+                const months = Math.round((this.getIntervalMiddle(later.birth) - this.getIntervalMiddle(earlier.birth)) / DAYS_PER_MONTH);
+                const names = `${this.formatPersonIdForError(earlier.child)} and ${this.formatPersonIdForError(later.child)}`;
+                this.warnings.push({
+                    type: 'sibling_spacing',
+                    severity: this.getCertaintySeverity(tooClose),
+                    certainty: tooClose,
+                    familyId: famId,
+                    childId: later.childId,
+                    childName: this.formatPersonName(later.child),
+                    siblingId: earlier.childId,
+                    siblingName: this.formatPersonName(earlier.child),
+                    entry: this.getEntryLabel(later.child),
+                    childBirthDate: later.child.birth.date,
+                    siblingBirthDate: earlier.child.birth.date,
+                    months: months,
+                    message: tooClose === 'definite'
+                        ? `Siblings ${names} born only ${months} months apart ${location}`
+                        : `Siblings ${names} possibly born less than ${minSiblingSpacingMonths} months apart ${location}`
+                });
+            }
+        }
+    }
+
+    /**
+     * Helper: Report the first child of a family listed after a sibling
+     * who was definitely born later
+     * @param {string} famId - Family xref
+     * @param {Array<Object>} children - { childId, child, birth } in CHIL order
+     * @param {string} location - Family and entry for the message
+     */
+    checkChildOrder(famId, children, location) {
+        for (let i = 1; i < children.length; i++) {
+            const listedBefore = children.slice(0, i)
+                .find(sibling => this.compareDateIntervals(sibling.birth, children[i].birth) === 'definite');
+            if (!listedBefore) continue;
+
+            const { childId, child } = children[i];
+            this.warnings.push({
+                type: 'children_out_of_order',
+                severity: 'info',
+                familyId: famId,
+                childId: childId,
+                childName: this.formatPersonName(child),
+                siblingId: listedBefore.childId,
+                entry: this.getEntryLabel(child),
+                message: `Children of family ${famId} are not listed in birth order: ${this.formatPersonIdForError(child)} is listed after ${this.formatPersonIdForError(listedBefore.child)} ${location}`
+            });
+            return;
+        }
+    }
+
+    /**
+     * Helper: Check whether a date interval is a single known day
+     * @param {Object} interval - { earliest, latest }
+     * @returns {boolean} True if the interval is one day
+     */
+    isExactDay(interval) {
+        return interval.earliest === interval.latest;
+    }
+
+    /**
+     * Check people who were married more than once. Their marriages are
+     * ordered by date, and a marriage before the previous one ended by
+     * divorce or the spouse's death, children of two marriages born in
+     * overlapping years, and children born after their parents' marriage
+     * ended by divorce or the parent's next marriage are reported.
+     */
+    checkMultipleMarriages() {
+        const marriagesByPerson = new Map(); // person xref -> families where the person is a spouse
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            for (const personId of new Set([family.father, family.mother])) {
+                if (!personId) continue;
+                if (!marriagesByPerson.has(personId)) marriagesByPerson.set(personId, []);
+                marriagesByPerson.get(personId).push(this.getMarriageSpan(personId, famId, family));
+            }
+        }
+
+        const reportedChildren = new Set();
+        for (const [personId, marriages] of marriagesByPerson) {
+            const person = this.gedModel.getIndividual(personId);
+            if (!person || marriages.length < 2) continue;
+
+            const dated = marriages.filter(marriage => marriage.start)
+                .sort((a, b) => this.getIntervalMiddle(a.start) - this.getIntervalMiddle(b.start));
+            for (let i = 0; i < dated.length; i++) {
+                const next = i + 1 < dated.length ? dated[i + 1] : null;
+                if (next) this.checkRemarriage(personId, person, dated[i], next);
+                this.checkChildrenAfterMarriage(person, dated[i], next, reportedChildren);
+            }
+
+            this.checkOverlappingChildren(personId, person, marriages);
+        }
+    }
+
+    /**
+     * Helper: Collect the dates of one marriage of a person
+     * @param {string} personId - Xref of the person
+     * @param {string} famId - Family xref
+     * @param {GedFamily} family - The family
+     * @returns {Object} { famId, family, spouseId, spouse, start, divorce, spouseDeath, children }
+     *     with date intervals (or null) and the children with a birth interval in birth order
+     */
+    getMarriageSpan(personId, famId, family) {
+        const spouseId = family.father === personId ? family.mother : family.father;
+        const spouse = this.gedModel.getIndividual(spouseId);
+        const children = family.children
+            .map(childId => ({ childId, child: this.gedModel.getIndividual(childId) }))
+            .filter(({ child }) => child)
+            .map(({ childId, child }) => ({ childId, child, birth: this.parseDateInterval(child.birth.date) }))
+            .filter(({ birth }) => birth)
+            .sort((a, b) => this.getIntervalMiddle(a.birth) - this.getIntervalMiddle(b.birth));
+
+        return {
+            famId,
+            family,
+            spouseId,
+            spouse,
+            start: this.parseDateInterval(family.marriage.date),
+            divorce: this.parseDateInterval(family.marriage.getAttribute('divorce_date')),
+            spouseDeath: spouse ? this.parseDateInterval(spouse.death.date) : null,
+            children
+        };
+    }
+
+    /**
+     * Helper: Describe a marriage for messages
+     * @param {Object} marriage - Marriage span from getMarriageSpan()
+     * @returns {string} e.g. "to Anna /Meier/ (12 MAY 1775) [Family: @F1@]"
+     */
+    describeMarriage(marriage) {
+        const date = marriage.family.marriage.date;
+        return `to ${marriage.spouse ? this.formatPersonName(marriage.spouse) : 'an unknown spouse'}` +
+            `${date ? ` (${this.formatDate(date)})` : ''} [Family: ${marriage.famId}]`;
+    }
+
+    /**
+     * Helper: Report a marriage that took place before the person's previous
+     * marriage ended by divorce or the death of the previous spouse
+     * @param {string} personId - Xref of the person
+     * @param {GedIndividual} person - The person
+     * @param {Object} earlier - Span of the earlier marriage
+     * @param {Object} later - Span of the later marriage
+     */
+    checkRemarriage(personId, person, earlier, later) {
+        const endedBy = earlier.divorce ? 'divorce' : 'death';
+        const end = earlier.divorce || earlier.spouseDeath;
+        const overlap = end ? this.compareDateIntervals(end, later.start) : null;
+        if (!overlap) return;
+
+        const endText = endedBy === 'divorce'
+            ? `the divorce (${this.formatDate(earlier.family.marriage.getAttribute('divorce_date'))})`
+            : `the death of ${this.formatPersonName(earlier.spouse)} (${this.formatDate(earlier.spouse.death.date)})`;
+        this.warnings.push({
+            type: 'overlapping_marriages',
+            severity: this.getCertaintySeverity(overlap),
+            certainty: overlap,
+            personId: personId,
+            personName: this.formatPersonName(person),
+            entry: this.getEntryLabel(person),
+            familyId: later.famId,
+            previousFamilyId: earlier.famId,
+            endedBy: endedBy,
+            message: `${this.formatPersonIdForError(person)} (${personId}): marriage ${this.describeMarriage(later)} ` +
+                `${overlap === 'definite' ? '' : 'possibly '}before ${endText} ended the marriage ${this.describeMarriage(earlier)}`
+        });
+    }
+
+    /**
+     * Helper: Report children born more than the posthumous-birth window
+     * after their parents' marriage ended by divorce or by the person's next marriage
+     * @param {GedIndividual} person - The person married more than once
+     * @param {Object} marriage - Span of the marriage the children belong to
+     * @param {Object|null} next - Span of the person's next marriage
+     * @param {Set<string>} reportedChildren - "family/child" keys already reported
+     */
+    checkChildrenAfterMarriage(person, marriage, next, reportedChildren) {
+        const end = marriage.divorce || (next ? next.start : null);
+        if (!end) return;
+
+        const { maxPosthumousMonths } = this.profile.thresholds;
+        const endText = marriage.divorce
+            ? `the divorce (${this.formatDate(marriage.family.marriage.getAttribute('divorce_date'))})`
+            : `${this.formatPersonName(person)}'s next marriage ${this.describeMarriage(next)}`;
+
+        for (const { childId, child, birth } of marriage.children) {
+            const key = `${marriage.famId}/${childId}`;
+            const outside = this.compareDateIntervals(birth, end, maxPosthumousMonths * DAYS_PER_MONTH);
+            if (!outside || reportedChildren.has(key)) continue;
+            reportedChildren.add(key);
+
+            this.warnings.push({
+                type: 'child_outside_marriage',
+                severity: this.getCertaintySeverity(outside),
+                certainty: outside,
+                familyId: marriage.famId,
+                childId: childId,
+                childName: this.formatPersonName(child),
+                entry: this.getEntryLabel(child),
+                childBirthDate: child.birth.date,
+                nextFamilyId: marriage.divorce ? null : next.famId,
+                message: `Child ${this.formatPersonIdForError(child)} (${childId}) of family ${marriage.famId} ` +
+                    `${outside === 'definite' ? '' : 'possibly '}born more than ${maxPosthumousMonths} months after ${endText}`
+            });
+        }
+    }
+
+    /**
+     * Helper: Report children of two marriages of a person born in
+     * overlapping years: the last child of one marriage born after the
+     * first child of the other
+     * @param {string} personId - Xref of the person
+     * @param {GedIndividual} person - The person
+     * @param {Array<Object>} marriages - Spans of the person's marriages
+     */
+    checkOverlappingChildren(personId, person, marriages) {
+        const withChildren = marriages.filter(marriage => marriage.children.length > 0)
+            .sort((a, b) => this.getIntervalMiddle(a.children[0].birth) - this.getIntervalMiddle(b.children[0].birth));
+
+        for (let i = 0; i < withChildren.length; i++) {
+            for (let j = i + 1; j < withChildren.length; j++) {
+                const [earlier, later] = [withChildren[i], withChildren[j]];
+                const last = earlier.children[earlier.children.length - 1];
+                const first = later.children[0];
+                const overlap = this.compareDateIntervals(last.birth, first.birth);
+                if (!overlap) continue;
+
+                const range = ({ children }) => [children[0], children[children.length - 1]]
+                    .map(({ child }) => this.formatDate(child.birth.date)).join('-');
+                this.warnings.push({
+                    type: 'overlapping_children',
+                    severity: this.getCertaintySeverity(overlap),
+                    certainty: overlap,
+                    personId: personId,
+                    personName: this.formatPersonName(person),
+                    entry: this.getEntryLabel(person),
+                    familyIds: [earlier.famId, later.famId],
+                    childIds: [last.childId, first.childId],
+                    message: `Children of ${this.formatPersonIdForError(person)} (${personId}) from two marriages were ` +
+                        `${overlap === 'definite' ? '' : 'possibly '}born in overlapping years: ` +
+                        `${range(earlier)} in the marriage ${this.describeMarriage(earlier)}, ${range(later)} in the marriage ${this.describeMarriage(later)}`
+                });
+            }
+        }
+    }
+
     /**
      * Check that given names are common for the region
      */
@@ -263,7 +1330,7 @@ class GedcomIntegrityChecker {
         const individuals = this.gedModel.getIndividuals();
 
         for (const [famId, family] of Object.entries(families)) {
-            const father = this.gedModel.getIndividualByNumericId(family.father);
+            const father = this.gedModel.getIndividual(family.father);
             const childSurnames = new Set();
             let fatherSurname = null;
 
@@ -273,7 +1340,7 @@ class GedcomIntegrityChecker {
 
             // Check each child's surname
             for (const childId of family.children) {
-                const child = this.gedModel.getIndividualByNumericId(childId);
+                const child = this.gedModel.getIndividual(childId);
                 if (child && child.name && child.name.surname) {
                     childSurnames.add(child.name.surname);
 
@@ -284,7 +1351,7 @@ class GedcomIntegrityChecker {
                         this.warnings.push({
                             type: 'surname_mismatch',
                             familyId: famId,
-                            childId: `@I${childId}@`,
+                            childId: childId,
                             childName: this.formatPersonName(child),
                             childSurname: child.name.surname,
                             fatherName: father ? this.formatPersonName(father) : 'Unknown',
@@ -299,7 +1366,7 @@ class GedcomIntegrityChecker {
             // Check for inconsistent surnames among children
             if (childSurnames.size > 1) {
                 const childNames = family.children.map(id => {
-                    const child = this.gedModel.getIndividualByNumericId(id);
+                    const child = this.gedModel.getIndividual(id);
                     return child ? `${this.formatPersonName(child)} (${child.name.surname})` : 'Unknown';
                 });
 
@@ -308,7 +1375,7 @@ class GedcomIntegrityChecker {
                 if (father) {
                     entryLabel = this.getEntryLabel(father);
                 } else if (family.children.length > 0) {
-                    const firstChild = this.gedModel.getIndividualByNumericId(family.children[0]);
+                    const firstChild = this.gedModel.getIndividual(family.children[0]);
                     if (firstChild) {
                         entryLabel = this.getEntryLabel(firstChild);
                     }
@@ -325,41 +1392,267 @@ class GedcomIntegrityChecker {
         }
     }
 
+    /**
+     * Find people who may have been entered twice, e.g. once as a child in
+     * their parents' entry and again as a spouse in their own entry. Pairs
+     * with similar names are scored on their birth and death dates and places
+     * and on their parents, and pairs reaching the profile's
+     * minDuplicateConfidence are reported with the evidence, most likely first.
+     */
+    checkDuplicatePeople() {
+        const { minDuplicateConfidence, likelyDuplicateConfidence } = this.profile.thresholds;
+        const childFamilies = new Map(); // person xref -> families the person is a child in
+        const relatives = new Map(); // person xref -> xrefs of parents, children and spouses
+
+        const relate = (personId, otherId) => {
+            for (const [from, to] of [[personId, otherId], [otherId, personId]]) {
+                if (!relatives.has(from)) relatives.set(from, new Set());
+                relatives.get(from).add(to);
+            }
+        };
+        for (const [famId, family] of Object.entries(this.gedModel.getFamilies())) {
+            const parents = [family.father, family.mother].filter(Boolean);
+            if (parents.length === 2) relate(parents[0], parents[1]);
+            for (const childId of family.children) {
+                if (!childFamilies.has(childId)) childFamilies.set(childId, []);
+                childFamilies.get(childId).push(famId);
+                parents.forEach(parentId => relate(parentId, childId));
+            }
+        }
+
+        // Similar surnames share their sound key, so people are grouped by it
+        // and then by name, and only similar names are compared person by person
+        const groups = new Map(); // surname sound key -> lowercase name -> people
+        for (const [gedcomId, individual] of Object.entries(this.gedModel.getIndividuals())) {
+            const name = this.toNameModel(individual);
+            if (!name) continue;
+
+            const soundKey = name.getSurnameSoundKey();
+            const key = `${name.getGivenName()}/${name.getSurname()}`.toLowerCase();
+            if (!groups.has(soundKey)) groups.set(soundKey, new Map());
+            if (!groups.get(soundKey).has(key)) groups.get(soundKey).set(key, []);
+            groups.get(soundKey).get(key).push({
+                personId: gedcomId,
+                individual,
+                person: individual.toPersonModel(new Map(), this.profile.getYearRange()),
+                childFamilies: childFamilies.get(gedcomId) || [],
+                birth: this.parseDateInterval(individual.birth?.date),
+                death: this.parseDateInterval(individual.death?.date)
+            });
+        }
+
+        const candidates = [];
+        for (const names of groups.values()) {
+            const namesakes = [...names.values()];
+            for (let i = 0; i < namesakes.length; i++) {
+                for (let j = i; j < namesakes.length; j++) {
+                    if (i !== j && !namesakes[i][0].person.name.similarMatch(namesakes[j][0].person.name)) continue;
+
+                    for (let k = 0; k < namesakes[i].length; k++) {
+                        for (let l = i === j ? k + 1 : 0; l < namesakes[j].length; l++) {
+                            const [a, b] = [namesakes[i][k], namesakes[j][l]];
+                            if (relatives.get(a.personId)?.has(b.personId)) continue;
+
+                            const match = this.scoreDuplicate(a, b, i === j);
+                            if (match && match.confidence >= minDuplicateConfidence) {
+                                candidates.push({ person: a, duplicate: b, ...match });
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        candidates.sort((a, b) => b.confidence - a.confidence);
+        for (const { person, duplicate, confidence, reasons } of candidates) {
+            const likely = confidence >= likelyDuplicateConfidence;
+            this.warnings.push({
+                type: 'duplicate_person',
+                severity: likely ? 'warning' : 'info',
+                personId: person.personId,
+                personName: this.formatPersonName(person.individual),
+                entry: this.getEntryLabel(person.individual),
+                duplicateId: duplicate.personId,
+                duplicateName: this.formatPersonName(duplicate.individual),
+                duplicateEntry: this.getEntryLabel(duplicate.individual),
+                confidence: confidence,
+                reasons: reasons,
+                message: `${likely ? 'Likely' : 'Possible'} duplicate (${confidence}% confidence): ` +
+                    `${this.formatPersonIdForError(person.individual)} (${person.personId}) and ` +
+                    `${this.formatPersonIdForError(duplicate.individual)} (${duplicate.personId}): ${reasons.join(', ')}`
+            });
+        }
+    }
+
+    /**
+     * Helper: Score how likely two people are the same person
+     * @param {Object} a - { personId, individual, person (PersonModel), childFamilies,
+     *     birth and death (date intervals) }
+     * @param {Object} b - The other person, in the same form
+     * @param {boolean} sameName - True if the names are the same, false if they are only similar
+     * @returns {Object|null} { confidence (0-100), reasons }, or null if the
+     *     sexes, birth dates or death dates exclude a duplicate. Same or similar
+     *     parents only add to the confidence of pairs with a matching birth or
+     *     death date or place.
+     */
+    scoreDuplicate(a, b, sameName) {
+        const genders = [a.individual.gender, b.individual.gender];
+        if (genders.every(gender => gender === 'M' || gender === 'F') && genders[0] !== genders[1]) return null;
+
+        const disjoint = (dateA, dateB) => dateA && dateB && (dateA.earliest > dateB.latest || dateB.earliest > dateA.latest);
+        if (disjoint(a.birth, b.birth) || disjoint(a.death, b.death)) return null;
+
+        const reasons = [sameName ? 'same name' : 'similar name'];
+        let score = sameName ? DUPLICATE_SCORES.sameName : DUPLICATE_SCORES.similarName;
+        let eventEvidence = false; // A matching birth or death date or place
+
+        for (const eventType of ['birth', 'death']) {
+            const eventA = a.individual[eventType];
+            const eventB = b.individual[eventType];
+
+            const [dateA, dateB] = [a[eventType], b[eventType]];
+            if (dateA && dateB) {
+                if (this.isExactDay(dateA) && this.isExactDay(dateB)) {
+                    score += DUPLICATE_SCORES.sameDay;
+                    reasons.push(`same ${eventType} date`);
+                } else {
+                    score += DUPLICATE_SCORES.overlappingDates;
+                    reasons.push(`compatible ${eventType} dates`);
+                }
+                eventEvidence = true;
+            }
+
+            const placeA = (eventA?.place || '').trim().toLowerCase();
+            if (placeA && placeA === (eventB?.place || '').trim().toLowerCase()) {
+                score += DUPLICATE_SCORES.samePlace;
+                reasons.push(`same ${eventType} place`);
+                eventEvidence = true;
+            }
+        }
+
+        if (a.person.eventMatch(b.person)) {
+            score += DUPLICATE_SCORES.matchingEvent;
+            reasons.push('an identical event');
+            eventEvidence = true;
+        }
+
+        // Parents only support the events: a child who died young often
+        // passed the name on to a later sibling
+        const parentScore = this.scoreDuplicateParents(a, b, reasons);
+        score += eventEvidence || parentScore < 0 ? parentScore : 0;
+
+        return { confidence: Math.max(0, Math.min(100, score)), reasons };
+    }
+
+    /**
+     * Helper: Score the parents of two possible duplicates
+     * @param {Object} a - { personId, individual, person, childFamilies, birth, death }
+     * @param {Object} b - The other person, in the same form
+     * @param {Array<string>} reasons - Evidence found so far; the parents' evidence is added
+     * @returns {number} Points for the same or similar parents, a penalty for different ones
+     */
+    scoreDuplicateParents(a, b, reasons) {
+        if (a.childFamilies.some(famId => b.childFamilies.includes(famId))) {
+            reasons.push('same parents');
+            return DUPLICATE_SCORES.sameFamily;
+        }
+
+        let different = false;
+        for (const famIdA of a.childFamilies) {
+            for (const famIdB of b.childFamilies) {
+                const similar = this.compareParentNames(this.gedModel.getFamily(famIdA), this.gedModel.getFamily(famIdB));
+                if (similar) {
+                    reasons.push('parents with similar names');
+                    return DUPLICATE_SCORES.similarParents;
+                }
+                if (similar === false) different = true;
+            }
+        }
+
+        if (different) {
+            reasons.push('different parents');
+            return DUPLICATE_SCORES.differentParents;
+        }
+        return 0;
+    }
+
+    /**
+     * Helper: Compare the names of the parents of two families
+     * @param {GedFamily} familyA - First family
+     * @param {GedFamily} familyB - Second family
+     * @returns {boolean|null} True if every parent named in both families has a
+     *     similar name, false if one does not, null if no parent can be compared
+     */
+    compareParentNames(familyA, familyB) {
+        let compared = false;
+        for (const role of ['father', 'mother']) {
+            const nameA = this.toNameModel(this.gedModel.getIndividual(familyA[role]));
+            const nameB = this.toNameModel(this.gedModel.getIndividual(familyB[role]));
+            if (!nameA || !nameB) continue;
+
+            if (!nameA.similarMatch(nameB)) return false;
+            compared = true;
+        }
+        return compared ? true : null;
+    }
+
+    /**
+     * Helper: Get a person's name as a NameModel for comparisons
+     * @param {GedIndividual} individual - The person
+     * @returns {NameModel|null} The name, or null unless both given name and surname are known
+     */
+    toNameModel(individual) {
+        if (!individual || !individual.name) return null;
+
+        const givenName = individual.name.getGivenName();
+        const surname = individual.name.getSurname();
+        return givenName && surname ? new NameModel(givenName, surname) : null;
+    }
+
     /**
      * Helper: Check person date consistency
      */
     checkPersonDateConsistency(gedcomId, individual) {
-        const birthDate = this.parseDate(individual.birth?.date);
-        const deathDate = this.parseDate(individual.death?.date);
+        const birth = this.parseDateInterval(individual.birth?.date);
+        const death = this.parseDateInterval(individual.death?.date);
+        if (!birth || !death) return;
 
         // Check birth before death
-        if (birthDate && deathDate && birthDate > deathDate) {
+        const bornAfterDeath = this.compareDateIntervals(birth, death);
+        if (bornAfterDeath) {
             this.warnings.push({
                 type: 'birth_after_death',
+                severity: this.getCertaintySeverity(bornAfterDeath),
+                certainty: bornAfterDeath,
                 personId: gedcomId,
                 personName: this.formatPersonName(individual),
                 entry: this.getEntryLabel(individual),
                 birthDate: individual.birth.date,
                 deathDate: individual.death.date,
-                message: `Person born after death: ${this.formatPersonIdForError(individual)}`
+                message: bornAfterDeath === 'definite'
+                    ? `Person born after death: ${this.formatPersonIdForError(individual)}`
+                    : `Person possibly born after death: ${this.formatPersonIdForError(individual)}, died ${this.formatDate(individual.death.date)}`
             });
         }
 
-        // Check lifespan (more than 120 years)
-        if (birthDate && deathDate) {
-            const years = (deathDate - birthDate) / (365.25 * 24 * 60 * 60 * 1000);
-            if (years > 120) {
-                this.warnings.push({
-                    type: 'excessive_lifespan',
-                    personId: gedcomId,
-                    personName: this.formatPersonName(individual),
-                    entry: this.getEntryLabel(individual),
-                    birthDate: individual.birth.date,
-                    deathDate: individual.death.date,
-                    years: Math.round(years),
-                    message: `Unlikely lifespan of ${Math.round(years)} years for ${this.formatPersonIdForError(individual)}`
-                });
-            }
+        // Check lifespan
+        const excessiveLifespan = this.compareDateIntervals(death, birth, this.profile.thresholds.maxLifespanYears * DAYS_PER_YEAR);
+        if (excessiveLifespan) {
+            const years = Math.round(this.getYearsBetween(birth, death));
+            this.warnings.push({
+                type: 'excessive_lifespan',
+                severity: this.getCertaintySeverity(excessiveLifespan),
+                certainty: excessiveLifespan,
+                personId: gedcomId,
+                personName: this.formatPersonName(individual),
+                entry: this.getEntryLabel(individual),
+                birthDate: individual.birth.date,
+                deathDate: individual.death.date,
+                years: years,
+                message: excessiveLifespan === 'definite'
+                    ? `Unlikely lifespan of ${years} years for ${this.formatPersonIdForError(individual)}`
+                    : `Possibly unlikely lifespan of about ${years} years for ${this.formatPersonIdForError(individual)}, died ${this.formatDate(individual.death.date)}`
+            });
         }
     }
 
@@ -367,89 +1660,307 @@ class GedcomIntegrityChecker {
      * Helper: Check family date consistency
      */
     checkFamilyDateConsistency(famId, family) {
-        const marriageDate = this.parseDate(family.marriage?.date);
-        const father = this.gedModel.getIndividualByNumericId(family.father);
-        const mother = this.gedModel.getIndividualByNumericId(family.mother);
+        const marriage = this.parseDateInterval(family.marriage?.date);
+        const father = this.gedModel.getIndividual(family.father);
+        const mother = this.gedModel.getIndividual(family.mother);
 
         for (const childId of family.children) {
-            const child = this.gedModel.getIndividualByNumericId(childId);
+            const child = this.gedModel.getIndividual(childId);
             if (!child) continue;
 
-            const childBirthDate = this.parseDate(child.birth?.date);
+            const childBirth = this.parseDateInterval(child.birth?.date);
+            if (!childBirth) continue;
 
             // Check child born before marriage
-            if (childBirthDate && marriageDate && childBirthDate < marriageDate) {
+            const beforeMarriage = marriage ? this.compareDateIntervals(marriage, childBirth) : null;
+            if (beforeMarriage) {
                 const entryLabel = this.getEntryLabel(child) || this.getEntryLabel(father) || this.getEntryLabel(mother);
                 this.warnings.push({
                     type: 'child_before_marriage',
+                    severity: this.getCertaintySeverity(beforeMarriage),
+                    certainty: beforeMarriage,
                     familyId: famId,
-                    childId: `@I${childId}@`,
+                    childId: childId,
                     childName: this.formatPersonName(child),
                     entry: this.getEntryLabel(child),
                     childBirthDate: child.birth.date,
                     marriageDate: family.marriage.date,
-                    message: `Child ${this.formatPersonIdForError(child)} born before parents' marriage [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                    message: beforeMarriage === 'definite'
+                        ? `Child ${this.formatPersonIdForError(child)} born before parents' marriage [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                        : `Child ${this.formatPersonIdForError(child)} possibly born before parents' marriage (${this.formatDate(family.marriage.date)}) [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
                 });
             }
 
-            // Check child born after mother's death
-            if (mother && childBirthDate) {
-                const motherDeathDate = this.parseDate(mother.death?.date);
-                if (motherDeathDate && childBirthDate > motherDeathDate) {
+            // Check child born after both parents' deaths, which usually means
+            // the child belongs to another family. A child may be born up to
+            // maxPosthumousMonths after the father's death.
+            const { maxPosthumousMonths } = this.profile.thresholds;
+            const motherDeath = mother ? this.parseDateInterval(mother.death?.date) : null;
+            const fatherDeath = father ? this.parseDateInterval(father.death?.date) : null;
+            const afterMotherDeath = motherDeath ? this.compareDateIntervals(childBirth, motherDeath) : null;
+            const afterFatherDeath = fatherDeath
+                ? this.compareDateIntervals(childBirth, fatherDeath, maxPosthumousMonths * DAYS_PER_MONTH)
+                : null;
+            const afterBothDeaths = afterMotherDeath && afterFatherDeath;
+            if (afterBothDeaths) {
+                const certainty = afterMotherDeath === 'definite' && afterFatherDeath === 'definite' ? 'definite' : 'possible';
+                const entryLabel = this.getEntryLabel(child) || this.getEntryLabel(father) || this.getEntryLabel(mother);
+                const deaths = `father d. ${this.formatDate(father.death.date)}, mother d. ${this.formatDate(mother.death.date)}`;
+                this.warnings.push({
+                    type: 'child_after_parents_death',
+                    severity: this.getCertaintySeverity(certainty),
+                    certainty: certainty,
+                    familyId: famId,
+                    childId: childId,
+                    childName: this.formatPersonName(child),
+                    entry: this.getEntryLabel(child),
+                    childBirthDate: child.birth.date,
+                    marriageDate: family.marriage?.date,
+                    fatherDeathDate: father.death.date,
+                    motherDeathDate: mother.death.date,
+                    message: certainty === 'definite'
+                        ? `Child ${this.formatPersonIdForError(child)} born after the deaths of both parents (${deaths}) [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                        : `Child ${this.formatPersonIdForError(child)} possibly born after the deaths of both parents (${deaths}) [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                });
+            }
+
+            if (mother) {
+                // Check child born after mother's death
+                if (afterMotherDeath && !afterBothDeaths) {
                     const entryLabel = this.getEntryLabel(child) || this.getEntryLabel(mother);
                     this.warnings.push({
                         type: 'child_after_mother_death',
+                        severity: this.getCertaintySeverity(afterMotherDeath),
+                        certainty: afterMotherDeath,
                         familyId: famId,
-                        childId: `@I${childId}@`,
+                        childId: childId,
                         childName: this.formatPersonName(child),
                         entry: this.getEntryLabel(child),
                         childBirthDate: child.birth.date,
                         motherDeathDate: mother.death.date,
-                        message: `Child ${this.formatPersonIdForError(child)} born after mother's death [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                        message: afterMotherDeath === 'definite'
+                            ? `Child ${this.formatPersonIdForError(child)} born after mother's death [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                            : `Child ${this.formatPersonIdForError(child)} possibly born after mother's death (${this.formatDate(mother.death.date)}) [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
                     });
                 }
 
-                // Check mother's age at child's birth
-                const motherBirthDate = this.parseDate(mother.birth?.date);
-                if (motherBirthDate && childBirthDate) {
-                    const motherAge = (childBirthDate - motherBirthDate) / (365.25 * 24 * 60 * 60 * 1000);
-                    if (motherAge > 50) {
-                        const entryLabel = this.getEntryLabel(child) || this.getEntryLabel(mother);
-                        this.warnings.push({
-                            type: 'mother_too_old',
-                            familyId: famId,
-                            childId: `@I${childId}@`,
-                            childName: this.formatPersonName(child),
-                            entry: this.getEntryLabel(child),
-                            motherAge: Math.round(motherAge),
-                            message: `Mother was ${Math.round(motherAge)} years old when ${this.formatPersonIdForError(child)} was born [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
-                        });
-                    }
+                this.checkParentAge(famId, family, childId, child, childBirth, 'mother');
+            }
+
+            if (father) {
+                // Check child born after the posthumous-birth window following father's death
+                if (afterFatherDeath && !afterBothDeaths) {
+                    const entryLabel = this.getEntryLabel(child) || this.getEntryLabel(father);
+                    this.warnings.push({
+                        type: 'child_after_father_death',
+                        severity: this.getCertaintySeverity(afterFatherDeath),
+                        certainty: afterFatherDeath,
+                        familyId: famId,
+                        childId: childId,
+                        childName: this.formatPersonName(child),
+                        entry: this.getEntryLabel(child),
+                        childBirthDate: child.birth.date,
+                        fatherDeathDate: father.death.date,
+                        message: afterFatherDeath === 'definite'
+                            ? `Child ${this.formatPersonIdForError(child)} born more than ${maxPosthumousMonths} months after father's death (${this.formatDate(father.death.date)}) [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                            : `Child ${this.formatPersonIdForError(child)} possibly born more than ${maxPosthumousMonths} months after father's death (${this.formatDate(father.death.date)}) [Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`
+                    });
+                }
+
+                this.checkParentAge(famId, family, childId, child, childBirth, 'father');
+            }
+        }
+    }
+
+    /**
+     * Helper: Check a parent's age at a child's birth against the profile's
+     * youngest and oldest plausible ages for fathers or mothers
+     * @param {string} famId - Family xref
+     * @param {GedFamily} family - The family
+     * @param {string} childId - Child xref
+     * @param {GedIndividual} child - The child
+     * @param {Object} childBirth - Interval of the child's birth
+     * @param {string} role - 'father' or 'mother'
+     */
+    checkParentAge(famId, family, childId, child, childBirth, role) {
+        const parentId = role === 'father' ? family.father : family.mother;
+        const parent = this.gedModel.getIndividual(parentId);
+        const parentBirth = this.parseDateInterval(parent.birth?.date);
+        if (!parentBirth) return;
+
+        const { thresholds } = this.profile;
+        const minAge = role === 'father' ? thresholds.minFatherAge : thresholds.minMotherAge;
+        const maxAge = role === 'father' ? thresholds.maxFatherAge : thresholds.maxMotherAge;
+
+        const tooOld = this.compareDateIntervals(childBirth, parentBirth, maxAge * DAYS_PER_YEAR);
+        const tooYoung = tooOld ? null : this.compareDateIntervals(parentBirth, childBirth, -minAge * DAYS_PER_YEAR);
+        const certainty = tooOld || tooYoung;
+        if (!certainty) return;
+
+        const years = this.getYearsBetween(parentBirth, childBirth);
+        const age = tooOld ? Math.round(years) : Math.floor(years);
+        const parentLabel = role === 'father' ? 'Father' : 'Mother';
+        const childLabel = this.formatPersonIdForError(child);
+        const entryLabel = this.getEntryLabel(child) || this.getEntryLabel(parent);
+        const location = `[Family: ${famId}, Entry: ${entryLabel || 'unknown'}]`;
+
+        let message;
+        if (certainty === 'possible') {
+            message = `${parentLabel} was possibly ${tooOld ? '' : 'only '}about ${age} years old when ${childLabel} was born (${role} b. ${this.formatDate(parent.birth.date)}) ${location}`;
+        } else if (tooOld) {
+            message = `${parentLabel} was ${age} years old when ${childLabel} was born ${location}`;
+        } else if (age > 0) {
+            message = `${parentLabel} was only ${age} years old when ${childLabel} was born ${location}`;
+        } else {
+            message = `${parentLabel} was born after ${childLabel} (${role} b. ${this.formatDate(parent.birth.date)}) ${location}`;
+        }
+
+        this.warnings.push({
+            type: `${role}_too_${tooOld ? 'old' : 'young'}`,
+            severity: this.getCertaintySeverity(certainty),
+            certainty: certainty,
+            familyId: famId,
+            childId: childId,
+            childName: this.formatPersonName(child),
+            entry: this.getEntryLabel(child),
+            [`${role}Id`]: parentId,
+            [`${role}Age`]: age,
+            message: message
+        });
+    }
+
+    /**
+     * Parse a GEDCOM date into the earliest and latest day it can refer to
+     * BEF/AFT dates are open on one side, ABT/EST/CAL dates are widened,
+     * and partial dates cover all days of their month or year.
+     * @param {string} dateStr - The GEDCOM date
+     * @returns {Object|null} { earliest, latest } as Julian Day Numbers, or null if the date cannot be read
+     */
+    parseDateInterval(dateStr) {
+        if (!dateStr) return null;
+
+        const { aboutYears } = this.profile.thresholds;
+        try {
+            return this.toDateModel(dateStr).getInterval(aboutYears);
+        } catch (error) {
+            // Impossible days and ranges that end before they start are not compared
+            if (error.dayProblem || error.reversedRange) return null;
+
+            // Implausible years are reported by checkYearRange() but still compared
+            if (error.yearOutOfRange) {
+                try {
+                    const dateModel = new DateModel();
+                    dateModel.parseGedcomDate(dateStr, { minYear: 0, maxYear: Infinity });
+                    return dateModel.getInterval(aboutYears);
+                } catch (rangeError) {
+                    return null;
                 }
             }
+
+            // German and French dates are compared by their GEDCOM equivalent
+            const suggestion = this.dateNormalizer.normalize(dateStr);
+            if (suggestion) {
+                try {
+                    return this.toDateModel(suggestion).getInterval(aboutYears);
+                } catch (suggestionError) {
+                    // Fall through to the lenient parser
+                }
+            }
+
+            // Other dates DateModel rejects are read leniently as a single day
+            const date = this.parseDate(dateStr);
+            if (!date) return null;
+            const day = Calendar.toJulianDayNumber('GREGORIAN', date.getFullYear(), date.getMonth() + 1, date.getDate());
+            return { earliest: day, latest: day };
         }
     }
 
+    /**
+     * Check whether one date interval lies more than a number of days after another
+     * The result is definite if it holds for every pair of days in the intervals,
+     * and possible if it holds for some of them and for the middle of the intervals.
+     * @param {Object} later - Interval expected to be later
+     * @param {Object} earlier - Interval expected to be earlier
+     * @param {number} [days=0] - Number of days the difference must exceed
+     * @returns {string|null} 'definite', 'possible', or null if the dates do not conflict
+     */
+    compareDateIntervals(later, earlier, days = 0) {
+        if (later.earliest - earlier.latest > days) {
+            return 'definite';
+        }
+        if (later.latest - earlier.earliest > days &&
+            this.getIntervalMiddle(later) - this.getIntervalMiddle(earlier) > days) {
+            return 'possible';
+        }
+        return null;
+    }
+
+    /**
+     * Get the middle day of a date interval (the known end of an open interval)
+     * @param {Object} interval - { earliest, latest }
+     * @returns {number} Julian Day Number
+     */
+    getIntervalMiddle(interval) {
+        if (interval.earliest === -Infinity) return interval.latest;
+        if (interval.latest === Infinity) return interval.earliest;
+        return (interval.earliest + interval.latest) / 2;
+    }
+
+    /**
+     * Get the years between the middles of two date intervals
+     * @param {Object} from - Earlier interval
+     * @param {Object} to - Later interval
+     * @returns {number} Years
+     */
+    getYearsBetween(from, to) {
+        return (this.getIntervalMiddle(to) - this.getIntervalMiddle(from)) / DAYS_PER_YEAR;
+    }
+
+    /**
+     * Get the severity of a date conflict
+     * @param {string} certainty - 'definite' or 'possible'
+     * @returns {string} 'warning' for definite conflicts, 'info' for possible ones
+     */
+    getCertaintySeverity(certainty) {
+        return certainty === 'definite' ? 'warning' : 'info';
+    }
+
     /**
      * Validate GEDCOM date format
      */
     validateDateFormat(id, individual, eventType, dateStr) {
         if (!dateStr || dateStr.trim() === '') return;
 
-        // GEDCOM date formats:
-        // DD MMM YYYY (e.g., 15 JAN 1900)
-        // MMM YYYY (e.g., JAN 1900)
-        // YYYY (e.g., 1900)
-        // ABT/BEF/AFT/EST/CAL DD MMM YYYY
-        // BET date AND date
-        // FROM date TO date
-
-        const datePattern = /^(ABT|BEF|AFT|EST|CAL|BET|FROM)?\s*(\d{1,2})?\s*(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)?\s*(\d{4})?(\s+(AND|TO)\s+.*)?$/i;
+        // GEDCOM 5.5.1 date formats (parsed by DateModel.parseGedcomDate):
+        // DD MMM YYYY (e.g., 15 JAN 1900), MMM YYYY, YYYY, dual years (25 JAN 1699/00)
+        // ABT/CAL/EST date, BEF/AFT date
+        // BET date AND date, FROM date TO date, FROM date, TO date
+        // INT date (phrase), (phrase)
+        // Julian and French Republican dates (@#DJULIAN@, @#DFRENCH R@, 12 VEND AN VII)
+        let problem = null;
+        try {
+            this.toDateModel(dateStr);
+        } catch (error) {
+            // Impossible days are reported by checkCalendarDates() and
+            // implausible years by checkYearRange()
+            if (!error.dayProblem && !error.yearOutOfRange) {
+                problem = error.message;
+            }
+        }
 
-        if (!datePattern.test(dateStr.trim())) {
+        if (problem !== null) {
             const personName = individual ? this.formatPersonIdForError(individual) : id;
             const entry = individual ? this.getEntryLabel(individual) : '';
 
+            // Propose the GEDCOM equivalent of German or French dates like "ca. 1750",
+            // unless it is invalid too, e.g. a range that ends before it starts
+            let suggestion = this.dateNormalizer.normalize(dateStr);
+            try {
+                if (suggestion) this.toDateModel(suggestion);
+            } catch (suggestionError) {
+                suggestion = null;
+            }
+
             this.warnings.push({
                 type: 'invalid_date_format',
                 id: id,
@@ -457,17 +1968,64 @@ class GedcomIntegrityChecker {
                 entry: entry,
                 eventType: eventType,
                 date: dateStr,
-                message: `Invalid GEDCOM date format: "${dateStr}" for ${eventType} of ${personName}`
+                suggestion: suggestion,
+                message: `Invalid GEDCOM date format: "${dateStr}" for ${eventType} of ${personName}` +
+                    (suggestion ? `; use "${suggestion}"` : ` (${problem})`)
             });
         }
     }
 
+    /**
+     * Parse a GEDCOM date into a DateModel
+     * @param {string} dateStr - The GEDCOM date
+     * @returns {DateModel} The parsed date
+     * @throws {Error} If the date does not follow the GEDCOM date grammar or its year is outside the profile's range
+     */
+    toDateModel(dateStr) {
+        const dateModel = new DateModel();
+        dateModel.parseGedcomDate(dateStr, this.profile.getYearRange());
+        return dateModel;
+    }
+
+    /**
+     * Format a GEDCOM date for messages
+     * Julian and French Republican dates are followed by their calendar
+     * and Gregorian equivalent, e.g. "12 VEND AN VII [French Republican = 3 OCT 1798]".
+     * @param {string} dateStr - The GEDCOM date
+     * @returns {string} The formatted date
+     */
+    formatDate(dateStr) {
+        if (!dateStr || !CALENDAR_DATE_PATTERN.test(dateStr)) return dateStr;
+
+        try {
+            const dateModel = this.toDateModel(dateStr);
+            if (dateModel.calendar === 'GREGORIAN') return dateStr;
+            return `${dateStr} [${Calendar.getDisplayName(dateModel.calendar)} = ${dateModel.toGregorianString()}]`;
+        } catch (error) {
+            return dateStr;
+        }
+    }
+
     /**
      * Parse a GEDCOM date string to a JavaScript Date (approximate)
+     * Qualifiers are ignored and ranges give their first date; use
+     * parseDateInterval() to compare dates.
      */
     parseDate(dateStr) {
         if (!dateStr) return null;
 
+        // Julian and French Republican dates are converted to Gregorian
+        if (CALENDAR_DATE_PATTERN.test(dateStr)) {
+            try {
+                const range = this.toDateModel(dateStr).getJulianDayRange();
+                if (!range) return null;
+                const { year, month, day } = Calendar.toGregorian(range.first);
+                return new Date(year, month - 1, day);
+            } catch (error) {
+                return null;
+            }
+        }
+
         // Remove qualifiers
         const cleaned = dateStr.replace(/^(ABT|BEF|AFT|EST|CAL)\s+/i, '').trim();
 
@@ -501,6 +2059,11 @@ class GedcomIntegrityChecker {
             }
         }
 
+        // Do not roll impossible days like 31 FEB into the next month
+        if (year && (day < 1 || day > Calendar.getDaysInMonth('GREGORIAN', month + 1, year))) {
+            return null;
+        }
+
         if (year) {
             return new Date(year, month, day);
         }
@@ -551,7 +2114,8 @@ class GedcomIntegrityChecker {
      */
     formatPersonName(individual) {
         if (!individual || !individual.name) return 'Unknown';
-        return individual.name.toString();
+        // Names without a given name, like "NAME  /Huber/", are shown without the gap
+        return individual.name.toString().replace(/\s+/g, ' ').trim();
     }
 
     /**
@@ -561,7 +2125,7 @@ class GedcomIntegrityChecker {
     formatPersonIdForError(individual) {
         if (!individual || !individual.name) return 'Unknown';
 
-        let result = individual.name.toString();
+        let result = this.formatPersonName(individual);
         const entryLabel = this.getEntryLabel(individual);
 
         if (entryLabel) {
@@ -569,7 +2133,7 @@ class GedcomIntegrityChecker {
         }
 
         if (individual.birth && individual.birth.date) {
-            result += ` (b. ${individual.birth.date})`;
+            result += ` (b. ${this.formatDate(individual.birth.date)})`;
         }
 
         return result;
@@ -610,8 +2174,8 @@ class GedcomIntegrityChecker {
 
             const familiesInEntry = Object.entries(families)
                 .filter(([_, fam]) => {
-                    const father = this.gedModel.getIndividualByNumericId(fam.father);
-                    const mother = this.gedModel.getIndividualByNumericId(fam.mother);
+                    const father = this.gedModel.getIndividual(fam.father);
+                    const mother = this.gedModel.getIndividual(fam.mother);
                     return (father && this.getEntryLabel(father) === entry) ||
                            (mother && this.getEntryLabel(mother) === entry);
                 })
@@ -624,15 +2188,30 @@ class GedcomIntegrityChecker {
         }
 
         return {
+            profile: this.profile.name,
             totalEntries: sortedEntries.length,
             entryLabels: sortedEntries,
             totalPeople: Object.keys(individuals).length,
             totalFamilies: Object.keys(families).length,
             entryDetails: entryDetails,
-            warningCount: this.warnings.length,
-            errorCount: this.errors.length
+            warningCount: this.warnings.filter(warning => warning.severity !== 'info').length,
+            errorCount: this.errors.length,
+            infoCount: this.warnings.filter(warning => warning.severity === 'info').length
         };
     }
 }
 
+/**
+ * Compare two severity levels
+ * @param {string} a - First severity level
+ * @param {string} b - Second severity level
+ * @returns {number} Negative if a is less severe than b, positive if more severe, 0 if equal
+ */
+GedcomIntegrityChecker.compareSeverity = function(a, b) {
+    return SEVERITY_LEVELS.indexOf(a) - SEVERITY_LEVELS.indexOf(b);
+};
+
+GedcomIntegrityChecker.SEVERITY_LEVELS = SEVERITY_LEVELS;
+GedcomIntegrityChecker.CHECKS = Object.keys(CHECKS);
+
 module.exports = GedcomIntegrityChecker;
@@ -0,0 +1,186 @@
+/**
+ * UploadStore - Keeps track of uploaded GEDCOM files per client
+ * Each upload is identified by a random token that the client sends back
+ * when it asks for a check. Uploads that are not used for a while expire
+ * and their temporary files are removed from the upload directory.
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Default time an upload is kept after it was last used (30 minutes)
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+
+class UploadStore {
+    /**
+     * Create a new UploadStore
+     * @param {Object} options - Store options
+     * @param {string} options.directory - Directory where uploaded files are written
+     * @param {number} [options.ttlMs] - Milliseconds an unused upload is kept before it expires
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || '';
+        this.ttlMs = options.ttlMs > 0 ? options.ttlMs : DEFAULT_TTL_MS;
+        this.uploads = new Map(); // token -> upload info
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Register an uploaded file
+     * @param {Object} fileInfo - Information about the uploaded file
+     * @param {string} fileInfo.originalName - Name of the file on the client
+     * @param {string} fileInfo.path - Path of the temporary file on the server
+     * @param {number} fileInfo.size - File size in bytes
+     * @returns {string} Token identifying the upload
+     */
+    add(fileInfo) {
+        const token = crypto.randomBytes(16).toString('hex');
+
+        this.uploads.set(token, {
+            originalName: fileInfo.originalName,
+            path: fileInfo.path,
+            size: fileInfo.size,
+            lastUsed: Date.now()
+        });
+
+        return token;
+    }
+
+    /**
+     * Look up an upload by token and mark it as used
+     * @param {string} token - The upload token
+     * @returns {Object|null} The upload info, or null if unknown or expired
+     */
+    get(token) {
+        if (typeof token !== 'string' || !this.uploads.has(token)) {
+            return null;
+        }
+
+        const upload = this.uploads.get(token);
+        if (this._isExpired(upload, Date.now())) {
+            this.remove(token);
+            return null;
+        }
+
+        upload.lastUsed = Date.now();
+        return upload;
+    }
+
+    /**
+     * Remove an upload and delete its temporary file
+     * @param {string} token - The upload token
+     * @returns {boolean} True if an upload was removed
+     */
+    remove(token) {
+        const upload = this.uploads.get(token);
+        if (!upload) return false;
+
+        this.uploads.delete(token);
+        this._deleteFile(upload.path);
+        return true;
+    }
+
+    /**
+     * Remove expired uploads and orphaned files left in the upload directory
+     * (for example by an earlier server run)
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {number} Number of files removed
+     */
+    sweep(now = Date.now()) {
+        let removed = 0;
+
+        for (const [token, upload] of this.uploads) {
+            if (this._isExpired(upload, now)) {
+                this.uploads.delete(token);
+                if (this._deleteFile(upload.path)) removed++;
+            }
+        }
+
+        if (!this.directory || !fs.existsSync(this.directory)) {
+            return removed;
+        }
+
+        const knownPaths = new Set(Array.from(this.uploads.values()).map(upload => path.resolve(upload.path)));
+
+        for (const fileName of fs.readdirSync(this.directory)) {
+            const filePath = path.resolve(this.directory, fileName);
+            if (knownPaths.has(filePath)) continue;
+
+            try {
+                const stats = fs.statSync(filePath);
+                if (stats.isFile() && now - stats.mtimeMs > this.ttlMs) {
+                    if (this._deleteFile(filePath)) removed++;
+                }
+            } catch (error) {
+                // File disappeared while sweeping - nothing to do
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Sweep the store periodically
+     * @param {number} [intervalMs] - Milliseconds between sweeps (defaults to the TTL)
+     */
+    startSweeping(intervalMs = this.ttlMs) {
+        this.stopSweeping();
+        this.sweep();
+        this.sweepTimer = setInterval(() => this.sweep(), intervalMs);
+        // Do not keep the process alive just for cleanup
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Stop the periodic sweep
+     */
+    stopSweeping() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    /**
+     * Get the number of uploads currently held
+     * @returns {number} Number of uploads
+     */
+    size() {
+        return this.uploads.size;
+    }
+
+    /**
+     * Check whether an upload has not been used within the TTL
+     * @param {Object} upload - The upload info
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if expired
+     * @private
+     */
+    _isExpired(upload, now) {
+        return now - upload.lastUsed > this.ttlMs;
+    }
+
+    /**
+     * Delete a file, ignoring files that are already gone
+     * @param {string} filePath - Path of the file to delete
+     * @returns {boolean} True if the file was deleted
+     * @private
+     */
+    _deleteFile(filePath) {
+        try {
+            if (filePath && fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                return true;
+            }
+        } catch (error) {
+            console.error('Error cleaning up uploaded file:', error);
+        }
+        return false;
+    }
+}
+
+module.exports = UploadStore;
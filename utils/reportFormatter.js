@@ -0,0 +1,270 @@
+/**
+ * reportFormatter - Render integrity reports for people and for tools
+ * Produces the human-readable text report and the versioned JSON report
+ *
+ * @author Steve Turley
+ * @version 1.0.0
+ */
+
+const packageInfo = require('../package.json');
+
+// Version of the JSON report schema, bumped whenever the schema changes
+const REPORT_SCHEMA_VERSION = '1.3';
+
+// Columns of the CSV report
+const CSV_COLUMNS = ['file', 'severity', 'type', 'label', 'personId', 'familyId', 'entry', 'message'];
+
+// Display labels for warning types
+const TYPE_LABELS = {
+    'gedcom_syntax': 'GEDCOM Syntax',
+    'encoding_mismatch': 'Character Set Mismatches',
+    'family_membership': 'People Not in Families',
+    'one_sided_link': 'One-Sided Family Links',
+    'dangling_pointer': 'Pointers to Missing Records',
+    'duplicate_family': 'Duplicate Families',
+    'empty_family': 'Empty Families',
+    'single_child_family': 'Families With Only One Child',
+    'spouse_sex_mismatch': 'Spouses Whose Sex Does Not Fit HUSB/WIFE',
+    'same_person_both_spouses': 'Same Person as Husband and Wife',
+    'spouse_is_child': 'Spouses Who Are Also Children of the Family',
+    'conflicting_parentage': 'Children of More Than One Family',
+    'circular_ancestry': 'Circular Ancestry',
+    'page_consistency': 'Page Consistency Issues',
+    'invalid_date_format': 'Invalid Date Formats',
+    'date_day_zero': 'Dates With Day 0',
+    'date_day_out_of_range': 'Day Numbers Beyond Any Month',
+    'date_day_not_in_month': 'Days Not in Their Month',
+    'date_invalid_leap_day': 'Leap Days in Common Years',
+    'year_out_of_range': 'Implausible Years',
+    'birth_after_death': 'Birth After Death',
+    'excessive_lifespan': 'Excessive Lifespans',
+    'child_before_marriage': 'Children Born Before Marriage',
+    'child_after_mother_death': 'Children Born After Mother\'s Death',
+    'child_after_father_death': 'Children Born Long After Father\'s Death',
+    'child_after_parents_death': 'Children Born After Both Parents\' Deaths',
+    'christening_before_birth': 'Christening Before Birth',
+    'late_christening': 'Late Christenings',
+    'burial_before_death': 'Burial Before Death',
+    'late_burial': 'Late Burials',
+    'marriage_too_young': 'Married Too Young',
+    'marriage_after_death': 'Marriage After Death',
+    'sibling_spacing': 'Siblings Born Too Close Together',
+    'twins': 'Twins and Multiple Births',
+    'children_out_of_order': 'Children Not in Birth Order',
+    'overlapping_marriages': 'Marriages Before the Previous One Ended',
+    'overlapping_children': 'Children of Two Marriages Born in Overlapping Years',
+    'child_outside_marriage': 'Children Born After Their Parents\' Marriage Ended',
+    'mother_too_young': 'Mother Too Young at Child\'s Birth',
+    'mother_too_old': 'Mother Too Old at Child\'s Birth',
+    'father_too_young': 'Father Too Young at Child\'s Birth',
+    'father_too_old': 'Father Too Old at Child\'s Birth',
+    'unusual_given_name': 'Unusual Given Names',
+    'gender_mismatch': 'Gender Mismatches',
+    'missing_source': 'Missing Source References',
+    'surname_mismatch': 'Surname Mismatches (Child vs Father)',
+    'inconsistent_child_surnames': 'Inconsistent Sibling Surnames',
+    'duplicate_person': 'Possible Duplicate People'
+};
+
+/**
+ * Format integrity report as human-readable text
+ * @param {string} filename - Name of the checked GEDCOM file
+ * @param {Object} report - Report returned by GedcomIntegrityChecker.checkIntegrity()
+ * @returns {string} The formatted report
+ */
+function formatResults(filename, report) {
+    const { summary, warnings, errors } = report;
+
+    let result = `
+=== GEDquality Integrity Report ===
+GEDCOM File: ${filename}
+Timestamp: ${new Date().toISOString()}${summary.profile ? `\nCheck Profile: ${summary.profile}` : ''}
+
+=== File Summary ===
+Total Entries: ${summary.totalEntries}
+Total People: ${summary.totalPeople}
+Total Families: ${summary.totalFamilies}
+
+=== Entries ===
+Entry Labels: ${summary.entryLabels.join(', ')}
+
+=== Entry Details ===`;
+
+    for (const [entry, details] of Object.entries(summary.entryDetails)) {
+        result += `\n  ${entry}: ${details.people} people, ${details.families} families`;
+    }
+
+    // Information findings are listed on their own and do not count as issues
+    const issues = warnings.filter(warning => warning.severity !== 'info');
+    const information = warnings.filter(warning => warning.severity === 'info');
+
+    result += `\n\n=== Integrity Check Results ===
+Total Warnings: ${summary.warningCount}
+Total Errors: ${summary.errorCount}
+Total Information: ${information.length}
+`;
+
+    if (issues.length === 0 && errors.length === 0) {
+        result += `\n✅ No integrity issues found! The GEDCOM file appears to be well-formed.`;
+    } else {
+        result += formatByType(issues);
+
+        // Format errors
+        if (errors.length > 0) {
+            result += `\n\n--- Errors (${errors.length}) ---`;
+            for (const error of errors) {
+                result += `\n  • ${error.message}`;
+            }
+        }
+    }
+
+    if (information.length > 0) {
+        result += `\n\n=== Information ===`;
+        result += formatByType(information);
+    }
+
+    result += `\n\n=== Analysis Summary ===`;
+    if (summary.warningCount === 0 && summary.errorCount === 0) {
+        result += `\n✅ Excellent data quality - no issues detected`;
+    } else if (summary.warningCount < 5) {
+        result += `\n✓ Good data quality with minor issues`;
+    } else if (summary.warningCount < 15) {
+        result += `\n⚠ Acceptable data quality with some issues to review`;
+    } else {
+        result += `\n⚠ Significant data quality issues detected - please review`;
+    }
+
+    result += `\n\nProcessing completed successfully.`;
+
+    return result.trim();
+}
+
+/**
+ * Format warnings as one section per type
+ * @param {Array<Object>} warnings - Warnings to format
+ * @returns {string} The sections, each starting on a new line
+ */
+function formatByType(warnings) {
+    // Group warnings by type
+    const warningsByType = {};
+    for (const warning of warnings) {
+        if (!warningsByType[warning.type]) {
+            warningsByType[warning.type] = [];
+        }
+        warningsByType[warning.type].push(warning);
+    }
+
+    let result = '';
+    for (const [type, typeWarnings] of Object.entries(warningsByType)) {
+        const label = TYPE_LABELS[type] || type;
+        result += `\n\n--- ${label} (${typeWarnings.length}) ---`;
+
+        for (const warning of typeWarnings) {
+            result += `\n  • ${warning.message}`;
+
+            // Add additional details for specific types
+            if (type === 'page_consistency' && warning.details) {
+                for (const [page, people] of Object.entries(warning.details)) {
+                    result += `\n    Page ${page}: ${people.map(p => p.name).join(', ')}`;
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Build the versioned JSON report
+ *
+ * Schema (version 1.3):
+ *   schemaVersion  {string}  Version of this schema
+ *   generator      {Object}  { name, version } of the program that produced the report
+ *   file           {string}  Name of the checked GEDCOM file
+ *   generatedAt    {string}  ISO 8601 timestamp
+ *   summary        {Object}  profile (name of the check profile), totalEntries,
+ *                            totalPeople, totalFamilies, entryLabels,
+ *                            entryDetails, warningCount (warnings of severity
+ *                            'warning'), errorCount, infoCount (warnings of
+ *                            severity 'info')
+ *   warnings       {Array}   Warning objects of the checker with a `label` added
+ *   errors         {Array}   Error objects of the checker with a `label` added
+ *   hasIssues      {boolean} True if there are warnings or errors
+ *
+ * Every warning and error has a `type`, a display `label`, a `severity`
+ * ('info', 'warning' or 'error') and a `message`. The other fields are those
+ * of the checker and depend on the type, e.g. `personId`, `familyId`,
+ * `childId`, `entry`, `birthDate`, `deathDate`, `marriageDate`.
+ * `gedcom_syntax` issues have the file `line` and the `problem` found there;
+ * invalid lines and levels, level skips and duplicate xrefs are errors, the
+ * other problems warnings. Date consistency warnings have a `certainty`:
+ * 'definite' conflicts have severity 'warning', conflicts that are only
+ * 'possible' given the date qualifiers have severity 'info'.
+ *
+ * @param {string} filename - Name of the checked GEDCOM file
+ * @param {Object} report - Report returned by GedcomIntegrityChecker.checkIntegrity()
+ * @returns {Object} The JSON report
+ */
+function toJsonReport(filename, report) {
+    const withLabel = issue => ({ ...issue, label: TYPE_LABELS[issue.type] || issue.type });
+
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generator: {
+            name: 'GEDquality',
+            version: packageInfo.version
+        },
+        file: filename,
+        generatedAt: new Date().toISOString(),
+        summary: report.summary,
+        warnings: report.warnings.map(withLabel),
+        errors: report.errors.map(withLabel),
+        hasIssues: report.hasIssues
+    };
+}
+
+/**
+ * Build a CSV report with one row per warning or error
+ * @param {Array<Object>} checkedFiles - Objects with `file` (file name) and `report` (checker report)
+ * @returns {string} CSV text including the header row
+ */
+function toCsv(checkedFiles) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    for (const { file, report } of checkedFiles) {
+        for (const issue of [...report.errors, ...report.warnings]) {
+            const values = {
+                ...issue,
+                file: file,
+                label: TYPE_LABELS[issue.type] || issue.type,
+                personId: issue.personId || issue.childId || '',
+                familyId: issue.familyId || ''
+            };
+            rows.push(CSV_COLUMNS.map(column => escapeCsvValue(values[column])).join(','));
+        }
+    }
+
+    return rows.join('\n') + '\n';
+}
+
+/**
+ * Quote a value for CSV output if needed
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped value
+ */
+function escapeCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+module.exports = {
+    formatResults,
+    toJsonReport,
+    toCsv,
+    TYPE_LABELS,
+    CSV_COLUMNS,
+    REPORT_SCHEMA_VERSION
+};